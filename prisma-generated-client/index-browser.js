@@ -154,10 +154,12 @@ exports.Prisma.Fill_in_blanksScalarFieldEnum = {
 exports.Prisma.Finished_testsScalarFieldEnum = {
   id: 'id',
   test_id: 'test_id',
+  module: 'module',
   fill_score: 'fill_score',
   mcqs_score: 'mcqs_score',
   five_choice_score: 'five_choice_score',
   total_score: 'total_score',
+  band_score: 'band_score',
   test: 'test',
   user_id: 'user_id',
   created_at: 'created_at',
@@ -283,6 +285,8 @@ exports.Prisma.TestsScalarFieldEnum = {
   listening_meta_title: 'listening_meta_title',
   listening_meta_description: 'listening_meta_description',
   listening_focus_keywords: 'listening_focus_keywords',
+  archived_at: 'archived_at',
+  archived_status: 'archived_status',
   created_at: 'created_at',
   updated_at: 'updated_at'
 };
@@ -381,6 +385,16 @@ exports.Prisma.Failed_jobsScalarFieldEnum = {
   failed_at: 'failed_at'
 };
 
+exports.Prisma.JobsScalarFieldEnum = {
+  id: 'id',
+  queue: 'queue',
+  payload: 'payload',
+  attempts: 'attempts',
+  reserved_at: 'reserved_at',
+  available_at: 'available_at',
+  created_at: 'created_at'
+};
+
 exports.Prisma.MigrationsScalarFieldEnum = {
   id: 'id',
   migration: 'migration',
@@ -393,6 +407,7 @@ exports.Prisma.Writing_questionsScalarFieldEnum = {
   task_number: 'task_number',
   question_text: 'question_text',
   image_url: 'image_url',
+  chart_description: 'chart_description',
   word_limit: 'word_limit',
   created_at: 'created_at',
   updated_at: 'updated_at'
@@ -407,7 +422,11 @@ exports.Prisma.Writing_submissionsScalarFieldEnum = {
   task2_answer: 'task2_answer',
   task2_word_count: 'task2_word_count',
   time_taken: 'time_taken',
+  word_count_discrepancy: 'word_count_discrepancy',
   ai_evaluation: 'ai_evaluation',
+  evaluation_validation: 'evaluation_validation',
+  prompt_version: 'prompt_version',
+  evaluation_model: 'evaluation_model',
   expert_score: 'expert_score',
   expert_feedback: 'expert_feedback',
   expert_feedback_sent: 'expert_feedback_sent',
@@ -422,13 +441,280 @@ exports.Prisma.Expert_review_requestsScalarFieldEnum = {
   submission_id: 'submission_id',
   user_id: 'user_id',
   status: 'status',
+  assigned_to: 'assigned_to',
+  assigned_at: 'assigned_at',
   requested_at: 'requested_at',
+  sla_plan: 'sla_plan',
+  due_at: 'due_at',
+  escalation_level: 'escalation_level',
+  escalated_at: 'escalated_at',
+  reopen_count: 'reopen_count',
   reviewed_at: 'reviewed_at',
   admin_notes: 'admin_notes',
+  rejection_reason: 'rejection_reason',
+  created_at: 'created_at',
+  updated_at: 'updated_at'
+};
+
+exports.Prisma.Expert_review_credit_balancesScalarFieldEnum = {
+  user_id: 'user_id',
+  balance: 'balance',
+  updated_at: 'updated_at'
+};
+
+exports.Prisma.Expert_review_credit_transactionsScalarFieldEnum = {
+  id: 'id',
+  user_id: 'user_id',
+  amount: 'amount',
+  balance_after: 'balance_after',
+  type: 'type',
+  reference: 'reference',
+  request_id: 'request_id',
+  actor_id: 'actor_id',
+  note: 'note',
+  created_at: 'created_at'
+};
+
+exports.Prisma.Expert_review_status_historyScalarFieldEnum = {
+  id: 'id',
+  request_id: 'request_id',
+  actor_id: 'actor_id',
+  from_status: 'from_status',
+  to_status: 'to_status',
+  note: 'note',
+  created_at: 'created_at'
+};
+
+exports.Prisma.Expert_review_eventsScalarFieldEnum = {
+  id: 'id',
+  request_id: 'request_id',
+  actor_id: 'actor_id',
+  event: 'event',
+  details: 'details',
+  created_at: 'created_at'
+};
+
+exports.Prisma.Test_sessionsScalarFieldEnum = {
+  id: 'id',
+  user_id: 'user_id',
+  test_id: 'test_id',
+  module: 'module',
+  status: 'status',
+  started_at: 'started_at',
+  deadline_at: 'deadline_at',
+  submitted_at: 'submitted_at',
+  draft: 'draft',
+  submit_fails: 'submit_fails',
+  created_at: 'created_at',
+  updated_at: 'updated_at'
+};
+
+exports.Prisma.Mock_testsScalarFieldEnum = {
+  id: 'id',
+  name: 'name',
+  type: 'type',
+  category: 'category',
+  status: 'status',
+  listening_test_id: 'listening_test_id',
+  reading_test_id: 'reading_test_id',
+  writing_test_id: 'writing_test_id',
+  speaking_test_id: 'speaking_test_id',
+  created_at: 'created_at',
+  updated_at: 'updated_at'
+};
+
+exports.Prisma.Mock_test_attemptsScalarFieldEnum = {
+  id: 'id',
+  mock_test_id: 'mock_test_id',
+  user_id: 'user_id',
+  status: 'status',
+  current_module: 'current_module',
+  overall_band: 'overall_band',
+  started_at: 'started_at',
+  completed_at: 'completed_at',
+  created_at: 'created_at',
+  updated_at: 'updated_at'
+};
+
+exports.Prisma.Mock_test_modulesScalarFieldEnum = {
+  id: 'id',
+  attempt_id: 'attempt_id',
+  module: 'module',
+  position: 'position',
+  status: 'status',
+  started_at: 'started_at',
+  deadline_at: 'deadline_at',
+  submitted_at: 'submitted_at',
+  result_id: 'result_id',
+  band_score: 'band_score',
+  score_source: 'score_source',
+  created_at: 'created_at',
+  updated_at: 'updated_at'
+};
+
+exports.Prisma.Speaking_questionsScalarFieldEnum = {
+  id: 'id',
+  test_id: 'test_id',
+  part: 'part',
+  position: 'position',
+  question_text: 'question_text',
+  cue_card_points: 'cue_card_points',
+  prep_seconds: 'prep_seconds',
+  speak_seconds: 'speak_seconds',
+  created_at: 'created_at',
+  updated_at: 'updated_at'
+};
+
+exports.Prisma.Speaking_submissionsScalarFieldEnum = {
+  id: 'id',
+  user_id: 'user_id',
+  test_id: 'test_id',
+  ai_evaluation: 'ai_evaluation',
+  overall_band_score: 'overall_band_score',
+  status: 'status',
+  submitted_at: 'submitted_at',
+  created_at: 'created_at',
+  updated_at: 'updated_at'
+};
+
+exports.Prisma.Speaking_recordingsScalarFieldEnum = {
+  id: 'id',
+  submission_id: 'submission_id',
+  question_id: 'question_id',
+  audio_path: 'audio_path',
+  mime_type: 'mime_type',
+  size_bytes: 'size_bytes',
+  transcript: 'transcript',
+  created_at: 'created_at',
+  updated_at: 'updated_at'
+};
+
+exports.Prisma.Evaluation_promptsScalarFieldEnum = {
+  id: 'id',
+  module: 'module',
+  version: 'version',
+  system_prompt: 'system_prompt',
+  notes: 'notes',
+  status: 'status',
+  comparison: 'comparison',
+  created_by: 'created_by',
+  activated_at: 'activated_at',
+  created_at: 'created_at',
+  updated_at: 'updated_at'
+};
+
+exports.Prisma.Writing_attemptsScalarFieldEnum = {
+  id: 'id',
+  submission_id: 'submission_id',
+  user_id: 'user_id',
+  test_id: 'test_id',
+  attempt_number: 'attempt_number',
+  task1_answer: 'task1_answer',
+  task1_word_count: 'task1_word_count',
+  task2_answer: 'task2_answer',
+  task2_word_count: 'task2_word_count',
+  time_taken: 'time_taken',
+  word_count_discrepancy: 'word_count_discrepancy',
+  client_word_counts: 'client_word_counts',
+  ai_evaluation: 'ai_evaluation',
+  overall_band_score: 'overall_band_score',
+  status: 'status',
+  prompt_version: 'prompt_version',
+  evaluation_model: 'evaluation_model',
   created_at: 'created_at',
   updated_at: 'updated_at'
 };
 
+exports.Prisma.Model_answersScalarFieldEnum = {
+  id: 'id',
+  title: 'title',
+  task_number: 'task_number',
+  test_id: 'test_id',
+  source_url: 'source_url',
+  answer_text: 'answer_text',
+  created_by: 'created_by',
+  created_at: 'created_at',
+  updated_at: 'updated_at'
+};
+
+exports.Prisma.Text_signaturesScalarFieldEnum = {
+  id: 'id',
+  source_type: 'source_type',
+  source_id: 'source_id',
+  task_number: 'task_number',
+  user_id: 'user_id',
+  test_id: 'test_id',
+  signature: 'signature',
+  shingle_count: 'shingle_count',
+  created_at: 'created_at'
+};
+
+exports.Prisma.Text_signature_bandsScalarFieldEnum = {
+  id: 'id',
+  signature_id: 'signature_id',
+  task_number: 'task_number',
+  band: 'band',
+  bucket: 'bucket'
+};
+
+exports.Prisma.Similarity_hitsScalarFieldEnum = {
+  id: 'id',
+  submission_id: 'submission_id',
+  attempt_id: 'attempt_id',
+  task_number: 'task_number',
+  match_type: 'match_type',
+  matched_source_id: 'matched_source_id',
+  matched_user_id: 'matched_user_id',
+  similarity: 'similarity',
+  created_at: 'created_at'
+};
+
+exports.Prisma.Writing_rewritesScalarFieldEnum = {
+  id: 'id',
+  submission_id: 'submission_id',
+  user_id: 'user_id',
+  task_number: 'task_number',
+  source_band: 'source_band',
+  target_band: 'target_band',
+  answer_text: 'answer_text',
+  rewrite_text: 'rewrite_text',
+  changes: 'changes',
+  evaluation_model: 'evaluation_model',
+  tokens_used: 'tokens_used',
+  estimated_cost: 'estimated_cost',
+  created_at: 'created_at'
+};
+
+exports.Prisma.Writing_question_model_answersScalarFieldEnum = {
+  id: 'id',
+  question_id: 'question_id',
+  question_text: 'question_text',
+  band: 'band',
+  answer_text: 'answer_text',
+  word_count: 'word_count',
+  notes: 'notes',
+  evaluation_model: 'evaluation_model',
+  generated_by: 'generated_by',
+  created_at: 'created_at',
+  updated_at: 'updated_at'
+};
+
+exports.Prisma.Writing_generationsScalarFieldEnum = {
+  id: 'id',
+  user_id: 'user_id',
+  kind: 'kind',
+  created_at: 'created_at'
+};
+
+exports.Prisma.Test_audit_logsScalarFieldEnum = {
+  id: 'id',
+  test_id: 'test_id',
+  admin_id: 'admin_id',
+  action: 'action',
+  changes: 'changes',
+  created_at: 'created_at'
+};
+
 exports.Prisma.SortOrder = {
   asc: 'asc',
   desc: 'desc'
@@ -462,10 +748,32 @@ exports.Prisma.ModelName = {
   branches: 'branches',
   cities: 'cities',
   failed_jobs: 'failed_jobs',
+  jobs: 'jobs',
   migrations: 'migrations',
   writing_questions: 'writing_questions',
   writing_submissions: 'writing_submissions',
-  expert_review_requests: 'expert_review_requests'
+  expert_review_requests: 'expert_review_requests',
+  expert_review_credit_balances: 'expert_review_credit_balances',
+  expert_review_credit_transactions: 'expert_review_credit_transactions',
+  expert_review_status_history: 'expert_review_status_history',
+  expert_review_events: 'expert_review_events',
+  test_sessions: 'test_sessions',
+  mock_tests: 'mock_tests',
+  mock_test_attempts: 'mock_test_attempts',
+  mock_test_modules: 'mock_test_modules',
+  speaking_questions: 'speaking_questions',
+  speaking_submissions: 'speaking_submissions',
+  speaking_recordings: 'speaking_recordings',
+  evaluation_prompts: 'evaluation_prompts',
+  writing_attempts: 'writing_attempts',
+  model_answers: 'model_answers',
+  text_signatures: 'text_signatures',
+  text_signature_bands: 'text_signature_bands',
+  similarity_hits: 'similarity_hits',
+  writing_rewrites: 'writing_rewrites',
+  writing_question_model_answers: 'writing_question_model_answers',
+  writing_generations: 'writing_generations',
+  test_audit_logs: 'test_audit_logs'
 };
 
 /**
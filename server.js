@@ -8,7 +8,20 @@ import userRoutes from "./src/routes/userRoutes.js";
 import testRoutes from "./src/routes/testRoutes.js";
 import authRoutes from "./src/routes/authRoutes.js";
 import takeWritingTestRoutes from "./src/routes/takeTest/takeWritingTestRoutes.js";
+import takeReadingTestRoutes from "./src/routes/takeTest/takeReadingTestRoutes.js";
+import takeListeningTestRoutes from "./src/routes/takeTest/takeListeningTestRoutes.js";
+import takeSpeakingTestRoutes from "./src/routes/takeTest/takeSpeakingTestRoutes.js";
+import mockTestRoutes from "./src/routes/takeTest/mockTestRoutes.js";
 import expertReviewRoutes from "./src/routes/takeTest/expertReviewRoutes.js";
+import bandRoutes from "./src/routes/bandRoutes.js";
+import evaluationPromptRoutes from "./src/routes/evaluationPromptRoutes.js";
+import meRoutes from "./src/routes/meRoutes.js";
+import modelAnswerRoutes from "./src/routes/modelAnswerRoutes.js";
+import writingQuestionRoutes from "./src/routes/writingQuestionRoutes.js";
+import { startWritingSessionJob } from "./src/jobs/writingSessionJob.js";
+import { startEvaluationWorker } from "./src/jobs/evaluationWorker.js";
+import { startExpertAssignmentJob } from "./src/jobs/expertAssignmentJob.js";
+import { startExpertSlaJob } from "./src/jobs/expertSlaJob.js";
 
 dotenv.config();
 
@@ -66,8 +79,36 @@ app.use("/api/tests", testRoutes);
 // Writing Test routes
 app.use("/api/take-test/writing", takeWritingTestRoutes);
 
+// Reading Test routes
+app.use("/api/take-test/reading", takeReadingTestRoutes);
+
+// Listening Test routes
+app.use("/api/take-test/listening", takeListeningTestRoutes);
+
+// Speaking Test routes
+app.use("/api/take-test/speaking", takeSpeakingTestRoutes);
+
+// Full mock test routes
+app.use("/api/take-test/mock", mockTestRoutes);
+
 // Expert Review routes
 app.use("/api/expert-review", expertReviewRoutes);
+
+// Band conversion routes
+app.use("/api/bands", bandRoutes);
+
+// Current user routes (progress, ...)
+app.use("/api/me", meRoutes);
+
+// Evaluation prompt management routes (admin)
+app.use("/api/admin/evaluation-prompts", evaluationPromptRoutes);
+
+// Model answer corpus for plagiarism checks (admin)
+app.use("/api/admin/model-answers", modelAnswerRoutes);
+
+// Writing question management routes (admin)
+app.use("/api/admin/writing-questions", writingQuestionRoutes);
+
 // Health check
 app.get("/", (req, res) => {
   console.log("✅ Received GET / request");
@@ -124,4 +165,18 @@ app.listen(PORT, () => {
   console.log(`✅ Server running on port ${PORT}`);
   console.log(`📍 Environment: ${process.env.NODE_ENV || "development"}`);
   console.log(`🌐 Frontend URL: ${process.env.FRONTEND_URL}`);
+
+  // Auto-submit writing sessions past their deadline
+  startWritingSessionJob();
+
+  // Run queued AI evaluations in the background
+  if (process.env.EVALUATION_WORKER_ENABLED !== "false") {
+    startEvaluationWorker();
+  }
+
+  // Release stale expert review claims (and auto-assign when enabled)
+  startExpertAssignmentJob();
+
+  // Escalate and reassign expert reviews past their SLA
+  startExpertSlaJob();
 });
\ No newline at end of file
@@ -0,0 +1,50 @@
+import { success, error } from "../utils/response.js";
+import { convertRawScore, TEST_CATEGORIES, MAX_RAW_SCORE } from "../services/bandConversionService.js";
+import { logError, logDebug } from "../utils/logger.js";
+
+const CATEGORY_ALIASES = {
+  academic: TEST_CATEGORIES.ACADEMIC,
+  general: TEST_CATEGORIES.GENERAL_TRAINING,
+  general_training: TEST_CATEGORIES.GENERAL_TRAINING,
+};
+
+// 🎯 Convert a raw reading/listening score (0-40) to an IELTS band
+export const convertBand = async (req, res) => {
+  try {
+    const { module, category, raw } = req.query;
+
+    if (!['listening', 'reading'].includes(module)) {
+      return error(res, "Module must be 'listening' or 'reading'", 400);
+    }
+
+    const categoryValue = CATEGORY_ALIASES[String(category).toLowerCase()] ?? parseInt(category);
+
+    if (module === 'reading' && !Object.values(TEST_CATEGORIES).includes(categoryValue)) {
+      return error(res, "Category must be 1 (academic) or 2 (general training) for reading", 400);
+    }
+
+    const rawScore = Number(raw);
+
+    if (!Number.isInteger(rawScore) || rawScore < 0 || rawScore > MAX_RAW_SCORE) {
+      return error(res, `Raw score must be a whole number between 0 and ${MAX_RAW_SCORE}`, 400);
+    }
+
+    const band = convertRawScore(module, categoryValue, rawScore);
+
+    logDebug('Band converted', { module, category: categoryValue, raw: rawScore, band });
+
+    success(res, {
+      module,
+      category: Number.isNaN(categoryValue) ? null : categoryValue,
+      raw: rawScore,
+      band
+    }, "Band converted successfully");
+  } catch (err) {
+    logError("Failed to convert band", err, {
+      query: req.query,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to convert band", 500);
+  }
+};
@@ -0,0 +1,59 @@
+import { success, error } from "../utils/response.js";
+import { getCreditSummary, grantCredits, formatCreditTransaction } from "../services/creditService.js";
+import { logError, logInfo } from "../utils/logger.js";
+
+// 🎟️ Expert review credit balance and history for the current user
+export const getMyCredits = async (req, res) => {
+  try {
+    const summary = await getCreditSummary(req.user.id, { limit: req.query.limit });
+
+    success(res, summary, "Credits fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch credits", err, {
+      userId: req.user?.id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch credits", 500);
+  }
+};
+
+// 🎟️ ADMIN: Expert review credit balance and history of a user
+export const getUserCredits = async (req, res) => {
+  try {
+    const summary = await getCreditSummary(req.params.id, { limit: req.query.limit });
+
+    success(res, summary, "Credits fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch user credits", err, {
+      userId: req.params.id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch user credits", 500);
+  }
+};
+
+// ➕ ADMIN: Grant expert review credits to a user
+export const grantUserCredits = async (req, res) => {
+  try {
+    const { amount, note } = req.body;
+
+    const transaction = await grantCredits(req.params.id, amount, req.user.id, note);
+
+    logInfo('Expert review credits granted', {
+      userId: req.params.id,
+      amount,
+      adminId: req.user.id
+    });
+
+    success(res, formatCreditTransaction(transaction), "Credits granted successfully", 201);
+  } catch (err) {
+    logError("Failed to grant credits", err, {
+      userId: req.params.id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to grant credits", err.status || 500);
+  }
+};
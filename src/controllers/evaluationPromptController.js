@@ -0,0 +1,186 @@
+import { prisma } from "../config/prismaClient.js";
+import { success, error } from "../utils/response.js";
+import { logError, logInfo } from "../utils/logger.js";
+import {
+  createPromptVersion,
+  updatePromptVersion,
+  activatePromptVersion,
+  queuePromptComparison,
+  findPromptOrFail,
+  getActivePrompt,
+  parseComparison,
+  formatComparison,
+  formatPrompt,
+  BUILTIN_PROMPT_VERSION
+} from "../services/promptService.js";
+
+const PROMPT_MODULES = ["writing"];
+
+// 🧾 List prompt versions (optionally by module)
+export const getPromptVersions = async (req, res) => {
+  try {
+    const { module } = req.query;
+
+    const prompts = await prisma.evaluation_prompts.findMany({
+      where: module ? { module } : {},
+      orderBy: [{ module: "asc" }, { version: "desc" }]
+    });
+
+    const active = await getActivePrompt("writing");
+
+    success(res, {
+      active_writing_version: active.version,
+      uses_builtin_prompt: active.version === BUILTIN_PROMPT_VERSION,
+      prompts: prompts.map(formatPrompt)
+    }, "Prompt versions fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch prompt versions", err, {
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch prompt versions", 500);
+  }
+};
+
+// 📄 Get a single prompt version
+export const getPromptVersion = async (req, res) => {
+  try {
+    const prompt = await findPromptOrFail(req.params.promptId);
+    success(res, formatPrompt(prompt), "Prompt version fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch prompt version", err, {
+      promptId: req.params.promptId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to fetch prompt version", err.status || 500);
+  }
+};
+
+// ➕ Create a draft prompt version
+export const createPrompt = async (req, res) => {
+  try {
+    const { module = "writing", system_prompt, notes } = req.body;
+
+    if (!PROMPT_MODULES.includes(module)) {
+      return error(res, `module must be one of: ${PROMPT_MODULES.join(", ")}`, 400);
+    }
+
+    if (typeof system_prompt !== "string" || system_prompt.trim() === "") {
+      return error(res, "system_prompt is required", 400);
+    }
+
+    const prompt = await createPromptVersion({
+      module,
+      systemPrompt: system_prompt,
+      notes,
+      createdBy: req.user.id
+    });
+
+    logInfo('Prompt version created', {
+      promptId: prompt.id.toString(),
+      module,
+      version: prompt.version,
+      adminId: req.user.id
+    });
+    success(res, formatPrompt(prompt), "Prompt version created successfully", 201);
+  } catch (err) {
+    logError("Failed to create prompt version", err, {
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to create prompt version", 500);
+  }
+};
+
+// 📝 Edit a draft prompt version
+export const updatePrompt = async (req, res) => {
+  try {
+    const { system_prompt, notes } = req.body;
+
+    if (system_prompt !== undefined && (typeof system_prompt !== "string" || system_prompt.trim() === "")) {
+      return error(res, "system_prompt must be a non-empty string", 400);
+    }
+
+    const prompt = await updatePromptVersion(req.params.promptId, {
+      systemPrompt: system_prompt,
+      notes
+    });
+
+    logInfo('Prompt version updated', { promptId: req.params.promptId, adminId: req.user.id });
+    success(res, formatPrompt(prompt), "Prompt version updated successfully");
+  } catch (err) {
+    logError("Failed to update prompt version", err, {
+      promptId: req.params.promptId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to update prompt version", err.status || 500);
+  }
+};
+
+// 🔬 Queue a re-evaluation of a sample of past submissions with a candidate prompt
+export const comparePrompt = async (req, res) => {
+  try {
+    const { sample_size } = req.body;
+
+    const comparison = await queuePromptComparison(req.params.promptId, sample_size);
+
+    logInfo('Prompt comparison queued', {
+      promptId: req.params.promptId,
+      sampleSize: comparison.requested_sample_size,
+      adminId: req.user.id
+    });
+    success(res, formatComparison(comparison), "Prompt comparison queued. Poll the comparison for its progress.", 202);
+  } catch (err) {
+    logError("Failed to queue prompt comparison", err, {
+      promptId: req.params.promptId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to compare prompt version", err.status || 500);
+  }
+};
+
+// 📈 Get the progress or outcome of a prompt comparison
+export const getPromptComparison = async (req, res) => {
+  try {
+    const prompt = await findPromptOrFail(req.params.promptId);
+    const comparison = parseComparison(prompt.comparison);
+
+    if (!comparison) {
+      return error(res, "This prompt version hasn't been compared yet", 404);
+    }
+
+    success(res, formatComparison(comparison), "Prompt comparison fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch prompt comparison", err, {
+      promptId: req.params.promptId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to fetch prompt comparison", err.status || 500);
+  }
+};
+
+// ✅ Activate a prompt version for new evaluations
+export const activatePrompt = async (req, res) => {
+  try {
+    const prompt = await activatePromptVersion(req.params.promptId);
+
+    logInfo('Prompt version activated', {
+      promptId: prompt.id.toString(),
+      module: prompt.module,
+      version: prompt.version,
+      adminId: req.user.id
+    });
+    success(res, formatPrompt(prompt), "Prompt version activated successfully");
+  } catch (err) {
+    logError("Failed to activate prompt version", err, {
+      promptId: req.params.promptId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to activate prompt version", err.status || 500);
+  }
+};
@@ -0,0 +1,167 @@
+import { prisma } from "../config/prismaClient.js";
+import { success, error } from "../utils/response.js";
+import { indexText, removeSignatures, SIGNATURE_SOURCES } from "../services/similarityService.js";
+import { normalizeText } from "../utils/textHelper.js";
+import { logError, logInfo } from "../utils/logger.js";
+
+const formatModelAnswer = (answer) => ({
+  id: answer.id.toString(),
+  title: answer.title,
+  task_number: answer.task_number,
+  test_id: answer.test_id ? answer.test_id.toString() : null,
+  source_url: answer.source_url,
+  answer_text: answer.answer_text,
+  created_by: answer.created_by ? answer.created_by.toString() : null,
+  created_at: answer.created_at,
+  updated_at: answer.updated_at
+});
+
+// Validate the editable fields; returns an error message or null
+const validateModelAnswer = ({ title, task_number, answer_text }) => {
+  if (typeof title !== "string" || title.trim() === "") return "title is required";
+  if (![1, 2].includes(Number(task_number))) return "task_number must be 1 or 2";
+  if (typeof answer_text !== "string" || answer_text.trim() === "") return "answer_text is required";
+  return null;
+};
+
+// 🧾 List the model answer corpus used for plagiarism checks
+export const getModelAnswers = async (req, res) => {
+  try {
+    const { task_number } = req.query;
+
+    const answers = await prisma.model_answers.findMany({
+      where: task_number ? { task_number: parseInt(task_number) } : {},
+      orderBy: { id: "desc" }
+    });
+
+    success(res, answers.map(formatModelAnswer), "Model answers fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch model answers", err, {
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch model answers", 500);
+  }
+};
+
+// ➕ Add a known model answer to the corpus
+export const createModelAnswer = async (req, res) => {
+  try {
+    const validationError = validateModelAnswer(req.body);
+    if (validationError) {
+      return error(res, validationError, 400);
+    }
+
+    const { title, task_number, test_id, source_url, answer_text } = req.body;
+
+    const answer = await prisma.model_answers.create({
+      data: {
+        title: title.trim(),
+        task_number: Number(task_number),
+        test_id: test_id ? BigInt(test_id) : null,
+        source_url: source_url || null,
+        answer_text: normalizeText(answer_text),
+        created_by: req.user.id,
+        created_at: new Date(),
+        updated_at: new Date()
+      }
+    });
+
+    await indexText({
+      sourceType: SIGNATURE_SOURCES.CORPUS,
+      sourceId: answer.id,
+      taskNumber: answer.task_number,
+      text: answer.answer_text,
+      testId: answer.test_id
+    });
+
+    logInfo('Model answer created', { modelAnswerId: answer.id.toString(), adminId: req.user.id });
+    success(res, formatModelAnswer(answer), "Model answer created successfully", 201);
+  } catch (err) {
+    logError("Failed to create model answer", err, {
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to create model answer", 500);
+  }
+};
+
+// 📝 Update a model answer and re-index it
+export const updateModelAnswer = async (req, res) => {
+  try {
+    const id = BigInt(req.params.modelAnswerId);
+
+    const existing = await prisma.model_answers.findUnique({ where: { id } });
+    if (!existing) {
+      return error(res, "Model answer not found", 404);
+    }
+
+    const merged = {
+      title: req.body.title ?? existing.title,
+      task_number: req.body.task_number ?? existing.task_number,
+      answer_text: req.body.answer_text ?? existing.answer_text
+    };
+
+    const validationError = validateModelAnswer(merged);
+    if (validationError) {
+      return error(res, validationError, 400);
+    }
+
+    const answer = await prisma.model_answers.update({
+      where: { id },
+      data: {
+        title: merged.title.trim(),
+        task_number: Number(merged.task_number),
+        answer_text: normalizeText(merged.answer_text),
+        ...(req.body.source_url !== undefined && { source_url: req.body.source_url || null }),
+        ...(req.body.test_id !== undefined && { test_id: req.body.test_id ? BigInt(req.body.test_id) : null }),
+        updated_at: new Date()
+      }
+    });
+
+    // The task number may have changed, so drop the old signature first
+    await removeSignatures(SIGNATURE_SOURCES.CORPUS, answer.id);
+    await indexText({
+      sourceType: SIGNATURE_SOURCES.CORPUS,
+      sourceId: answer.id,
+      taskNumber: answer.task_number,
+      text: answer.answer_text,
+      testId: answer.test_id
+    });
+
+    logInfo('Model answer updated', { modelAnswerId: answer.id.toString(), adminId: req.user.id });
+    success(res, formatModelAnswer(answer), "Model answer updated successfully");
+  } catch (err) {
+    logError("Failed to update model answer", err, {
+      modelAnswerId: req.params.modelAnswerId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to update model answer", 500);
+  }
+};
+
+// ❌ Remove a model answer from the corpus
+export const deleteModelAnswer = async (req, res) => {
+  try {
+    const id = BigInt(req.params.modelAnswerId);
+
+    const existing = await prisma.model_answers.findUnique({ where: { id } });
+    if (!existing) {
+      return error(res, "Model answer not found", 404);
+    }
+
+    await removeSignatures(SIGNATURE_SOURCES.CORPUS, id);
+    await prisma.model_answers.delete({ where: { id } });
+
+    logInfo('Model answer deleted', { modelAnswerId: id.toString(), adminId: req.user.id });
+    success(res, null, "Model answer deleted successfully");
+  } catch (err) {
+    logError("Failed to delete model answer", err, {
+      modelAnswerId: req.params.modelAnswerId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to delete model answer", 500);
+  }
+};
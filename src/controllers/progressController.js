@@ -0,0 +1,25 @@
+import { success, error } from "../utils/response.js";
+import { getWritingProgress } from "../services/progressService.js";
+import { logError, logInfo } from "../utils/logger.js";
+
+// 📈 Writing progress per criterion over time for the current user
+export const getMyWritingProgress = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const progress = await getWritingProgress(userId, { window: req.query.window });
+
+    logInfo('Writing progress fetched successfully', {
+      userId,
+      evaluations: progress.total_evaluations
+    });
+    success(res, progress, "Writing progress fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch writing progress", err, {
+      userId: req.user?.id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch writing progress", 500);
+  }
+};
@@ -1,6 +1,40 @@
 import { prisma } from "../../config/prismaClient.js";
 import { success, error } from "../../utils/response.js";
 import { evaluateWritingTest } from "../../services/openaiService.js";
+import { getSubmissionSimilarityHits } from "../../services/similarityService.js";
+import {
+  isReviewAdmin,
+  assertCanReview,
+  claimReviewRequest as claimRequest,
+  releaseReviewRequest as releaseRequest,
+  autoAssignPendingRequests,
+  getExpertWorkloads
+} from "../../services/expertAssignmentService.js";
+import {
+  REVIEW_STATUS,
+  REOPENABLE_STATUSES,
+  transitionReviewRequest,
+  reopenReviewRequest,
+  recordStatusChange,
+  getStatusHistory
+} from "../../services/reviewStatusService.js";
+import {
+  getReviewableTasks,
+  validateExpertEvaluation,
+  parseExpertEvaluation,
+  compareWithAiEvaluation
+} from "../../services/expertScoringService.js";
+import {
+  REVIEW_EVENTS,
+  SLA_STATE,
+  getUserSlaPlan,
+  computeDueAt,
+  getSlaStatus,
+  recordReviewEvent,
+  getReviewEvents,
+  getSlaDashboard as getSlaDashboardData
+} from "../../services/expertSlaService.js";
+import { spendReviewCredit, refundReviewCredit } from "../../services/creditService.js";
 import { logError, logInfo, logDebug } from "../../utils/logger.js";
 
 // 📝 Request expert review for a submission
@@ -30,31 +64,69 @@ export const requestExpertReview = async (req, res) => {
       return error(res, "Unauthorized access", 403);
     }
 
-    // Check if expert review already requested for this submission
+    // Check if expert review already requested for this submission; rejected and cancelled requests are reopened
     const existingRequest = await prisma.expert_review_requests.findUnique({
       where: { submission_id: BigInt(submission_id) }
     });
 
-    if (existingRequest) {
+    if (existingRequest && !REOPENABLE_STATUSES.includes(existingRequest.status)) {
       return error(res, "Expert review already requested for this test", 409);
     }
 
-    // Create expert review request
-    const reviewRequest = await prisma.expert_review_requests.create({
-      data: {
-        submission_id: BigInt(submission_id),
-        user_id: BigInt(userId),
-        status: 'pending',
-        requested_at: new Date(),
-        created_at: new Date(),
-        updated_at: new Date()
+    // Due date follows the user's plan at the time of the request
+    const slaPlan = await getUserSlaPlan(userId);
+    const requestedAt = new Date();
+
+    // Create (or reopen) expert review request, paid for with one credit (402 when none are left)
+    const reviewRequest = await spendReviewCredit(userId, async (tx) => {
+      if (existingRequest) {
+        return reopenReviewRequest(tx, {
+          request: existingRequest,
+          actorId: userId,
+          data: {
+            requested_at: requestedAt,
+            sla_plan: slaPlan,
+            due_at: computeDueAt(requestedAt, slaPlan)
+          }
+        });
       }
+
+      const created = await tx.expert_review_requests.create({
+        data: {
+          submission_id: BigInt(submission_id),
+          user_id: BigInt(userId),
+          status: REVIEW_STATUS.PENDING,
+          requested_at: requestedAt,
+          sla_plan: slaPlan,
+          due_at: computeDueAt(requestedAt, slaPlan),
+          created_at: new Date(),
+          updated_at: new Date()
+        }
+      });
+
+      await recordStatusChange({
+        requestId: created.id,
+        from: null,
+        to: REVIEW_STATUS.PENDING,
+        actorId: userId,
+        createdAt: requestedAt
+      }, tx);
+
+      return created;
+    });
+
+    await recordReviewEvent({
+      requestId: reviewRequest.id,
+      event: REVIEW_EVENTS.REQUESTED,
+      actorId: userId,
+      details: { plan: slaPlan, due_at: reviewRequest.due_at, ...(existingRequest && { reopened_from: existingRequest.status }) }
     });
 
     logInfo('Expert review requested successfully', {
       userId,
       submissionId: submission_id,
-      reviewRequestId: reviewRequest.id.toString()
+      reviewRequestId: reviewRequest.id.toString(),
+      reopened: !!existingRequest
     });
 
     success(res, {
@@ -62,6 +134,8 @@ export const requestExpertReview = async (req, res) => {
       submission_id: reviewRequest.submission_id.toString(),
       status: reviewRequest.status,
       requested_at: reviewRequest.requested_at,
+      sla_plan: reviewRequest.sla_plan,
+      due_at: reviewRequest.due_at,
       message: "Expert review requested successfully"
     }, "Expert review requested successfully");
 
@@ -72,7 +146,7 @@ export const requestExpertReview = async (req, res) => {
       method: req.method,
       url: req.originalUrl
     });
-    error(res, err.message || "Failed to request expert review", 500);
+    error(res, err.message || "Failed to request expert review", err.status || 500);
   }
 };
 
@@ -116,6 +190,7 @@ export const getUserReviewRequests = async (req, res) => {
       requested_at: request.requested_at,
       reviewed_at: request.reviewed_at,
       admin_notes: request.admin_notes,
+      rejection_reason: request.rejection_reason,
       submission: {
         id: request.writing_submissions.id.toString(),
         test_id: request.writing_submissions.test_id.toString(),
@@ -169,6 +244,9 @@ export const getReviewRequestDetails = async (req, res) => {
       return error(res, "Unauthorized access", 403);
     }
 
+    const submission = request.writing_submissions;
+    const statusHistory = await getStatusHistory(request, { forStudent: true });
+
     // Format response
     const formattedRequest = {
       id: request.id.toString(),
@@ -176,15 +254,22 @@ export const getReviewRequestDetails = async (req, res) => {
       user_id: request.user_id.toString(),
       status: request.status,
       requested_at: request.requested_at,
+      sla_plan: request.sla_plan,
+      due_at: getSlaStatus(request).due_at,
       reviewed_at: request.reviewed_at,
       admin_notes: request.admin_notes,
+      rejection_reason: request.rejection_reason,
+      status_history: statusHistory,
       submission: {
-        id: request.writing_submissions.id.toString(),
-        test_id: request.writing_submissions.test_id.toString(),
-        overall_band_score: request.writing_submissions.overall_band_score,
-        expert_score: request.writing_submissions.expert_score,
-        expert_feedback: request.writing_submissions.expert_feedback,
-        expert_feedback_sent: request.writing_submissions.expert_feedback_sent
+        id: submission.id.toString(),
+        test_id: submission.test_id.toString(),
+        overall_band_score: submission.overall_band_score,
+        expert_score: submission.expert_score,
+        expert_feedback: submission.expert_feedback,
+        expert_feedback_sent: submission.expert_feedback_sent,
+        // Typed rubric scores and AI-vs-expert deltas, once the review is sent
+        expert_evaluation: submission.expert_feedback_sent ? parseExpertEvaluation(submission.expert_feedback) : null,
+        comparison: submission.expert_feedback_sent ? compareWithAiEvaluation(submission) : null
       }
     };
 
@@ -259,16 +344,80 @@ export const checkExpertReviewStatus = async (req, res) => {
   }
 };
 
+// 🚫 Cancel a review request no expert has picked up yet
+export const cancelReviewRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const { reason } = req.body || {};
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    const request = await prisma.expert_review_requests.findUnique({
+      where: { id: BigInt(requestId) }
+    });
+
+    if (!request) {
+      return error(res, "Review request not found", 404);
+    }
+
+    if (request.user_id.toString() !== userId.toString()) {
+      return error(res, "Unauthorized access", 403);
+    }
+
+    if (request.status !== REVIEW_STATUS.PENDING || request.assigned_to) {
+      return error(res, "Only review requests an expert hasn't picked up can be cancelled", 409);
+    }
+
+    // The credit is refunded in the same transaction, so a cancelled request always has its refund
+    let refund = null;
+    const cancelled = await transitionReviewRequest({
+      request,
+      to: REVIEW_STATUS.CANCELLED,
+      actorId: userId,
+      note: reason ? String(reason).trim() : null,
+      where: { assigned_to: null },
+      onTransition: async (tx) => {
+        refund = await refundReviewCredit(request, { actorId: userId, note: "Request cancelled" }, tx);
+      }
+    });
+
+    logInfo('Expert review request cancelled', { userId, requestId, creditRefunded: !!refund });
+
+    success(res, {
+      id: cancelled.id.toString(),
+      status: cancelled.status,
+      credit_refunded: !!refund
+    }, "Review request cancelled successfully");
+
+  } catch (err) {
+    logError("Failed to cancel review request", err, {
+      userId: req.user?.id,
+      requestId: req.params.requestId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to cancel review request", err.status || 500);
+  }
+};
+
 // 👨‍💼 ADMIN: Get all expert review requests
 export const getAllReviewRequests = async (req, res) => {
   try {
-    const { status } = req.query;
+    const { status, assigned } = req.query;
 
     // Build filter conditions
     const whereConditions = {};
     if (status && status !== 'all') {
       whereConditions.status = status;
     }
+    if (assigned === 'me') {
+      whereConditions.assigned_to = BigInt(req.user.id);
+    } else if (assigned === 'unassigned') {
+      whereConditions.assigned_to = null;
+    }
 
     const requests = await prisma.expert_review_requests.findMany({
       where: whereConditions,
@@ -296,9 +445,13 @@ export const getAllReviewRequests = async (req, res) => {
       submission_id: request.submission_id.toString(),
       user_id: request.user_id.toString(),
       status: request.status,
+      assigned_to: request.assigned_to ? request.assigned_to.toString() : null,
+      assigned_at: request.assigned_at,
       requested_at: request.requested_at,
+      sla: getSlaStatus(request),
       reviewed_at: request.reviewed_at,
       admin_notes: request.admin_notes,
+      rejection_reason: request.rejection_reason,
       submission: {
         id: request.writing_submissions.id.toString(),
         test_id: request.writing_submissions.test_id.toString(),
@@ -370,15 +523,27 @@ export const getReviewRequestDetailsAdmin = async (req, res) => {
       return error(res, "Review request not found", 404);
     }
 
+    // Plagiarism / duplicate essay hits for the reviewer
+    const similarityHits = await getSubmissionSimilarityHits(request.submission_id, request.user_id);
+    const events = await getReviewEvents(request.id);
+    const statusHistory = await getStatusHistory(request);
+
     // Format response
     const formattedRequest = {
       id: request.id.toString(),
       submission_id: request.submission_id.toString(),
       user_id: request.user_id.toString(),
       status: request.status,
+      assigned_to: request.assigned_to ? request.assigned_to.toString() : null,
+      assigned_at: request.assigned_at,
       requested_at: request.requested_at,
+      sla: getSlaStatus(request),
       reviewed_at: request.reviewed_at,
       admin_notes: request.admin_notes,
+      rejection_reason: request.rejection_reason,
+      similarity_hits: similarityHits,
+      status_history: statusHistory,
+      events,
       submission: {
         id: request.writing_submissions.id.toString(),
         test_id: request.writing_submissions.test_id.toString(),
@@ -429,55 +594,66 @@ export const submitExpertReview = async (req, res) => {
     const { requestId } = req.params;
     const {
       expert_evaluation,
-      expert_overall_score,
-      admin_notes,
-      status
+      admin_notes
     } = req.body;
 
     // Validate required fields
-    if (!expert_evaluation || !expert_overall_score) {
-      return error(res, "Expert evaluation and overall score are required", 400);
+    if (!expert_evaluation) {
+      return error(res, "Expert evaluation is required", 400);
     }
 
     // Find review request
     const reviewRequest = await prisma.expert_review_requests.findUnique({
-      where: { id: BigInt(requestId) }
+      where: { id: BigInt(requestId) },
+      include: { writing_submissions: true }
     });
 
     if (!reviewRequest) {
       return error(res, "Review request not found", 404);
     }
 
-    // Update submission with expert review
-    await prisma.writing_submissions.update({
-      where: { id: reviewRequest.submission_id },
-      data: {
-        expert_feedback: JSON.stringify(expert_evaluation),
-        expert_score: parseFloat(expert_overall_score),
-        expert_feedback_sent: true,
-        updated_at: new Date()
-      }
-    });
+    // Experts can only review requests they have claimed
+    assertCanReview(reviewRequest, req.user);
 
-    // Update review request status
-    await prisma.expert_review_requests.update({
-      where: { id: BigInt(requestId) },
-      data: {
-        status: status || 'completed',
-        reviewed_at: new Date(),
-        admin_notes: admin_notes || null,
-        updated_at: new Date()
-      }
+    // Score every answered task on the AI rubric; the overall band is computed, not entered
+    const evaluation = validateExpertEvaluation(
+      expert_evaluation,
+      getReviewableTasks(reviewRequest.writing_submissions)
+    );
+
+    // Admins may review without claiming first; the claim is recorded on their behalf
+    let request = reviewRequest;
+    if (request.status === REVIEW_STATUS.PENDING && isReviewAdmin(req.user)) {
+      request = await claimRequest(requestId, req.user.id);
+    }
+
+    // Complete the request and store the review on the submission in one transaction
+    const completed = await transitionReviewRequest({
+      request,
+      to: REVIEW_STATUS.COMPLETED,
+      actorId: req.user.id,
+      note: admin_notes,
+      data: admin_notes ? { admin_notes } : {},
+      onTransition: (tx) => tx.writing_submissions.update({
+        where: { id: reviewRequest.submission_id },
+        data: {
+          expert_feedback: JSON.stringify(evaluation),
+          expert_score: evaluation.overall_band,
+          expert_feedback_sent: true,
+          updated_at: new Date()
+        }
+      })
     });
 
     logInfo('Expert review submitted successfully', {
       requestId,
-      status: status || 'completed'
+      status: completed.status
     });
 
     success(res, {
       request_id: requestId,
-      status: status || 'completed',
+      status: completed.status,
+      expert_evaluation: evaluation,
       message: "Expert review submitted successfully"
     }, "Expert review submitted successfully");
 
@@ -487,7 +663,7 @@ export const submitExpertReview = async (req, res) => {
       method: req.method,
       url: req.originalUrl
     });
-    error(res, err.message || "Failed to submit expert review", 500);
+    error(res, err.message || "Failed to submit expert review", err.status || 500);
   }
 };
 
@@ -495,15 +671,18 @@ export const submitExpertReview = async (req, res) => {
 export const updateReviewRequestStatus = async (req, res) => {
   try {
     const { requestId } = req.params;
-    const { status, admin_notes } = req.body;
+    const { status, note, admin_notes, rejection_reason } = req.body;
 
     if (!status) {
       return error(res, "Status is required", 400);
     }
 
-    const validStatuses = ['pending', 'in_progress', 'completed', 'rejected'];
-    if (!validStatuses.includes(status)) {
-      return error(res, "Invalid status value", 400);
+    if (status === REVIEW_STATUS.CANCELLED) {
+      return error(res, "Only the student can cancel a review request", 400);
+    }
+
+    if (status === REVIEW_STATUS.COMPLETED) {
+      return error(res, "Submit the expert review to complete a review request", 400);
     }
 
     const reviewRequest = await prisma.expert_review_requests.findUnique({
@@ -514,21 +693,39 @@ export const updateReviewRequestStatus = async (req, res) => {
       return error(res, "Review request not found", 404);
     }
 
-    const updateData = {
-      status,
-      admin_notes: admin_notes || reviewRequest.admin_notes,
-      updated_at: new Date()
-    };
+    let updatedRequest;
+    let refund = null;
 
-    // If marking as completed or rejected, set reviewed_at
-    if (status === 'completed' || status === 'rejected') {
-      updateData.reviewed_at = new Date();
-    }
+    if (status === REVIEW_STATUS.IN_PROGRESS) {
+      // Starting a review is a claim
+      updatedRequest = await claimRequest(requestId, req.user.id);
+    } else {
+      assertCanReview(reviewRequest, req.user);
 
-    const updatedRequest = await prisma.expert_review_requests.update({
-      where: { id: BigInt(requestId) },
-      data: updateData
-    });
+      // Students see the rejection reason, so one is required
+      const reason = String(rejection_reason || note || "").trim();
+      if (status === REVIEW_STATUS.REJECTED && !reason) {
+        return error(res, "A rejection reason is required", 400);
+      }
+
+      // admin_notes is only changed when sent; the transition note goes to the status history
+      updatedRequest = await transitionReviewRequest({
+        request: reviewRequest,
+        to: status,
+        actorId: req.user.id,
+        note: status === REVIEW_STATUS.REJECTED ? reason : note,
+        data: {
+          ...(status === REVIEW_STATUS.REJECTED && { rejection_reason: reason }),
+          ...(admin_notes !== undefined && { admin_notes: admin_notes || null })
+        },
+        // The student gets the credit back for a rejected request, in the same transaction
+        onTransition: async (tx) => {
+          if (status === REVIEW_STATUS.REJECTED) {
+            refund = await refundReviewCredit(reviewRequest, { actorId: req.user.id, note: reason }, tx);
+          }
+        }
+      });
+    }
 
     logInfo('Review request status updated successfully', {
       requestId,
@@ -539,7 +736,9 @@ export const updateReviewRequestStatus = async (req, res) => {
       id: updatedRequest.id.toString(),
       status: updatedRequest.status,
       reviewed_at: updatedRequest.reviewed_at,
-      admin_notes: updatedRequest.admin_notes
+      admin_notes: updatedRequest.admin_notes,
+      rejection_reason: updatedRequest.rejection_reason,
+      credit_refunded: !!refund
     }, "Review request status updated successfully");
 
   } catch (err) {
@@ -549,6 +748,132 @@ export const updateReviewRequestStatus = async (req, res) => {
       method: req.method,
       url: req.originalUrl
     });
-    error(res, err.message || "Failed to update review request status", 500);
+    error(res, err.message || "Failed to update review request status", err.status || 500);
+  }
+};
+
+// 🙋 EXPERT: Claim a pending review request
+export const claimReviewRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const request = await claimRequest(requestId, req.user.id);
+
+    logInfo('Review request claimed', { requestId, expertId: req.user.id });
+
+    success(res, {
+      id: request.id.toString(),
+      status: request.status,
+      assigned_to: request.assigned_to.toString(),
+      assigned_at: request.assigned_at
+    }, "Review request claimed successfully");
+  } catch (err) {
+    logError("Failed to claim review request", err, {
+      requestId: req.params.requestId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to claim review request", err.status || 500);
+  }
+};
+
+// ↩️ EXPERT: Release a claimed review request
+export const releaseReviewRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const request = await releaseRequest(requestId, req.user);
+
+    logInfo('Review request released', { requestId, userId: req.user.id });
+
+    success(res, {
+      id: request.id.toString(),
+      status: request.status
+    }, "Review request released successfully");
+  } catch (err) {
+    logError("Failed to release review request", err, {
+      requestId: req.params.requestId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to release review request", err.status || 500);
+  }
+};
+
+// ⚖️ ADMIN: Assign pending requests to the least loaded experts
+export const autoAssignReviewRequests = async (req, res) => {
+  try {
+    const assignments = await autoAssignPendingRequests();
+
+    logInfo('Review requests auto-assigned', { count: assignments.length, adminId: req.user.id });
+
+    success(res, { assigned: assignments.length, assignments }, "Review requests assigned successfully");
+  } catch (err) {
+    logError("Failed to auto-assign review requests", err, {
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to auto-assign review requests", 500);
+  }
+};
+
+// 📊 ADMIN: Open reviews per expert
+export const getExpertWorkload = async (req, res) => {
+  try {
+    const workloads = await getExpertWorkloads();
+
+    success(res, workloads.map(w => ({ ...w, id: w.id.toString() })), "Expert workload fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch expert workload", err, {
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch expert workload", 500);
+  }
+};
+
+// ⏱️ ADMIN: Overdue and at-risk review requests
+export const getSlaDashboard = async (req, res) => {
+  try {
+    const { state } = req.query;
+
+    if (state && ![SLA_STATE.OVERDUE, SLA_STATE.AT_RISK].includes(state)) {
+      return error(res, `State must be ${SLA_STATE.OVERDUE} or ${SLA_STATE.AT_RISK}`, 400);
+    }
+
+    const dashboard = await getSlaDashboardData({ state });
+
+    success(res, dashboard, "SLA dashboard fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch SLA dashboard", err, {
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch SLA dashboard", 500);
+  }
+};
+
+// 🕓 Review request event history
+export const getReviewRequestEvents = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    const request = await prisma.expert_review_requests.findUnique({
+      where: { id: BigInt(requestId) },
+      select: { id: true }
+    });
+
+    if (!request) {
+      return error(res, "Review request not found", 404);
+    }
+
+    const events = await getReviewEvents(request.id);
+
+    success(res, events, "Review request events fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch review request events", err, {
+      requestId: req.params.requestId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch review request events", 500);
   }
 };
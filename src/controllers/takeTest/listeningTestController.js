@@ -0,0 +1,561 @@
+import { prisma } from "../../config/prismaClient.js";
+import { success, error } from "../../utils/response.js";
+import {
+  QUESTION_CATEGORIES,
+  loadTestQuestions,
+  buildQuestionGroups,
+  checkAnswers,
+  gradeAnswers,
+  saveFinishedTest,
+  formatFinishedTest
+} from "../../services/gradingService.js";
+import { STORAGE_DIRS, resolveStoredFile, streamFileWithRange } from "../../services/storageService.js";
+import { isValidId } from "../../utils/idHelper.js";
+import { logError, logInfo, logDebug } from "../../utils/logger.js";
+
+const MODULE = "listening";
+const LISTENING_PARTS = [1, 2, 3, 4];
+
+// Questions outside the four parts are never shown to the student, so they aren't graded either
+const getDeliveredQuestions = (questions) => questions.filter(q => LISTENING_PARTS.includes(q.part));
+
+// Section timing: recording length, then 10 minutes to transfer answers
+const AUDIO_MINUTES = parseInt(process.env.LISTENING_AUDIO_MINUTES) || 30;
+const TRANSFER_MINUTES = 10;
+const SUBMIT_GRACE_SECONDS = 30; // Allow for network latency on the final submit
+
+// Format a listening session with its current phase
+const formatSession = (session) => {
+  const now = Date.now();
+  const transferStartsAt = new Date(session.started_at.getTime() + AUDIO_MINUTES * 60 * 1000);
+
+  let phase = "closed";
+  if (session.status === "in_progress") {
+    if (now < transferStartsAt.getTime()) {
+      phase = "listening";
+    } else if (now < session.deadline_at.getTime()) {
+      phase = "transfer";
+    }
+  }
+
+  return {
+    id: session.id.toString(),
+    test_id: session.test_id.toString(),
+    status: session.status,
+    phase,
+    started_at: session.started_at,
+    transfer_starts_at: transferStartsAt,
+    deadline_at: session.deadline_at,
+    submitted_at: session.submitted_at,
+    remaining_seconds: Math.max(Math.floor((session.deadline_at.getTime() - now) / 1000), 0)
+  };
+};
+
+// Shared listing for academic (1) and general training (2) listening tests
+const getListeningTestsByCategory = async (req, res, category) => {
+  const userId = req.user?.id;
+  logDebug('Fetching listening tests', { userId, category });
+
+  const tests = await prisma.tests.findMany({
+    where: {
+      status: 1,
+      category,
+      audio: { not: null } // Only tests that have a recording
+    },
+    select: {
+      id: true,
+      name: true,
+      category: true,
+      type: true,
+      listening_meta_title: true,
+      listening_meta_description: true,
+      created_at: true,
+      updated_at: true
+    },
+    orderBy: {
+      id: "desc"
+    }
+  });
+
+  if (!tests || tests.length === 0) {
+    return success(res, [], "No active tests available");
+  }
+
+  // Include the user's latest attempt per test if authenticated
+  let attempts = [];
+  if (userId) {
+    attempts = await prisma.finished_tests.findMany({
+      where: {
+        user_id: BigInt(userId),
+        module: MODULE,
+        test_id: { in: tests.map(t => Number(t.id)) }
+      },
+      orderBy: { created_at: "desc" }
+    });
+  }
+
+  const formattedTests = tests.map(test => {
+    const latest = attempts.find(a => a.test_id === Number(test.id));
+
+    return {
+      id: test.id.toString(),
+      name: test.name,
+      title: test.name, // Alias for frontend compatibility
+      category: test.category,
+      type: test.type,
+      meta_title: test.listening_meta_title,
+      meta_description: test.listening_meta_description,
+      created_at: test.created_at,
+      updated_at: test.updated_at,
+      ...(latest && {
+        submission: {
+          id: latest.id.toString(),
+          total_score: Number(latest.total_score || 0),
+          band_score: latest.band_score,
+          submitted_at: latest.created_at
+        }
+      })
+    };
+  });
+
+  logInfo('Listening tests fetched successfully', { count: formattedTests.length, category, userId });
+  success(res, formattedTests, "Active tests fetched successfully");
+};
+
+// 🧾 Get all active academic listening tests
+export const getAcademicListeningTests = async (req, res) => {
+  try {
+    await getListeningTestsByCategory(req, res, 1);
+  } catch (err) {
+    logError("Failed to fetch academic listening tests", err, {
+      userId: req.user?.id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch tests", 500);
+  }
+};
+
+// 🧾 Get all active general training listening tests
+export const getGeneralTrainingListeningTests = async (req, res) => {
+  try {
+    await getListeningTestsByCategory(req, res, 2);
+  } catch (err) {
+    logError("Failed to fetch general training listening tests", err, {
+      userId: req.user?.id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch tests", 500);
+  }
+};
+
+// 🧾 Get listening test details with its four parts of questions (no answers)
+export const getListeningTestDetails = async (req, res) => {
+  try {
+    const { testId } = req.params;
+
+    if (!isValidId(testId)) {
+      return error(res, "Invalid test ID", 400);
+    }
+
+    const test = await prisma.tests.findUnique({
+      where: { id: BigInt(testId) },
+      select: {
+        id: true,
+        name: true,
+        category: true,
+        type: true,
+        status: true,
+        audio: true,
+        listening_meta_title: true,
+        listening_meta_description: true,
+        created_at: true,
+        updated_at: true
+      }
+    });
+
+    if (!test || test.status !== 1 || !test.audio) {
+      return error(res, "Test not found", 404);
+    }
+
+    const loaded = await loadTestQuestions(test.id, QUESTION_CATEGORIES.LISTENING);
+    const questions = getDeliveredQuestions(loaded.questions);
+    const { groups } = loaded;
+
+    if (questions.length === 0) {
+      return error(res, "No questions found for this test", 404);
+    }
+
+    const parts = LISTENING_PARTS.map(part => {
+      const partQuestions = questions.filter(q => q.part === part);
+      const partGroupIds = new Set(partQuestions.map(q => q.question_group_id));
+
+      return {
+        part,
+        question_groups: buildQuestionGroups(partQuestions, groups.filter(g => partGroupIds.has(Number(g.id)))),
+        total_questions: partQuestions.length
+      };
+    });
+
+    const testDetails = {
+      test: {
+        id: test.id.toString(),
+        name: test.name,
+        category: test.category,
+        type: test.type,
+        meta_title: test.listening_meta_title,
+        meta_description: test.listening_meta_description,
+        audio_url: `${req.baseUrl}/${test.id.toString()}/audio`,
+        created_at: test.created_at,
+        updated_at: test.updated_at
+      },
+      parts,
+      timing: {
+        audio_minutes: AUDIO_MINUTES,
+        transfer_minutes: TRANSFER_MINUTES,
+        total_minutes: AUDIO_MINUTES + TRANSFER_MINUTES
+      },
+      total_questions: questions.length
+    };
+
+    logInfo('Listening test details fetched successfully', { testId });
+    success(res, testDetails, "Test details fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch listening test details", err, {
+      testId: req.params.testId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch test details", 500);
+  }
+};
+
+// 🎧 Stream listening test audio (supports HTTP Range requests for seeking)
+export const streamListeningAudio = async (req, res) => {
+  try {
+    const { testId } = req.params;
+
+    if (!isValidId(testId)) {
+      return error(res, "Invalid test ID", 400);
+    }
+
+    const test = await prisma.tests.findUnique({
+      where: { id: BigInt(testId) },
+      select: { id: true, status: true, audio: true }
+    });
+
+    if (!test || test.status !== 1 || !test.audio) {
+      return error(res, "Audio not found", 404);
+    }
+
+    const filePath = resolveStoredFile(STORAGE_DIRS.audio, test.audio);
+
+    if (!filePath) {
+      return error(res, "Audio not found", 404);
+    }
+
+    const streamed = await streamFileWithRange(req, res, filePath);
+
+    if (!streamed) {
+      logError("Listening audio file missing from storage", new Error("File not found"), {
+        testId,
+        audio: test.audio
+      });
+      return error(res, "Audio not found", 404);
+    }
+
+    logDebug('Listening audio streamed', { testId, range: req.headers.range || null });
+  } catch (err) {
+    logError("Failed to stream listening audio", err, {
+      testId: req.params.testId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    if (!res.headersSent) {
+      error(res, "Failed to stream audio", 500);
+    }
+  }
+};
+
+// ⏱️ Start (or resume) a timed listening session
+export const startListeningTest = async (req, res) => {
+  try {
+    const { testId } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    if (!isValidId(testId)) {
+      return error(res, "Invalid test ID", 400);
+    }
+
+    const test = await prisma.tests.findUnique({
+      where: { id: BigInt(testId) },
+      select: { id: true, status: true, audio: true }
+    });
+
+    if (!test || test.status !== 1 || !test.audio) {
+      return error(res, "Test not found", 404);
+    }
+
+    // Resume an open session instead of resetting the timer
+    const openSession = await prisma.test_sessions.findFirst({
+      where: {
+        user_id: BigInt(userId),
+        test_id: test.id,
+        module: MODULE,
+        status: "in_progress",
+        deadline_at: { gt: new Date() }
+      },
+      orderBy: { started_at: "desc" }
+    });
+
+    if (openSession) {
+      return success(res, formatSession(openSession), "Session resumed");
+    }
+
+    const startedAt = new Date();
+    const session = await prisma.test_sessions.create({
+      data: {
+        user_id: BigInt(userId),
+        test_id: test.id,
+        module: MODULE,
+        status: "in_progress",
+        started_at: startedAt,
+        deadline_at: new Date(startedAt.getTime() + (AUDIO_MINUTES + TRANSFER_MINUTES) * 60 * 1000),
+        created_at: new Date(),
+        updated_at: new Date()
+      }
+    });
+
+    logInfo('Listening session started', {
+      userId,
+      testId,
+      sessionId: session.id.toString()
+    });
+
+    success(res, formatSession(session), "Session started", 201);
+  } catch (err) {
+    logError("Failed to start listening test", err, {
+      userId: req.user?.id,
+      testId: req.params.testId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to start test", 500);
+  }
+};
+
+// Hand a claimed session back so the student can submit again
+const releaseSession = (sessionId) => prisma.test_sessions.updateMany({
+  where: { id: sessionId, status: "submitting" },
+  data: { status: "in_progress", updated_at: new Date() }
+});
+
+// 📝 Submit listening test answers with auto-grading
+export const submitListeningTest = async (req, res) => {
+  try {
+    const { session_id, answers } = req.body;
+    const userId = req.user?.id;
+
+    if (!session_id || !answers || !Array.isArray(answers)) {
+      return error(res, "Invalid submission data", 400);
+    }
+
+    if (!isValidId(session_id)) {
+      return error(res, "Invalid session ID", 400);
+    }
+
+    const answersError = checkAnswers(answers);
+    if (answersError) {
+      return error(res, answersError, 400);
+    }
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    const session = await prisma.test_sessions.findUnique({
+      where: { id: BigInt(session_id) }
+    });
+
+    if (!session || session.module !== MODULE) {
+      return error(res, "Session not found", 404);
+    }
+
+    if (session.user_id.toString() !== userId.toString()) {
+      return error(res, "Unauthorized access", 403);
+    }
+
+    if (session.status !== "in_progress") {
+      return error(res, "This session has already been submitted", 409);
+    }
+
+    const now = new Date();
+
+    if (now.getTime() > session.deadline_at.getTime() + SUBMIT_GRACE_SECONDS * 1000) {
+      await prisma.test_sessions.updateMany({
+        where: { id: session.id, status: "in_progress" },
+        data: { status: "expired", updated_at: now }
+      });
+      return error(res, "The answer transfer window has closed", 409);
+    }
+
+    // Claim the session so a concurrent submit can't grade it twice
+    const claimed = await prisma.test_sessions.updateMany({
+      where: { id: session.id, status: "in_progress" },
+      data: { status: "submitting", updated_at: now }
+    });
+
+    if (claimed.count !== 1) {
+      return error(res, "This session has already been submitted", 409);
+    }
+
+    let finished;
+    let grade;
+
+    try {
+      const test = await prisma.tests.findUnique({
+        where: { id: session.test_id },
+        select: { id: true, category: true }
+      });
+
+      if (!test) {
+        await releaseSession(session.id);
+        return error(res, "Test not found", 404);
+      }
+
+      const questions = getDeliveredQuestions((await loadTestQuestions(test.id, QUESTION_CATEGORIES.LISTENING)).questions);
+
+      if (questions.length === 0) {
+        await releaseSession(session.id);
+        return error(res, "No questions found for this test", 404);
+      }
+
+      grade = gradeAnswers(questions, answers);
+      const timeTaken = Math.round((now.getTime() - session.started_at.getTime()) / 1000);
+
+      // The result and the closed session are saved together, so a failure leaves the session to be submitted again
+      finished = await prisma.$transaction(async (tx) => {
+        const created = await saveFinishedTest({
+          userId,
+          testId: test.id,
+          category: test.category,
+          module: MODULE,
+          grade,
+          extra: {
+            time_taken: timeTaken,
+            session_id: session.id.toString()
+          }
+        }, tx);
+
+        await tx.test_sessions.update({
+          where: { id: session.id },
+          data: {
+            status: "submitted",
+            submitted_at: now,
+            updated_at: now
+          }
+        });
+
+        return created;
+      });
+    } catch (err) {
+      await releaseSession(session.id);
+      throw err;
+    }
+
+    logInfo('Listening test submitted successfully', {
+      userId,
+      testId: session.test_id.toString(),
+      sessionId: session.id.toString(),
+      finishedTestId: finished.id.toString(),
+      totalScore: grade.total_score,
+      maxScore: grade.max_score,
+      bandScore: finished.band_score
+    });
+
+    success(res, formatFinishedTest(finished), "Test submitted successfully");
+  } catch (err) {
+    logError("Failed to submit listening test", err, {
+      userId: req.user?.id,
+      sessionId: req.body.session_id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to submit test", 500);
+  }
+};
+
+// 📊 Get user's listening test results
+export const getUserListeningResults = async (req, res) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    const finishedTests = await prisma.finished_tests.findMany({
+      where: {
+        user_id: BigInt(userId),
+        module: MODULE
+      },
+      orderBy: { created_at: "desc" }
+    });
+
+    const formattedResults = finishedTests.map(formatFinishedTest);
+
+    logInfo('User listening results fetched successfully', { userId, count: formattedResults.length });
+    success(res, formattedResults, "Results fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch listening results", err, {
+      userId: req.user?.id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to fetch results", 500);
+  }
+};
+
+// 📄 Get single listening result details
+export const getListeningResultDetails = async (req, res) => {
+  try {
+    const { resultId } = req.params;
+    const userId = req.user?.id;
+
+    if (!isValidId(resultId)) {
+      return error(res, "Invalid result ID", 400);
+    }
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    const finished = await prisma.finished_tests.findUnique({
+      where: { id: BigInt(resultId) }
+    });
+
+    if (!finished || finished.module !== MODULE) {
+      return error(res, "Result not found", 404);
+    }
+
+    if (finished.user_id?.toString() !== userId.toString()) {
+      return error(res, "Unauthorized access", 403);
+    }
+
+    logInfo('Listening result details fetched successfully', { userId, resultId });
+    success(res, formatFinishedTest(finished), "Result details fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch listening result details", err, {
+      userId: req.user?.id,
+      resultId: req.params.resultId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to fetch result details", 500);
+  }
+};
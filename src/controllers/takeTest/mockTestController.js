@@ -0,0 +1,547 @@
+import { prisma } from "../../config/prismaClient.js";
+import { success, error } from "../../utils/response.js";
+import {
+  MOCK_MODULES,
+  MODULE_DURATIONS,
+  MODULE_TEST_COLUMNS,
+  MODULE_TEST_FILTERS,
+  getCurrentModule,
+  isPastDeadline,
+  isWithinModuleWindow,
+  refreshAttemptScores,
+  formatAttempt
+} from "../../services/mockTestService.js";
+import { isValidBand } from "../../services/bandConversionService.js";
+import { isValidId } from "../../utils/idHelper.js";
+import { logError, logInfo, logDebug } from "../../utils/logger.js";
+
+// Format a mock_tests row for the response
+const formatMockTest = (mockTest) => ({
+  id: mockTest.id.toString(),
+  name: mockTest.name,
+  title: mockTest.name, // Alias for frontend compatibility
+  type: mockTest.type,
+  category: mockTest.category,
+  status: mockTest.status,
+  listening_test_id: mockTest.listening_test_id.toString(),
+  reading_test_id: mockTest.reading_test_id.toString(),
+  writing_test_id: mockTest.writing_test_id.toString(),
+  speaking_test_id: mockTest.speaking_test_id?.toString() || null,
+  created_at: mockTest.created_at,
+  updated_at: mockTest.updated_at
+});
+
+// Load an attempt owned by the current user
+const findUserAttempt = async (attemptId, userId) => {
+  if (!isValidId(attemptId)) {
+    return { status: 400, message: "Invalid attempt ID" };
+  }
+
+  const attempt = await prisma.mock_test_attempts.findUnique({
+    where: { id: BigInt(attemptId) },
+    include: { mock_test_modules: true, mock_tests: true }
+  });
+
+  if (!attempt) {
+    return { status: 404, message: "Mock test attempt not found" };
+  }
+
+  if (attempt.user_id.toString() !== userId.toString()) {
+    return { status: 403, message: "Unauthorized access" };
+  }
+
+  return { attempt };
+};
+
+// Check that a module result belongs to the user and to the mock's test for that module,
+// and was produced while the module was open
+const verifyModuleResult = async (moduleRow, resultId, userId, testId) => {
+  const { module } = moduleRow;
+
+  if (module === "listening" || module === "reading") {
+    const finished = await prisma.finished_tests.findUnique({
+      where: { id: BigInt(resultId) }
+    });
+
+    return !!finished &&
+      finished.module === module &&
+      finished.user_id?.toString() === userId.toString() &&
+      finished.test_id === Number(testId) &&
+      isWithinModuleWindow(moduleRow, finished.created_at);
+  }
+
+  if (module === "writing") {
+    const submission = await prisma.writing_submissions.findUnique({
+      where: { id: BigInt(resultId) }
+    });
+
+    return !!submission &&
+      submission.user_id.toString() === userId.toString() &&
+      submission.test_id === testId &&
+      isWithinModuleWindow(moduleRow, submission.created_at);
+  }
+
+  if (module === "speaking") {
+    const submission = await prisma.speaking_submissions.findUnique({
+      where: { id: BigInt(resultId) }
+    });
+
+    return !!submission &&
+      submission.user_id.toString() === userId.toString() &&
+      submission.test_id === testId &&
+      isWithinModuleWindow(moduleRow, submission.created_at);
+  }
+
+  return false;
+};
+
+// 🧾 Get all active full mock tests
+export const getMockTests = async (req, res) => {
+  try {
+    const { category } = req.query;
+    logDebug('Fetching mock tests', { category, userId: req.user?.id });
+
+    const mockTests = await prisma.mock_tests.findMany({
+      where: {
+        status: 1,
+        ...(category && { category: parseInt(category) })
+      },
+      orderBy: { id: "desc" }
+    });
+
+    logInfo('Mock tests fetched successfully', { count: mockTests.length });
+    success(res, mockTests.map(formatMockTest), "Mock tests fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch mock tests", err, {
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch mock tests", 500);
+  }
+};
+
+// ▶️ Start a full mock test attempt
+export const startMockTest = async (req, res) => {
+  try {
+    const { mockTestId } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    if (!isValidId(mockTestId)) {
+      return error(res, "Invalid mock test ID", 400);
+    }
+
+    const mockTest = await prisma.mock_tests.findUnique({
+      where: { id: BigInt(mockTestId) }
+    });
+
+    if (!mockTest || mockTest.status !== 1) {
+      return error(res, "Mock test not found", 404);
+    }
+
+    // Resume an attempt that is still being taken
+    const openAttempt = await prisma.mock_test_attempts.findFirst({
+      where: {
+        mock_test_id: mockTest.id,
+        user_id: BigInt(userId),
+        status: "in_progress"
+      },
+      include: { mock_test_modules: true }
+    });
+
+    if (openAttempt) {
+      return success(res, formatAttempt(openAttempt), "Mock test attempt resumed");
+    }
+
+    const attempt = await prisma.mock_test_attempts.create({
+      data: {
+        mock_test_id: mockTest.id,
+        user_id: BigInt(userId),
+        status: "in_progress",
+        current_module: MOCK_MODULES[0],
+        started_at: new Date(),
+        created_at: new Date(),
+        updated_at: new Date(),
+        mock_test_modules: {
+          create: MOCK_MODULES.map((module, index) => ({
+            module,
+            position: index + 1,
+            status: "locked",
+            created_at: new Date(),
+            updated_at: new Date()
+          }))
+        }
+      },
+      include: { mock_test_modules: true }
+    });
+
+    logInfo('Mock test attempt started', {
+      userId,
+      mockTestId,
+      attemptId: attempt.id.toString()
+    });
+
+    success(res, formatAttempt(attempt), "Mock test attempt started", 201);
+  } catch (err) {
+    logError("Failed to start mock test", err, {
+      userId: req.user?.id,
+      mockTestId: req.params.mockTestId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to start mock test", 500);
+  }
+};
+
+// 📊 Get user's mock test attempts
+export const getUserMockAttempts = async (req, res) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    const attempts = await prisma.mock_test_attempts.findMany({
+      where: { user_id: BigInt(userId) },
+      select: { id: true },
+      orderBy: { started_at: "desc" }
+    });
+
+    // Refresh so that newly arrived AI/expert scores are reflected
+    const refreshed = [];
+    for (const { id } of attempts) {
+      refreshed.push(formatAttempt(await refreshAttemptScores(id)));
+    }
+
+    logInfo('User mock test attempts fetched successfully', { userId, count: refreshed.length });
+    success(res, refreshed, "Mock test attempts fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch mock test attempts", err, {
+      userId: req.user?.id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to fetch mock test attempts", 500);
+  }
+};
+
+// 📄 Get a single mock test attempt with module progress
+export const getMockAttemptDetails = async (req, res) => {
+  try {
+    const { attemptId } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    const found = await findUserAttempt(attemptId, userId);
+    if (!found.attempt) {
+      return error(res, found.message, found.status);
+    }
+
+    const attempt = await refreshAttemptScores(found.attempt.id);
+
+    logInfo('Mock test attempt fetched successfully', { userId, attemptId });
+    success(res, {
+      ...formatAttempt(attempt),
+      mock_test: formatMockTest(found.attempt.mock_tests)
+    }, "Mock test attempt fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch mock test attempt", err, {
+      userId: req.user?.id,
+      attemptId: req.params.attemptId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to fetch mock test attempt", 500);
+  }
+};
+
+// ⏱️ Start the next module of a mock test attempt (modules are taken in order)
+export const startMockModule = async (req, res) => {
+  try {
+    const { attemptId, module } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    if (!MOCK_MODULES.includes(module)) {
+      return error(res, "Invalid module", 400);
+    }
+
+    const found = await findUserAttempt(attemptId, userId);
+    if (!found.attempt) {
+      return error(res, found.message, found.status);
+    }
+
+    const { attempt } = found;
+    const current = getCurrentModule(attempt.mock_test_modules);
+
+    if (!current || current.module !== module) {
+      return error(res, current
+        ? `Modules must be taken in order. Next module is ${current.module}`
+        : "All modules have already been submitted", 409);
+    }
+
+    const testId = attempt.mock_tests[MODULE_TEST_COLUMNS[module]];
+
+    // Re-starting an open module keeps the original timer
+    if (current.status === "in_progress") {
+      return success(res, {
+        attempt: formatAttempt(attempt),
+        test_id: testId?.toString() || null
+      }, "Module resumed");
+    }
+
+    const startedAt = new Date();
+    await prisma.mock_test_modules.update({
+      where: { id: current.id },
+      data: {
+        status: "in_progress",
+        started_at: startedAt,
+        deadline_at: new Date(startedAt.getTime() + MODULE_DURATIONS[module] * 60 * 1000),
+        updated_at: new Date()
+      }
+    });
+
+    const refreshed = await refreshAttemptScores(attempt.id);
+
+    logInfo('Mock test module started', { userId, attemptId, module });
+    success(res, {
+      attempt: formatAttempt(refreshed),
+      test_id: testId?.toString() || null
+    }, "Module started");
+  } catch (err) {
+    logError("Failed to start mock test module", err, {
+      userId: req.user?.id,
+      attemptId: req.params.attemptId,
+      module: req.params.module,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to start module", 500);
+  }
+};
+
+// ✅ Complete the current module, linking the graded result (finished test / writing or speaking submission)
+export const completeMockModule = async (req, res) => {
+  try {
+    const { attemptId, module } = req.params;
+    const { result_id } = req.body;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    if (!MOCK_MODULES.includes(module)) {
+      return error(res, "Invalid module", 400);
+    }
+
+    const found = await findUserAttempt(attemptId, userId);
+    if (!found.attempt) {
+      return error(res, found.message, found.status);
+    }
+
+    const { attempt } = found;
+    const moduleRow = attempt.mock_test_modules.find(m => m.module === module);
+
+    // Expired modules can still link a result that was finished before the deadline
+    if (!moduleRow || !["in_progress", "expired"].includes(moduleRow.status)) {
+      return error(res, "This module has not been started or is already submitted", 409);
+    }
+
+    if (result_id && !isValidId(result_id)) {
+      return error(res, "Invalid result ID", 400);
+    }
+
+    // Speaking may be scored live by an expert, every other module links its graded result
+    if (module !== "speaking" || result_id) {
+      if (!result_id) {
+        return error(res, "Result ID is required", 400);
+      }
+
+      const testId = attempt.mock_tests[MODULE_TEST_COLUMNS[module]];
+      const isValidResult = await verifyModuleResult(moduleRow, result_id, userId, testId);
+
+      if (!isValidResult) {
+        return error(res, "Result does not belong to this module of the mock test or was not finished within its time", 400);
+      }
+    } else if (isPastDeadline(moduleRow)) {
+      return error(res, "The time for this module has run out", 409);
+    }
+
+    const updated = await prisma.mock_test_modules.updateMany({
+      where: { id: moduleRow.id, status: moduleRow.status },
+      data: {
+        status: "submitted",
+        submitted_at: new Date(),
+        result_id: result_id ? BigInt(result_id) : null,
+        updated_at: new Date()
+      }
+    });
+
+    if (updated.count !== 1) {
+      return error(res, "This module has not been started or is already submitted", 409);
+    }
+
+    const refreshed = await refreshAttemptScores(attempt.id);
+
+    logInfo('Mock test module completed', {
+      userId,
+      attemptId,
+      module,
+      resultId: result_id || null
+    });
+
+    success(res, formatAttempt(refreshed), "Module submitted successfully");
+  } catch (err) {
+    logError("Failed to complete mock test module", err, {
+      userId: req.user?.id,
+      attemptId: req.params.attemptId,
+      module: req.params.module,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to submit module", 500);
+  }
+};
+
+// 👨‍💼 ADMIN: Create a full mock test from one test per module
+export const createMockTest = async (req, res) => {
+  try {
+    const {
+      name,
+      type,
+      category,
+      status,
+      listening_test_id,
+      reading_test_id,
+      writing_test_id,
+      speaking_test_id
+    } = req.body;
+
+    if (!name || !listening_test_id || !reading_test_id || !writing_test_id) {
+      return error(res, "Name and listening, reading and writing tests are required", 400);
+    }
+
+    const moduleTests = { listening: listening_test_id, reading: reading_test_id, writing: writing_test_id, speaking: speaking_test_id };
+
+    for (const [module, testId] of Object.entries(moduleTests)) {
+      if (testId && !isValidId(testId)) {
+        return error(res, `Invalid ${MODULE_TEST_COLUMNS[module]}`, 400);
+      }
+    }
+
+    // Each test must exist and be usable for the module it's assigned to
+    for (const [module, testId] of Object.entries(moduleTests)) {
+      if (!testId) continue;
+
+      const matching = await prisma.tests.count({
+        where: { id: BigInt(testId), ...MODULE_TEST_FILTERS[module] }
+      });
+
+      if (matching === 0) {
+        return error(res, `${MODULE_TEST_COLUMNS[module]} must be an existing ${module} test`, 400);
+      }
+    }
+
+    const mockTest = await prisma.mock_tests.create({
+      data: {
+        name,
+        type: parseInt(type) || 1,
+        category: parseInt(category) || 1,
+        status: parseInt(status) || 0,
+        listening_test_id: BigInt(listening_test_id),
+        reading_test_id: BigInt(reading_test_id),
+        writing_test_id: BigInt(writing_test_id),
+        speaking_test_id: speaking_test_id ? BigInt(speaking_test_id) : null,
+        created_at: new Date(),
+        updated_at: new Date()
+      }
+    });
+
+    logInfo('Mock test created successfully', { mockTestId: mockTest.id.toString(), name });
+    success(res, formatMockTest(mockTest), "Mock test created successfully", 201);
+  } catch (err) {
+    logError("Failed to create mock test", err, {
+      name: req.body.name,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to create mock test", 500);
+  }
+};
+
+// 👨‍💼 ADMIN: Enter an expert band for a submitted module (e.g. speaking)
+export const scoreMockModule = async (req, res) => {
+  try {
+    const { attemptId, module } = req.params;
+    const bandScore = parseFloat(req.body.band_score);
+
+    if (!MOCK_MODULES.includes(module)) {
+      return error(res, "Invalid module", 400);
+    }
+
+    if (!isValidBand(bandScore)) {
+      return error(res, "Band score must be between 0 and 9 in half-band steps", 400);
+    }
+
+    if (!isValidId(attemptId)) {
+      return error(res, "Invalid attempt ID", 400);
+    }
+
+    const moduleRow = await prisma.mock_test_modules.findUnique({
+      where: {
+        attempt_id_module: {
+          attempt_id: BigInt(attemptId),
+          module
+        }
+      }
+    });
+
+    if (!moduleRow) {
+      return error(res, "Mock test attempt not found", 404);
+    }
+
+    if (moduleRow.status === "locked" || moduleRow.status === "in_progress") {
+      return error(res, "This module has not been submitted yet", 409);
+    }
+
+    await prisma.mock_test_modules.update({
+      where: { id: moduleRow.id },
+      data: {
+        band_score: bandScore,
+        score_source: "expert",
+        status: "scored",
+        updated_at: new Date()
+      }
+    });
+
+    const refreshed = await refreshAttemptScores(moduleRow.attempt_id);
+
+    logInfo('Mock test module scored by expert', {
+      attemptId,
+      module,
+      bandScore,
+      scoredBy: req.user?.id
+    });
+
+    success(res, formatAttempt(refreshed), "Module scored successfully");
+  } catch (err) {
+    logError("Failed to score mock test module", err, {
+      attemptId: req.params.attemptId,
+      module: req.params.module,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to score module", 500);
+  }
+};
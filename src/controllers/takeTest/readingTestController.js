@@ -0,0 +1,326 @@
+import { prisma } from "../../config/prismaClient.js";
+import { success, error } from "../../utils/response.js";
+import {
+  QUESTION_CATEGORIES,
+  loadTestQuestions,
+  buildQuestionGroups,
+  checkAnswers,
+  gradeAnswers,
+  saveFinishedTest,
+  formatFinishedTest
+} from "../../services/gradingService.js";
+import { isValidId } from "../../utils/idHelper.js";
+import { logError, logInfo, logDebug } from "../../utils/logger.js";
+
+const MODULE = "reading";
+const PASSAGE_FIELDS = ["paragraph1", "paragraph2", "paragraph3", "paragraph4", "paragraph5"];
+
+// Shared listing for academic (1) and general training (2) reading tests
+const getReadingTestsByCategory = async (req, res, category) => {
+  const userId = req.user?.id;
+  logDebug('Fetching reading tests', { userId, category });
+
+  const tests = await prisma.tests.findMany({
+    where: {
+      status: 1,
+      category,
+      paragraph1: { not: null } // Only tests that have at least one passage
+    },
+    select: {
+      id: true,
+      name: true,
+      category: true,
+      type: true,
+      reading_meta_title: true,
+      reading_meta_description: true,
+      created_at: true,
+      updated_at: true
+    },
+    orderBy: {
+      id: "desc"
+    }
+  });
+
+  if (!tests || tests.length === 0) {
+    return success(res, [], "No active tests available");
+  }
+
+  // Include the user's latest attempt per test if authenticated
+  let attempts = [];
+  if (userId) {
+    attempts = await prisma.finished_tests.findMany({
+      where: {
+        user_id: BigInt(userId),
+        module: MODULE,
+        test_id: { in: tests.map(t => Number(t.id)) }
+      },
+      orderBy: { created_at: "desc" }
+    });
+  }
+
+  const formattedTests = tests.map(test => {
+    const latest = attempts.find(a => a.test_id === Number(test.id));
+
+    return {
+      id: test.id.toString(),
+      name: test.name,
+      title: test.name, // Alias for frontend compatibility
+      category: test.category,
+      type: test.type,
+      meta_title: test.reading_meta_title,
+      meta_description: test.reading_meta_description,
+      created_at: test.created_at,
+      updated_at: test.updated_at,
+      ...(latest && {
+        submission: {
+          id: latest.id.toString(),
+          total_score: Number(latest.total_score || 0),
+          band_score: latest.band_score,
+          submitted_at: latest.created_at
+        }
+      })
+    };
+  });
+
+  logInfo('Reading tests fetched successfully', { count: formattedTests.length, category, userId });
+  success(res, formattedTests, "Active tests fetched successfully");
+};
+
+// 🧾 Get all active academic reading tests
+export const getAcademicReadingTests = async (req, res) => {
+  try {
+    await getReadingTestsByCategory(req, res, 1);
+  } catch (err) {
+    logError("Failed to fetch academic reading tests", err, {
+      userId: req.user?.id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch tests", 500);
+  }
+};
+
+// 🧾 Get all active general training reading tests
+export const getGeneralTrainingReadingTests = async (req, res) => {
+  try {
+    await getReadingTestsByCategory(req, res, 2);
+  } catch (err) {
+    logError("Failed to fetch general training reading tests", err, {
+      userId: req.user?.id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch tests", 500);
+  }
+};
+
+// 🧾 Get reading test details with passages and grouped questions (no answers)
+export const getReadingTestDetails = async (req, res) => {
+  try {
+    const { testId } = req.params;
+
+    if (!isValidId(testId)) {
+      return error(res, "Invalid test ID", 400);
+    }
+
+    const test = await prisma.tests.findUnique({
+      where: { id: BigInt(testId) },
+      select: {
+        id: true,
+        name: true,
+        category: true,
+        type: true,
+        status: true,
+        reading_meta_title: true,
+        reading_meta_description: true,
+        paragraph1: true,
+        paragraph2: true,
+        paragraph3: true,
+        paragraph4: true,
+        paragraph5: true,
+        created_at: true,
+        updated_at: true
+      }
+    });
+
+    if (!test || test.status !== 1) {
+      return error(res, "Test not found", 404);
+    }
+
+    const { questions, groups } = await loadTestQuestions(test.id, QUESTION_CATEGORIES.READING);
+
+    if (questions.length === 0) {
+      return error(res, "No questions found for this test", 404);
+    }
+
+    const passages = PASSAGE_FIELDS
+      .map((field, index) => ({ number: index + 1, text: test[field] }))
+      .filter(passage => passage.text);
+
+    const testDetails = {
+      test: {
+        id: test.id.toString(),
+        name: test.name,
+        category: test.category,
+        type: test.type,
+        meta_title: test.reading_meta_title,
+        meta_description: test.reading_meta_description,
+        created_at: test.created_at,
+        updated_at: test.updated_at
+      },
+      passages,
+      question_groups: buildQuestionGroups(questions, groups),
+      total_questions: questions.length
+    };
+
+    logInfo('Reading test details fetched successfully', { testId });
+    success(res, testDetails, "Test details fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch reading test details", err, {
+      testId: req.params.testId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch test details", 500);
+  }
+};
+
+// 📝 Submit reading test answers with auto-grading
+export const submitReadingTest = async (req, res) => {
+  try {
+    const { test_id, answers, time_taken } = req.body;
+    const userId = req.user?.id;
+
+    if (!test_id || !answers || !Array.isArray(answers)) {
+      return error(res, "Invalid submission data", 400);
+    }
+
+    if (!isValidId(test_id)) {
+      return error(res, "Invalid test ID", 400);
+    }
+
+    const answersError = checkAnswers(answers);
+    if (answersError) {
+      return error(res, answersError, 400);
+    }
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    const test = await prisma.tests.findUnique({
+      where: { id: BigInt(test_id) },
+      select: { id: true, status: true, category: true }
+    });
+
+    if (!test || test.status !== 1) {
+      return error(res, "Test not found", 404);
+    }
+
+    const { questions } = await loadTestQuestions(test.id, QUESTION_CATEGORIES.READING);
+
+    if (questions.length === 0) {
+      return error(res, "No questions found for this test", 404);
+    }
+
+    const grade = gradeAnswers(questions, answers);
+
+    const finished = await saveFinishedTest({
+      userId,
+      testId: test.id,
+      category: test.category,
+      module: MODULE,
+      grade,
+      extra: { time_taken: time_taken || 0 }
+    });
+
+    logInfo('Reading test submitted successfully', {
+      userId,
+      testId: test_id,
+      finishedTestId: finished.id.toString(),
+      totalScore: grade.total_score,
+      maxScore: grade.max_score,
+      bandScore: finished.band_score
+    });
+
+    success(res, formatFinishedTest(finished), "Test submitted successfully");
+  } catch (err) {
+    logError("Failed to submit reading test", err, {
+      userId: req.user?.id,
+      testId: req.body.test_id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to submit test", 500);
+  }
+};
+
+// 📊 Get user's reading test results
+export const getUserReadingResults = async (req, res) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    const finishedTests = await prisma.finished_tests.findMany({
+      where: {
+        user_id: BigInt(userId),
+        module: MODULE
+      },
+      orderBy: { created_at: "desc" }
+    });
+
+    const formattedResults = finishedTests.map(formatFinishedTest);
+
+    logInfo('User reading results fetched successfully', { userId, count: formattedResults.length });
+    success(res, formattedResults, "Results fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch reading results", err, {
+      userId: req.user?.id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch results", 500);
+  }
+};
+
+// 📄 Get single reading result details
+export const getReadingResultDetails = async (req, res) => {
+  try {
+    const { resultId } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    if (!isValidId(resultId)) {
+      return error(res, "Invalid result ID", 400);
+    }
+
+    const finished = await prisma.finished_tests.findUnique({
+      where: { id: BigInt(resultId) }
+    });
+
+    if (!finished || finished.module !== MODULE) {
+      return error(res, "Result not found", 404);
+    }
+
+    if (finished.user_id?.toString() !== userId.toString()) {
+      return error(res, "Unauthorized access", 403);
+    }
+
+    logInfo('Reading result details fetched successfully', { userId, resultId });
+    success(res, formatFinishedTest(finished), "Result details fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch reading result details", err, {
+      userId: req.user?.id,
+      resultId: req.params.resultId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch result details", 500);
+  }
+};
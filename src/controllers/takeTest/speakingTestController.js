@@ -0,0 +1,665 @@
+import fs from "fs";
+import path from "path";
+import { prisma } from "../../config/prismaClient.js";
+import { success, error } from "../../utils/response.js";
+import { evaluateSpeakingTest } from "../../services/openaiService.js";
+import { transcribeAudio } from "../../services/transcriptionService.js";
+import { STORAGE_DIRS, resolveStoredFile, saveFile } from "../../services/storageService.js";
+import { logError, logInfo, logDebug } from "../../utils/logger.js";
+
+// Part 2 cue card: 1 minute to prepare, up to 2 minutes to speak
+const CUE_CARD_PREP_SECONDS = 60;
+const CUE_CARD_SPEAK_SECONDS = 120;
+
+const AUDIO_EXTENSIONS = {
+  "audio/webm": ".webm",
+  "audio/ogg": ".ogg",
+  "audio/mpeg": ".mp3",
+  "audio/mp4": ".m4a",
+  "audio/x-m4a": ".m4a",
+  "audio/wav": ".wav",
+  "audio/x-wav": ".wav",
+};
+
+// Format a speaking question for test takers
+const formatQuestion = (question) => {
+  const isCueCard = question.part === 2;
+
+  return {
+    id: question.id.toString(),
+    part: question.part,
+    position: question.position,
+    question_text: question.question_text,
+    ...(isCueCard && {
+      cue_card_points: question.cue_card_points
+        ? question.cue_card_points.split("\n").map(p => p.trim()).filter(Boolean)
+        : []
+    }),
+    prep_seconds: isCueCard ? (question.prep_seconds || CUE_CARD_PREP_SECONDS) : question.prep_seconds,
+    speak_seconds: isCueCard ? (question.speak_seconds || CUE_CARD_SPEAK_SECONDS) : question.speak_seconds
+  };
+};
+
+// Format a speaking submission for the response
+const formatSubmission = (submission) => ({
+  id: submission.id.toString(),
+  user_id: submission.user_id.toString(),
+  test_id: submission.test_id.toString(),
+  status: submission.status,
+  ai_evaluation: submission.ai_evaluation ? JSON.parse(submission.ai_evaluation) : null,
+  overall_band_score: submission.overall_band_score,
+  recordings: (submission.speaking_recordings || []).map(r => ({
+    id: r.id.toString(),
+    question_id: r.question_id.toString(),
+    mime_type: r.mime_type,
+    size_bytes: r.size_bytes,
+    transcript: r.transcript,
+    uploaded_at: r.updated_at
+  })),
+  submitted_at: submission.submitted_at,
+  created_at: submission.created_at,
+  updated_at: submission.updated_at
+});
+
+// Load a submission owned by the current user
+const findUserSubmission = async (submissionId, userId) => {
+  const submission = await prisma.speaking_submissions.findUnique({
+    where: { id: BigInt(submissionId) },
+    include: { speaking_recordings: true }
+  });
+
+  if (!submission) {
+    return { status: 404, message: "Submission not found" };
+  }
+
+  if (submission.user_id.toString() !== userId.toString()) {
+    return { status: 403, message: "Unauthorized access" };
+  }
+
+  return { submission };
+};
+
+// 🧾 Get all active speaking tests
+export const getSpeakingTests = async (req, res) => {
+  try {
+    const userId = req.user?.id;
+
+    const tests = await prisma.tests.findMany({
+      where: {
+        status: 1,
+        speaking_questions: {
+          some: {} // Only get tests that have at least one speaking question
+        }
+      },
+      select: {
+        id: true,
+        name: true,
+        category: true,
+        type: true,
+        created_at: true,
+        updated_at: true,
+        // Include user's evaluated submissions if authenticated
+        ...(userId && {
+          speaking_submissions: {
+            where: {
+              user_id: BigInt(userId),
+              status: "evaluated"
+            },
+            select: {
+              id: true,
+              overall_band_score: true,
+              submitted_at: true
+            },
+            orderBy: { submitted_at: "desc" }
+          }
+        })
+      },
+      orderBy: { id: "desc" }
+    });
+
+    if (!tests || tests.length === 0) {
+      return success(res, [], "No active tests available");
+    }
+
+    const formattedTests = tests.map(test => {
+      const latest = test.speaking_submissions?.[0];
+
+      return {
+        id: test.id.toString(),
+        name: test.name,
+        title: test.name, // Alias for frontend compatibility
+        category: test.category,
+        type: test.type,
+        created_at: test.created_at,
+        updated_at: test.updated_at,
+        ...(latest && {
+          submission: {
+            id: latest.id.toString(),
+            overall_band_score: latest.overall_band_score,
+            submitted_at: latest.submitted_at
+          }
+        })
+      };
+    });
+
+    logInfo('Speaking tests fetched successfully', { count: formattedTests.length, userId });
+    success(res, formattedTests, "Active tests fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch speaking tests", err, {
+      userId: req.user?.id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch tests", 500);
+  }
+};
+
+// 🧾 Get speaking test details: Part 1 questions, Part 2 cue card, Part 3 discussion
+export const getSpeakingTestDetails = async (req, res) => {
+  try {
+    const { testId } = req.params;
+
+    if (!testId || isNaN(testId)) {
+      return error(res, "Invalid test ID", 400);
+    }
+
+    const test = await prisma.tests.findUnique({
+      where: { id: BigInt(testId) },
+      select: {
+        id: true,
+        name: true,
+        category: true,
+        type: true,
+        status: true,
+        created_at: true,
+        updated_at: true,
+        speaking_questions: {
+          orderBy: [{ part: "asc" }, { position: "asc" }]
+        }
+      }
+    });
+
+    if (!test || test.status !== 1) {
+      return error(res, "Test not found", 404);
+    }
+
+    if (test.speaking_questions.length === 0) {
+      return error(res, "No questions found for this test", 404);
+    }
+
+    const questions = test.speaking_questions.map(formatQuestion);
+
+    const testDetails = {
+      test: {
+        id: test.id.toString(),
+        name: test.name,
+        category: test.category,
+        type: test.type,
+        created_at: test.created_at,
+        updated_at: test.updated_at
+      },
+      parts: {
+        part1: questions.filter(q => q.part === 1),
+        part2: questions.find(q => q.part === 2) || null,
+        part3: questions.filter(q => q.part === 3)
+      }
+    };
+
+    logInfo('Speaking test details fetched successfully', { testId });
+    success(res, testDetails, "Test details fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch speaking test details", err, {
+      testId: req.params.testId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch test details", 500);
+  }
+};
+
+// ▶️ Start (or resume) a speaking submission
+export const startSpeakingTest = async (req, res) => {
+  try {
+    const { testId } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    if (!testId || isNaN(testId)) {
+      return error(res, "Invalid test ID", 400);
+    }
+
+    const test = await prisma.tests.findUnique({
+      where: { id: BigInt(testId) },
+      select: { id: true, status: true }
+    });
+
+    if (!test || test.status !== 1) {
+      return error(res, "Test not found", 404);
+    }
+
+    const openSubmission = await prisma.speaking_submissions.findFirst({
+      where: {
+        user_id: BigInt(userId),
+        test_id: test.id,
+        status: "in_progress"
+      },
+      include: { speaking_recordings: true }
+    });
+
+    if (openSubmission) {
+      return success(res, formatSubmission(openSubmission), "Speaking test resumed");
+    }
+
+    const submission = await prisma.speaking_submissions.create({
+      data: {
+        user_id: BigInt(userId),
+        test_id: test.id,
+        status: "in_progress",
+        created_at: new Date(),
+        updated_at: new Date()
+      },
+      include: { speaking_recordings: true }
+    });
+
+    logInfo('Speaking test started', { userId, testId, submissionId: submission.id.toString() });
+    success(res, formatSubmission(submission), "Speaking test started", 201);
+  } catch (err) {
+    logError("Failed to start speaking test", err, {
+      userId: req.user?.id,
+      testId: req.params.testId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to start test", 500);
+  }
+};
+
+// 🎙️ Upload the recording for one question (multipart field "audio", body: question_id)
+export const uploadSpeakingRecording = async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+    const { question_id } = req.body;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    if (!req.file || !question_id) {
+      return error(res, "Audio file and question ID are required", 400);
+    }
+
+    const found = await findUserSubmission(submissionId, userId);
+    if (!found.submission) {
+      return error(res, found.message, found.status);
+    }
+
+    const { submission } = found;
+
+    if (submission.status !== "in_progress") {
+      return error(res, "This speaking test has already been submitted", 409);
+    }
+
+    const question = await prisma.speaking_questions.findUnique({
+      where: { id: BigInt(question_id) }
+    });
+
+    if (!question || question.test_id !== submission.test_id) {
+      return error(res, "Question does not belong to this test", 400);
+    }
+
+    const extension = AUDIO_EXTENSIONS[req.file.mimetype] || path.extname(req.file.originalname) || ".bin";
+    const relativePath = await saveFile(
+      STORAGE_DIRS.speaking,
+      `${submission.id}/${question.id}-${Date.now()}${extension}`,
+      req.file.buffer
+    );
+
+    const previous = submission.speaking_recordings.find(r => r.question_id === question.id);
+
+    const recording = await prisma.speaking_recordings.upsert({
+      where: {
+        submission_id_question_id: {
+          submission_id: submission.id,
+          question_id: question.id
+        }
+      },
+      create: {
+        submission_id: submission.id,
+        question_id: question.id,
+        audio_path: relativePath,
+        mime_type: req.file.mimetype,
+        size_bytes: req.file.size,
+        created_at: new Date(),
+        updated_at: new Date()
+      },
+      update: {
+        audio_path: relativePath,
+        mime_type: req.file.mimetype,
+        size_bytes: req.file.size,
+        transcript: null,
+        updated_at: new Date()
+      }
+    });
+
+    // Remove the replaced recording from storage
+    if (previous) {
+      const previousPath = resolveStoredFile(STORAGE_DIRS.speaking, previous.audio_path);
+      if (previousPath) {
+        await fs.promises.unlink(previousPath).catch(() => {});
+      }
+    }
+
+    logInfo('Speaking recording uploaded', {
+      userId,
+      submissionId,
+      questionId: question_id,
+      sizeBytes: req.file.size,
+      replaced: !!previous
+    });
+
+    success(res, {
+      id: recording.id.toString(),
+      question_id: recording.question_id.toString(),
+      mime_type: recording.mime_type,
+      size_bytes: recording.size_bytes,
+      uploaded_at: recording.updated_at
+    }, "Recording uploaded successfully");
+  } catch (err) {
+    logError("Failed to upload speaking recording", err, {
+      userId: req.user?.id,
+      submissionId: req.params.submissionId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to upload recording", 500);
+  }
+};
+
+// Put a claimed submission back so the student can submit again
+const releaseSubmission = (submissionId) => prisma.speaking_submissions.updateMany({
+  where: { id: submissionId, status: "submitting" },
+  data: { status: "in_progress", updated_at: new Date() }
+});
+
+// Error carrying the HTTP status the handler should respond with
+const submitError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Transcribe and evaluate a claimed submission, storing the result
+const evaluateSubmission = async (submission) => {
+  const questions = await prisma.speaking_questions.findMany({
+    where: { test_id: submission.test_id },
+    orderBy: [{ part: "asc" }, { position: "asc" }]
+  });
+
+  // Transcribe recordings that have not been transcribed yet
+  for (const recording of submission.speaking_recordings) {
+    if (recording.transcript) continue;
+
+    const filePath = resolveStoredFile(STORAGE_DIRS.speaking, recording.audio_path);
+    if (!filePath) {
+      logError("Speaking recording missing from storage", new Error("File not found"), {
+        recordingId: recording.id.toString(),
+        audioPath: recording.audio_path
+      });
+      throw submitError("A recording could not be found, please record that question again", 409);
+    }
+
+    const transcription = await transcribeAudio(filePath);
+
+    await prisma.speaking_recordings.update({
+      where: { id: recording.id },
+      data: { transcript: transcription.text, updated_at: new Date() }
+    });
+    recording.transcript = transcription.text;
+
+    logDebug('Speaking recording transcribed', {
+      recordingId: recording.id.toString(),
+      provider: transcription.provider
+    });
+  }
+
+  const answers = questions.map(question => {
+    const recording = submission.speaking_recordings.find(r => r.question_id === question.id);
+    const cueCard = question.part === 2 && question.cue_card_points
+      ? `\nYou should say:\n${question.cue_card_points}`
+      : "";
+
+    return {
+      part: question.part,
+      question: `${question.question_text}${cueCard}`,
+      transcript: recording?.transcript || ""
+    };
+  });
+
+  const aiEvaluation = await evaluateSpeakingTest({ answers });
+
+  if (!aiEvaluation.success) {
+    logError("Speaking evaluation failed", new Error(aiEvaluation.error), { submissionId: submission.id.toString() });
+    throw submitError("Failed to evaluate test, please try again", 502);
+  }
+
+  return prisma.speaking_submissions.update({
+    where: { id: submission.id },
+    data: {
+      ai_evaluation: JSON.stringify(aiEvaluation.data),
+      overall_band_score: aiEvaluation.data.overall_band,
+      status: "evaluated",
+      submitted_at: new Date(),
+      updated_at: new Date()
+    },
+    include: { speaking_recordings: true }
+  });
+};
+
+// 📝 Submit speaking test: transcribe all recordings and evaluate with AI
+export const submitSpeakingTest = async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    const found = await findUserSubmission(submissionId, userId);
+    if (!found.submission) {
+      return error(res, found.message, found.status);
+    }
+
+    const { submission } = found;
+
+    if (submission.status !== "in_progress") {
+      return error(res, "This speaking test has already been submitted", 409);
+    }
+
+    if (submission.speaking_recordings.length === 0) {
+      return error(res, "At least one recording is required", 400);
+    }
+
+    // Claim the submission so a concurrent submit can't transcribe and evaluate it twice
+    const claimed = await prisma.speaking_submissions.updateMany({
+      where: { id: submission.id, status: "in_progress" },
+      data: { status: "submitting", updated_at: new Date() }
+    });
+
+    if (claimed.count !== 1) {
+      return error(res, "This speaking test has already been submitted", 409);
+    }
+
+    try {
+      const updated = await evaluateSubmission(submission);
+
+      logInfo('Speaking test submitted successfully', {
+        userId,
+        submissionId,
+        overallBand: updated.overall_band_score
+      });
+
+      success(res, formatSubmission(updated), "Test submitted successfully");
+    } catch (err) {
+      await releaseSubmission(submission.id);
+      throw err;
+    }
+  } catch (err) {
+    logError("Failed to submit speaking test", err, {
+      userId: req.user?.id,
+      submissionId: req.params.submissionId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.status ? err.message : "Failed to submit test", err.status || 500);
+  }
+};
+
+// 📊 Get user's speaking submissions
+export const getUserSpeakingSubmissions = async (req, res) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    const submissions = await prisma.speaking_submissions.findMany({
+      where: { user_id: BigInt(userId) },
+      include: { speaking_recordings: true },
+      orderBy: { created_at: "desc" }
+    });
+
+    const formattedSubmissions = submissions.map(formatSubmission);
+
+    logInfo('User speaking submissions fetched successfully', { userId, count: formattedSubmissions.length });
+    success(res, formattedSubmissions, "Submissions fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch speaking submissions", err, {
+      userId: req.user?.id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to fetch submissions", 500);
+  }
+};
+
+// 📄 Get single speaking submission details
+export const getSpeakingSubmissionDetails = async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    const found = await findUserSubmission(submissionId, userId);
+    if (!found.submission) {
+      return error(res, found.message, found.status);
+    }
+
+    logInfo('Speaking submission details fetched successfully', { userId, submissionId });
+    success(res, formatSubmission(found.submission), "Submission details fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch speaking submission details", err, {
+      userId: req.user?.id,
+      submissionId: req.params.submissionId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to fetch submission details", 500);
+  }
+};
+
+// 👨‍💼 ADMIN: Add a speaking question (Part 1/3 question or the Part 2 cue card)
+export const createSpeakingQuestion = async (req, res) => {
+  try {
+    const { testId } = req.params;
+    const { part, position, question_text, cue_card_points, prep_seconds, speak_seconds } = req.body;
+    const partNumber = parseInt(part);
+
+    if (![1, 2, 3].includes(partNumber) || !question_text) {
+      return error(res, "Part (1, 2 or 3) and question text are required", 400);
+    }
+
+    const test = await prisma.tests.findUnique({
+      where: { id: BigInt(testId) },
+      select: { id: true }
+    });
+
+    if (!test) {
+      return error(res, "Test not found", 404);
+    }
+
+    if (partNumber === 2) {
+      const existingCueCard = await prisma.speaking_questions.findFirst({
+        where: { test_id: test.id, part: 2 }
+      });
+
+      if (existingCueCard) {
+        return error(res, "This test already has a Part 2 cue card", 409);
+      }
+    }
+
+    const question = await prisma.speaking_questions.create({
+      data: {
+        test_id: test.id,
+        part: partNumber,
+        position: parseInt(position) || 1,
+        question_text,
+        cue_card_points: Array.isArray(cue_card_points) ? cue_card_points.join("\n") : (cue_card_points || null),
+        prep_seconds: partNumber === 2 ? (parseInt(prep_seconds) || CUE_CARD_PREP_SECONDS) : 0,
+        speak_seconds: parseInt(speak_seconds) || (partNumber === 2 ? CUE_CARD_SPEAK_SECONDS : 60),
+        created_at: new Date(),
+        updated_at: new Date()
+      }
+    });
+
+    logInfo('Speaking question created successfully', {
+      testId,
+      questionId: question.id.toString(),
+      part: partNumber
+    });
+
+    success(res, formatQuestion(question), "Question created successfully", 201);
+  } catch (err) {
+    logError("Failed to create speaking question", err, {
+      testId: req.params.testId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to create question", 500);
+  }
+};
+
+// 👨‍💼 ADMIN: Delete a speaking question
+export const deleteSpeakingQuestion = async (req, res) => {
+  try {
+    const { questionId } = req.params;
+
+    const question = await prisma.speaking_questions.findUnique({
+      where: { id: BigInt(questionId) }
+    });
+
+    if (!question) {
+      return error(res, "Question not found", 404);
+    }
+
+    await prisma.speaking_questions.delete({ where: { id: question.id } });
+
+    logInfo('Speaking question deleted successfully', { questionId });
+    success(res, null, "Question deleted successfully");
+  } catch (err) {
+    logError("Failed to delete speaking question", err, {
+      questionId: req.params.questionId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to delete question", 500);
+  }
+};
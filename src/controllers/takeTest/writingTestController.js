@@ -1,6 +1,34 @@
 import { prisma } from "../../config/prismaClient.js";
 import { success, error } from "../../utils/response.js";
-import { evaluateWritingTest, calculateAverageBand } from "../../services/openaiService.js";
+import {
+  processWritingSubmission,
+  retryWritingEvaluation,
+  formatWritingAttempt,
+  summarizeWritingAttempts,
+  EVALUATE_WRITING_JOB
+} from "../../services/writingSubmissionService.js";
+import { findJobsByData } from "../../services/jobQueueService.js";
+import { getTaskAnnotations } from "../../services/annotationService.js";
+import { STORAGE_DIRS, resolveStoredFile, streamFileWithRange } from "../../services/storageService.js";
+import {
+  createRewrite,
+  getSubmissionRewrites,
+  getQuestionModelAnswer,
+  formatRewrite,
+  formatQuestionModelAnswer
+} from "../../services/writingRewriteService.js";
+import {
+  WRITING_MINUTES,
+  getOpenWritingSession,
+  isSessionExpired,
+  getTimeTaken,
+  buildDraft,
+  claimSession,
+  closeSession,
+  autoSubmitSession,
+  formatWritingSession
+} from "../../services/writingSessionService.js";
+import { isValidId } from "../../utils/idHelper.js";
 import { logError, logInfo, logDebug } from "../../utils/logger.js";
 
 // 🧾 Get all active academic writing tests
@@ -24,17 +52,25 @@ export const getAcademicWritingTests = async (req, res) => {
         type: true,
         created_at: true,
         updated_at: true,
-        // Include user's submission if authenticated
+        // Include user's submissions if authenticated, latest first
         ...(userId && {
           writing_submissions: {
             where: {
               user_id: BigInt(userId)
             },
+            orderBy: { id: "desc" },
             select: {
               id: true,
               overall_band_score: true,
               ai_evaluation: true,
-              created_at: true
+              created_at: true,
+              writing_attempts: {
+                select: {
+                  attempt_number: true,
+                  overall_band_score: true,
+                  status: true
+                }
+              }
             }
           }
         })
@@ -76,6 +112,7 @@ export const getAcademicWritingTests = async (req, res) => {
           task2_score: task2Score,
           task1_completed: aiEval?.task1 && aiEval.task1.overall_band > 0,
           task2_completed: aiEval?.task2 && aiEval.task2.overall_band > 0,
+          ...summarizeWritingAttempts(test.writing_submissions.flatMap(s => s.writing_attempts)),
           submitted_at: sub.created_at
         };
       }
@@ -125,17 +162,25 @@ export const getGeneralTrainingWritingTests = async (req, res) => {
         type: true,
         created_at: true,
         updated_at: true,
-        // Include user's submission if authenticated
+        // Include user's submissions if authenticated, latest first
         ...(userId && {
           writing_submissions: {
             where: {
               user_id: BigInt(userId)
             },
+            orderBy: { id: "desc" },
             select: {
               id: true,
               overall_band_score: true,
               ai_evaluation: true,
-              created_at: true
+              created_at: true,
+              writing_attempts: {
+                select: {
+                  attempt_number: true,
+                  overall_band_score: true,
+                  status: true
+                }
+              }
             }
           }
         })
@@ -177,6 +222,7 @@ export const getGeneralTrainingWritingTests = async (req, res) => {
           task2_score: task2Score,
           task1_completed: aiEval?.task1 && aiEval.task1.overall_band > 0,
           task2_completed: aiEval?.task2 && aiEval.task2.overall_band > 0,
+          ...summarizeWritingAttempts(test.writing_submissions.flatMap(s => s.writing_attempts)),
           submitted_at: sub.created_at
         };
       }
@@ -280,218 +326,291 @@ export const getWritingTestDetails = async (req, res) => {
   }
 };
 
-// 📝 Submit writing test answers with AI evaluation
-export const submitWritingTest = async (req, res) => {
+// 🖼️ Serve a writing question's chart image (published tests only, unless admin)
+export const getWritingQuestionImage = async (req, res) => {
   try {
-    const { test_id, answers, time_taken } = req.body;
-    const userId = req.user?.id;
+    const { questionId } = req.params;
 
-    // Validation
-    if (!test_id || !answers || !Array.isArray(answers)) {
-      return error(res, "Invalid submission data", 400);
+    if (!questionId || isNaN(questionId)) {
+      return error(res, "Invalid question ID", 400);
+    }
+
+    const question = await prisma.writing_questions.findUnique({
+      where: { id: BigInt(questionId) },
+      select: { image_url: true, tests: { select: { status: true } } }
+    });
+
+    if (!question?.image_url || (question.tests.status !== 1 && !req.user?.isAdmin)) {
+      return error(res, "Image not found", 404);
+    }
+
+    // Images kept by a remote storage driver are stored as absolute URLs
+    if (/^https?:\/\//i.test(question.image_url)) {
+      return res.redirect(question.image_url);
     }
 
+    const filePath = resolveStoredFile(STORAGE_DIRS.images, question.image_url);
+    const streamed = filePath && await streamFileWithRange(req, res, filePath);
+
+    if (!streamed) {
+      logError("Writing question image missing from storage", new Error("File not found"), {
+        questionId,
+        imageUrl: question.image_url
+      });
+      return error(res, "Image not found", 404);
+    }
+  } catch (err) {
+    logError("Failed to serve writing question image", err, {
+      questionId: req.params.questionId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    if (!res.headersSent) {
+      error(res, "Failed to serve image", 500);
+    }
+  }
+};
+
+// ⏱️ Start (or resume) a server-timed writing session
+export const startWritingTest = async (req, res) => {
+  try {
+    const { testId } = req.params;
+    const userId = req.user?.id;
+
     if (!userId) {
       return error(res, "User not authenticated", 401);
     }
 
-    // Check if user already has a submission for this test
-    const existingSubmission = await prisma.writing_submissions.findFirst({
-      where: {
-        user_id: BigInt(userId),
-        test_id: BigInt(test_id)
-      }
-    });
+    if (!isValidId(testId)) {
+      return error(res, "Invalid test ID", 400);
+    }
 
-    // Fetch test with questions
-    const test = await prisma.tests.findUnique({
-      where: { id: BigInt(test_id) },
-      include: {
-        writing_questions: {
-          orderBy: { task_number: 'asc' }
-        }
-      }
+    const test = await prisma.tests.findFirst({
+      where: {
+        id: BigInt(testId),
+        status: 1,
+        writing_questions: { some: {} }
+      },
+      select: { id: true }
     });
 
     if (!test) {
       return error(res, "Test not found", 404);
     }
 
-    // Organize answers by task number
-    const task1Answer = answers.find(a => a.task_number === 1);
-    const task2Answer = answers.find(a => a.task_number === 2);
+    let session = await getOpenWritingSession(userId, testId);
 
-    // Check if at least one task has NEW content
-    const hasTask1Content = task1Answer && task1Answer.word_count > 0;
-    const hasTask2Content = task2Answer && task2Answer.word_count > 0;
+    // An expired session is auto-submitted and a fresh one is started
+    if (session && isSessionExpired(session)) {
+      await autoSubmitSession(session);
+      session = null;
+    }
 
-    // If updating existing submission, merge with existing data
-    let existingTask1 = null;
-    let existingTask2 = null;
-    let existingAiEval = null;
+    const isResume = !!session;
 
-    if (existingSubmission) {
-      // Parse existing AI evaluation
-      existingAiEval = existingSubmission.ai_evaluation ? JSON.parse(existingSubmission.ai_evaluation) : null;
+    if (!session) {
+      const now = new Date();
+      session = await prisma.test_sessions.create({
+        data: {
+          user_id: BigInt(userId),
+          test_id: BigInt(testId),
+          module: "writing",
+          status: "in_progress",
+          started_at: now,
+          deadline_at: new Date(now.getTime() + WRITING_MINUTES * 60 * 1000),
+          created_at: now,
+          updated_at: now
+        }
+      });
+    }
 
-      // Get existing tasks that won't be overwritten
-      if (existingSubmission.task1_answer && !hasTask1Content) {
-        existingTask1 = {
-          answer_text: existingSubmission.task1_answer,
-          word_count: existingSubmission.task1_word_count
-        };
-      }
+    logInfo('Writing session started', {
+      userId,
+      testId,
+      sessionId: session.id.toString(),
+      isResume
+    });
+    success(res, {
+      session: formatWritingSession(session),
+      is_resume: isResume
+    }, isResume ? "Writing session resumed" : "Writing session started");
+  } catch (err) {
+    logError("Failed to start writing session", err, {
+      userId: req.user?.id,
+      testId: req.params.testId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to start writing session", 500);
+  }
+};
 
-      if (existingSubmission.task2_answer && !hasTask2Content) {
-        existingTask2 = {
-          answer_text: existingSubmission.task2_answer,
-          word_count: existingSubmission.task2_word_count
-        };
-      }
+// 💾 Autosave writing draft for the open session
+export const saveWritingDraft = async (req, res) => {
+  try {
+    const { testId } = req.params;
+    const { task1_answer, task2_answer } = req.body;
+    const userId = req.user?.id;
+
+    if ((task1_answer != null && typeof task1_answer !== "string") ||
+        (task2_answer != null && typeof task2_answer !== "string")) {
+      return error(res, "task1_answer and task2_answer must be strings", 400);
     }
 
-    // Check if at least one task has content (new or existing)
-    const hasFinalTask1 = hasTask1Content || existingTask1;
-    const hasFinalTask2 = hasTask2Content || existingTask2;
+    const session = await getOpenWritingSession(userId, testId);
 
-    if (!hasFinalTask1 && !hasFinalTask2) {
-      return error(res, "At least one task must be completed. Both tasks cannot be empty.", 400);
+    if (!session) {
+      return error(res, "No active writing session. Start the test first.", 404);
     }
 
-    // Validate word count for tasks that have content (not completely empty)
-    // If task has content but doesn't meet minimum (50%), reject it
-    if (task1Answer && task1Answer.word_count > 0) {
-      const task1Question = test.writing_questions.find(q => q.task_number === 1);
-      if (task1Question) {
-        const minWords = Math.ceil(task1Question.word_limit * 0.5);
-        if (task1Answer.word_count < minWords) {
-          return error(res, `Task 1 has ${task1Answer.word_count} words, but needs at least ${minWords} words (50% of ${task1Question.word_limit}). Either complete the task or leave it completely empty.`, 400);
-        }
-      }
+    if (isSessionExpired(session)) {
+      await autoSubmitSession(session);
+      return error(res, "Time is up. Your last saved draft has been submitted.", 409);
     }
 
-    if (task2Answer && task2Answer.word_count > 0) {
-      const task2Question = test.writing_questions.find(q => q.task_number === 2);
-      if (task2Question) {
-        const minWords = Math.ceil(task2Question.word_limit * 0.5);
-        if (task2Answer.word_count < minWords) {
-          return error(res, `Task 2 has ${task2Answer.word_count} words, but needs at least ${minWords} words (50% of ${task2Question.word_limit}). Either complete the task or leave it completely empty.`, 400);
-        }
+    const draft = buildDraft(task1_answer, task2_answer);
+
+    const updated = await prisma.test_sessions.update({
+      where: { id: session.id },
+      data: {
+        draft: JSON.stringify(draft),
+        updated_at: new Date()
       }
+    });
+
+    logDebug('Writing draft saved', {
+      userId,
+      testId,
+      sessionId: session.id.toString()
+    });
+    success(res, formatWritingSession(updated), "Draft saved");
+  } catch (err) {
+    logError("Failed to save writing draft", err, {
+      userId: req.user?.id,
+      testId: req.params.testId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to save draft", 500);
+  }
+};
+
+// 📄 Get the open writing session with its saved draft
+export const getWritingDraft = async (req, res) => {
+  try {
+    const { testId } = req.params;
+    const userId = req.user?.id;
+
+    const session = await getOpenWritingSession(userId, testId);
+
+    if (!session) {
+      return error(res, "No active writing session", 404);
     }
 
-    // Prepare data for OpenAI evaluation (only evaluate NEW tasks)
-    const submissionData = {};
+    if (isSessionExpired(session)) {
+      await autoSubmitSession(session);
+      return error(res, "Time is up. Your last saved draft has been submitted.", 409);
+    }
 
-    if (hasTask1Content && task1Answer.answer_text) {
-      const task1Question = test.writing_questions.find(q => q.task_number === 1);
-      submissionData.task1 = {
-        question: task1Question?.question_text || '',
-        answer: task1Answer.answer_text,
-        wordCount: task1Answer.word_count
-      };
+    success(res, formatWritingSession(session), "Writing session fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch writing draft", err, {
+      userId: req.user?.id,
+      testId: req.params.testId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch draft", 500);
+  }
+};
+
+// 📝 Submit writing test answers with AI evaluation
+export const submitWritingTest = async (req, res) => {
+  let claimedSessionId = null;
+
+  try {
+    const { test_id, answers } = req.body;
+    const userId = req.user?.id;
+
+    // Validation
+    if (!test_id || !answers || !Array.isArray(answers)) {
+      return error(res, "Invalid submission data", 400);
     }
 
-    if (hasTask2Content && task2Answer.answer_text) {
-      const task2Question = test.writing_questions.find(q => q.task_number === 2);
-      submissionData.task2 = {
-        question: task2Question?.question_text || '',
-        answer: task2Answer.answer_text,
-        wordCount: task2Answer.word_count
-      };
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
     }
 
-    // Call OpenAI to evaluate ONLY if there are NEW tasks
-    let newEvaluation = { task1: null, task2: null };
-    if (Object.keys(submissionData).length > 0) {
-      const aiEvaluation = await evaluateWritingTest(submissionData);
+    if (!isValidId(test_id)) {
+      return error(res, "Invalid test ID", 400);
+    }
 
-      if (!aiEvaluation.success) {
-        return error(res, aiEvaluation.error || "Failed to evaluate test", 500);
-      }
+    // Answers are only accepted for a timed session; time_taken comes from it, never from the client
+    const session = await getOpenWritingSession(userId, test_id);
 
-      newEvaluation = aiEvaluation.data;
+    if (!session) {
+      return error(res, "No active writing session. Start the test first.", 409);
     }
 
-    // Merge evaluations: use new evaluation for new tasks, keep existing for unchanged tasks
-    const finalEvaluation = {
-      task1: hasTask1Content ? newEvaluation.task1 : (existingAiEval?.task1 || null),
-      task2: hasTask2Content ? newEvaluation.task2 : (existingAiEval?.task2 || null)
-    };
+    if (isSessionExpired(session)) {
+      await autoSubmitSession(session);
+      return error(res, "Time is up. Your last saved draft has been submitted.", 409);
+    }
 
-    // Calculate overall band score from merged evaluation
-    const task1Band = finalEvaluation.task1?.overall_band || null;
-    const task2Band = finalEvaluation.task2?.overall_band || null;
-    const overallBand = calculateAverageBand(task1Band, task2Band);
-
-    // Prepare final answers (use new or existing)
-    const finalTask1Answer = hasTask1Content ? task1Answer.answer_text : (existingTask1?.answer_text || null);
-    const finalTask1WordCount = hasTask1Content ? task1Answer.word_count : (existingTask1?.word_count || null);
-    const finalTask2Answer = hasTask2Content ? task2Answer.answer_text : (existingTask2?.answer_text || null);
-    const finalTask2WordCount = hasTask2Content ? task2Answer.word_count : (existingTask2?.word_count || null);
-
-    // Save or update submission in database
-    let submission;
-    if (existingSubmission) {
-      // Update existing submission
-      submission = await prisma.writing_submissions.update({
-        where: { id: existingSubmission.id },
-        data: {
-          task1_answer: finalTask1Answer,
-          task1_word_count: finalTask1WordCount,
-          task2_answer: finalTask2Answer,
-          task2_word_count: finalTask2WordCount,
-          time_taken: (existingSubmission.time_taken || 0) + (time_taken || 0),
-          ai_evaluation: JSON.stringify(finalEvaluation),
-          overall_band_score: overallBand,
-          status: 'evaluated',
-          updated_at: new Date()
-        }
-      });
-    } else {
-      // Create new submission
-      submission = await prisma.writing_submissions.create({
-        data: {
-          user_id: BigInt(userId),
-          test_id: BigInt(test_id),
-          task1_answer: finalTask1Answer,
-          task1_word_count: finalTask1WordCount,
-          task2_answer: finalTask2Answer,
-          task2_word_count: finalTask2WordCount,
-          time_taken: time_taken || 0,
-          ai_evaluation: JSON.stringify(finalEvaluation),
-          overall_band_score: overallBand,
-          status: 'evaluated',
-          created_at: new Date(),
-          updated_at: new Date()
-        }
-      });
+    if (!(await claimSession(session.id))) {
+      return error(res, "This session is already being submitted", 409);
     }
 
-    // Return submission ID and results
+    claimedSessionId = session.id;
+    const timeTaken = getTimeTaken(session);
+
+    const { submission, isResubmission } = await processWritingSubmission({
+      userId,
+      testId: test_id,
+      answers,
+      timeTaken
+    });
+
+    // The submission is saved: from here on the session must never go back to in_progress
+    const submittedSessionId = claimedSessionId;
+    claimedSessionId = null;
+
+    await closeSession(submittedSessionId, "submitted").catch((closeErr) => {
+      logError("Failed to close submitted writing session", closeErr, {
+        sessionId: submittedSessionId.toString(),
+        submissionId: submission.id.toString()
+      });
+    });
+
+    // Evaluation runs in the background; the client polls the evaluation endpoint
     logInfo('Writing test submitted successfully', {
       userId,
       testId: test_id,
       submissionId: submission.id.toString(),
-      overallBand,
-      isUpdate: !!existingSubmission
+      timeTaken,
+      isResubmission
     });
     success(res, {
       submission_id: submission.id.toString(),
-      overall_band: overallBand,
-      evaluation: finalEvaluation,
-      is_update: !!existingSubmission,
-      message: existingSubmission ? "Test updated and evaluated successfully" : "Test submitted and evaluated successfully"
-    }, "Test submitted successfully");
+      status: submission.status,
+      time_taken: submission.time_taken,
+      is_update: isResubmission,
+      message: isResubmission ? "Test resubmitted and queued for evaluation" : "Test submitted and queued for evaluation"
+    }, "Test submitted successfully", 202);
 
   } catch (err) {
+    // Release the session so the student can fix the answers and submit again
+    if (claimedSessionId) {
+      await closeSession(claimedSessionId, "in_progress").catch(() => {});
+    }
+
     logError("Failed to submit writing test", err, {
       userId: req.user?.id,
       testId: req.body.test_id,
       method: req.method,
       url: req.originalUrl
     });
-    error(res, err.message || "Failed to submit test", 500);
+    error(res, err.message || "Failed to submit test", err.status || 500);
   }
 };
 
@@ -593,6 +712,17 @@ export const getSubmissionDetails = async (req, res) => {
       task2_word_count: submission.task2_word_count,
       time_taken: submission.time_taken,
       ai_evaluation: aiEvaluation,
+      // Character offsets into task1_answer / task2_answer for highlighting
+      annotations: {
+        task1: getTaskAnnotations(aiEvaluation?.task1, submission.task1_answer),
+        task2: getTaskAnnotations(aiEvaluation?.task2, submission.task2_answer)
+      },
+      evaluation_validation: submission.evaluation_validation
+        ? JSON.parse(submission.evaluation_validation)
+        : null,
+      prompt_version: submission.prompt_version,
+      evaluation_model: submission.evaluation_model,
+      word_count_discrepancy: submission.word_count_discrepancy,
       expert_score: submission.expert_score,
       expert_feedback: submission.expert_feedback,
       expert_feedback_sent: submission.expert_feedback_sent,
@@ -613,4 +743,212 @@ export const getSubmissionDetails = async (req, res) => {
     });
     error(res, err.message || "Failed to fetch submission details", 500);
   }
-};
\ No newline at end of file
+};
+// 🔄 Get AI evaluation status of a submission (for polling)
+export const getEvaluationStatus = async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    if (!isValidId(submissionId)) {
+      return error(res, "Invalid submission ID", 400);
+    }
+
+    const submission = await prisma.writing_submissions.findUnique({
+      where: { id: BigInt(submissionId) },
+      select: {
+        id: true,
+        user_id: true,
+        status: true,
+        overall_band_score: true,
+        updated_at: true
+      }
+    });
+
+    if (!submission) {
+      return error(res, "Submission not found", 404);
+    }
+
+    if (submission.user_id.toString() !== userId.toString()) {
+      return error(res, "Unauthorized access", 403);
+    }
+
+    const { pending, failed } = await findJobsByData(EVALUATE_WRITING_JOB, "submission_id", submission.id);
+
+    success(res, {
+      submission_id: submission.id.toString(),
+      status: submission.status,
+      overall_band_score: submission.overall_band_score,
+      attempts: pending?.attempts || 0,
+      next_attempt_at: pending ? new Date(pending.available_at * 1000) : null,
+      failed_at: submission.status === "evaluation_failed" ? failed?.failed_at || null : null,
+      can_retry: submission.status === "evaluation_failed",
+      updated_at: submission.updated_at
+    }, "Evaluation status fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch evaluation status", err, {
+      userId: req.user?.id,
+      submissionId: req.params.submissionId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch evaluation status", 500);
+  }
+};
+
+// 🔁 Retry a failed AI evaluation
+export const retryEvaluation = async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    if (!isValidId(submissionId)) {
+      return error(res, "Invalid submission ID", 400);
+    }
+
+    const submission = await prisma.writing_submissions.findUnique({
+      where: { id: BigInt(submissionId) }
+    });
+
+    if (!submission) {
+      return error(res, "Submission not found", 404);
+    }
+
+    if (submission.user_id.toString() !== userId.toString()) {
+      return error(res, "Unauthorized access", 403);
+    }
+
+    const updated = await retryWritingEvaluation(submission);
+
+    logInfo('Writing evaluation re-queued', { userId, submissionId });
+    success(res, {
+      submission_id: updated.id.toString(),
+      status: updated.status
+    }, "Evaluation queued", 202);
+  } catch (err) {
+    logError("Failed to retry evaluation", err, {
+      userId: req.user?.id,
+      submissionId: req.params.submissionId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to retry evaluation", err.status || 500);
+  }
+};
+
+// ✍️ Rewrite the student's answer for one task to a target band
+export const rewriteSubmissionTask = async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+    const userId = req.user?.id;
+    const { task_number, target_band } = req.body;
+
+    const { rewrite, cached } = await createRewrite({
+      userId,
+      submissionId,
+      taskNumber: task_number,
+      targetBand: target_band
+    });
+
+    success(res, { ...formatRewrite(rewrite), cached }, "Rewrite generated successfully", cached ? 200 : 201);
+  } catch (err) {
+    logError("Failed to generate rewrite", err, {
+      userId: req.user?.id,
+      submissionId: req.params.submissionId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.status ? err.message : "Failed to generate rewrite", err.status || 500);
+  }
+};
+
+// 📚 Get stored rewrites of a submission
+export const getRewrites = async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+    const userId = req.user?.id;
+
+    const rewrites = await getSubmissionRewrites(submissionId, userId);
+
+    success(res, rewrites.map(formatRewrite), "Rewrites fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch rewrites", err, {
+      userId: req.user?.id,
+      submissionId: req.params.submissionId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.status ? err.message : "Failed to fetch rewrites", err.status || 500);
+  }
+};
+
+// 🏆 Get (or generate) the Band 9 model answer for a task's question
+export const getModelAnswer = async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+    const userId = req.user?.id;
+
+    const { modelAnswer, cached } = await getQuestionModelAnswer({
+      userId,
+      submissionId,
+      taskNumber: req.body.task_number
+    });
+
+    success(res, { ...formatQuestionModelAnswer(modelAnswer), cached }, "Model answer fetched successfully", cached ? 200 : 201);
+  } catch (err) {
+    logError("Failed to fetch model answer", err, {
+      userId: req.user?.id,
+      submissionId: req.params.submissionId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.status ? err.message : "Failed to fetch model answer", err.status || 500);
+  }
+};
+
+// 📚 Get the user's attempt history for a writing test
+export const getWritingAttempts = async (req, res) => {
+  try {
+    const { testId } = req.params;
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return error(res, "User not authenticated", 401);
+    }
+
+    if (!isValidId(testId)) {
+      return error(res, "Invalid test ID", 400);
+    }
+
+    const attempts = await prisma.writing_attempts.findMany({
+      where: {
+        user_id: BigInt(userId),
+        test_id: BigInt(testId)
+      },
+      orderBy: { attempt_number: "desc" }
+    });
+
+    logInfo('Writing attempts fetched successfully', { userId, testId, count: attempts.length });
+    success(res, {
+      test_id: testId,
+      ...summarizeWritingAttempts(attempts),
+      attempts: attempts.map(formatWritingAttempt)
+    }, "Writing attempts fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch writing attempts", err, {
+      userId: req.user?.id,
+      testId: req.params.testId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch writing attempts", 500);
+  }
+};
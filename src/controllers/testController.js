@@ -1,11 +1,27 @@
 import { prisma } from "../config/prismaClient.js";
 import { success, error } from "../utils/response.js";
 import { logError, logInfo, logDebug } from "../utils/logger.js";
+import { isValidId } from "../utils/idHelper.js";
+import { ROLES } from "../utils/roleHelper.js";
+import {
+  TEST_STATUS,
+  createTest as createTestRecord,
+  updateTest as updateTestRecord,
+  archiveTest as archiveTestRecord,
+  restoreTest as restoreTestRecord,
+  deleteTest as deleteTestRecord,
+  formatTestAudit
+} from "../services/testService.js";
 
-// 🧾 Get all tests
+// 🧾 Get all tests (archived tests only for admins asking for them)
 export const getTests = async (req, res) => {
   try {
-    const tests = await prisma.tests.findMany({ orderBy: { id: "desc" } });
+    const includeArchived = req.user?.isAdmin && req.query.include_archived === "true";
+
+    const tests = await prisma.tests.findMany({
+      where: includeArchived ? {} : { status: { not: TEST_STATUS.ARCHIVED } },
+      orderBy: { id: "desc" }
+    });
     logInfo('Tests fetched successfully', { count: tests.length });
     success(res, tests, "Tests fetched successfully");
   } catch (err) {
@@ -20,37 +36,30 @@ export const getTests = async (req, res) => {
 // ➕ Create test
 export const createTest = async (req, res) => {
   try {
-    const { name, type, category, status } = req.body;
-    logDebug('Creating new test', { name, type, category, status });
-    const test = await prisma.tests.create({
-      data: {
-        name,
-        type,
-        category,
-        status,
-        created_at: new Date(),
-        updated_at: new Date(),
-      },
-    });
-    logInfo('Test created successfully', { testId: test.id.toString(), name });
+    logDebug('Creating new test', { name: req.body?.name });
+    const test = await createTestRecord(req.body, req.user.id);
+    logInfo('Test created successfully', { testId: test.id.toString(), name: test.name });
     success(res, test, "Test created successfully");
   } catch (err) {
     logError("Failed to create test", err, {
-      name: req.body.name,
+      name: req.body?.name,
       method: req.method,
       url: req.originalUrl
     });
-    error(res, "Failed to create test");
+    error(res, err.status ? err.message : "Failed to create test", err.status || 500);
   }
 };
 
 // 🧍 Get single test
 export const getTestById = async (req, res) => {
   try {
+    if (!isValidId(req.params.id)) {
+      return error(res, "Invalid test ID", 400);
+    }
     const id = BigInt(req.params.id);
     logDebug('Fetching test by ID', { testId: id.toString() });
     const test = await prisma.tests.findUnique({ where: { id } });
-    if (!test) {
+    if (!test || (test.status === TEST_STATUS.ARCHIVED && !req.user.roles.includes(ROLES.ADMIN))) {
       logDebug('Test not found', { testId: id.toString() });
       return error(res, "Test not found", 404);
     }
@@ -66,16 +75,16 @@ export const getTestById = async (req, res) => {
   }
 };
 
-// 📝 Update test
+// 📝 Update test (whitelisted fields only)
 export const updateTest = async (req, res) => {
   try {
+    if (!isValidId(req.params.id)) {
+      return error(res, "Invalid test ID", 400);
+    }
     const id = BigInt(req.params.id);
     logDebug('Updating test', { testId: id.toString() });
-    const test = await prisma.tests.update({
-      where: { id },
-      data: { ...req.body, updated_at: new Date() },
-    });
-    logInfo('Test updated successfully', { testId: id.toString() });
+    const { test, changes } = await updateTestRecord(id, req.body, req.user.id);
+    logInfo('Test updated successfully', { testId: id.toString(), fields: Object.keys(changes) });
     success(res, test, "Test updated successfully");
   } catch (err) {
     logError("Failed to update test", err, {
@@ -83,24 +92,87 @@ export const updateTest = async (req, res) => {
       method: req.method,
       url: req.originalUrl
     });
-    error(res, "Failed to update test");
+    error(res, err.status ? err.message : "Failed to update test", err.status || 500);
+  }
+};
+
+// 🗄️ Archive test (soft delete - results are kept)
+export const archiveTest = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return error(res, "Invalid test ID", 400);
+    }
+    const test = await archiveTestRecord(req.params.id, req.user.id);
+    logInfo('Test archived successfully', { testId: test.id.toString() });
+    success(res, test, "Test archived successfully");
+  } catch (err) {
+    logError("Failed to archive test", err, {
+      testId: req.params.id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.status ? err.message : "Failed to archive test", err.status || 500);
+  }
+};
+
+// ♻️ Restore an archived test
+export const restoreTest = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return error(res, "Invalid test ID", 400);
+    }
+    const test = await restoreTestRecord(req.params.id, req.user.id);
+    logInfo('Test restored successfully', { testId: test.id.toString() });
+    success(res, test, "Test restored successfully");
+  } catch (err) {
+    logError("Failed to restore test", err, {
+      testId: req.params.id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.status ? err.message : "Failed to restore test", err.status || 500);
   }
 };
 
-// ❌ Delete test
+// ❌ Delete test permanently (refused when students have results, unless ?force=true)
 export const deleteTest = async (req, res) => {
   try {
+    if (!isValidId(req.params.id)) {
+      return error(res, "Invalid test ID", 400);
+    }
     const id = BigInt(req.params.id);
-    logDebug('Deleting test', { testId: id.toString() });
-    await prisma.tests.delete({ where: { id } });
-    logInfo('Test deleted successfully', { testId: id.toString() });
-    success(res, null, "Test deleted successfully");
+    const force = req.query.force === "true";
+    logDebug('Deleting test', { testId: id.toString(), force });
+    const results = await deleteTestRecord(id, req.user.id, { force });
+    logInfo('Test deleted successfully', { testId: id.toString(), force, results });
+    success(res, { deleted_results: results }, "Test deleted successfully");
   } catch (err) {
     logError("Failed to delete test", err, {
       testId: req.params.id,
       method: req.method,
       url: req.originalUrl
     });
-    error(res, "Failed to delete test");
+    error(res, err.status ? err.message : "Failed to delete test", err.status || 500);
+  }
+};
+
+// 📜 Get the audit log of a test
+export const getTestAuditLog = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return error(res, "Invalid test ID", 400);
+    }
+    const entries = await prisma.test_audit_logs.findMany({
+      where: { test_id: BigInt(req.params.id) },
+      orderBy: { id: "desc" }
+    });
+    success(res, entries.map(formatTestAudit), "Test audit log fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch test audit log", err, {
+      testId: req.params.id,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to fetch test audit log");
   }
 };
@@ -0,0 +1,181 @@
+import { prisma } from "../config/prismaClient.js";
+import { success, error } from "../utils/response.js";
+import { validateChartDescription, parseChartDescription } from "../services/writingChartService.js";
+import {
+  getTestWritingQuestions,
+  findQuestionOrFail,
+  createWritingQuestion,
+  updateWritingQuestion,
+  deleteWritingQuestion,
+  setTestPublished,
+  formatWritingQuestion
+} from "../services/writingQuestionService.js";
+import { TEST_STATUS } from "../services/testService.js";
+import { logError, logInfo } from "../utils/logger.js";
+
+// 🧾 List a test's writing questions with publish readiness
+export const getWritingQuestions = async (req, res) => {
+  try {
+    const { test, questions, readiness } = await getTestWritingQuestions(req.params.testId);
+
+    success(res, {
+      test_id: test.id.toString(),
+      published: test.status === TEST_STATUS.PUBLISHED,
+      can_publish: readiness.ready,
+      publish_errors: readiness.errors,
+      questions: questions.map(formatWritingQuestion)
+    }, "Writing questions fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch writing questions", err, {
+      testId: req.params.testId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to fetch writing questions", err.status || 500);
+  }
+};
+
+// 📄 Get a single writing question
+export const getWritingQuestion = async (req, res) => {
+  try {
+    const question = await findQuestionOrFail(req.params.questionId);
+    success(res, formatWritingQuestion(question), "Writing question fetched successfully");
+  } catch (err) {
+    logError("Failed to fetch writing question", err, {
+      questionId: req.params.questionId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to fetch writing question", err.status || 500);
+  }
+};
+
+// ➕ Create a writing question (multipart, optional "image" file)
+export const createQuestion = async (req, res) => {
+  try {
+    const question = await createWritingQuestion(req.params.testId, req.body, req.file);
+
+    logInfo('Writing question created', {
+      questionId: question.id.toString(),
+      testId: req.params.testId,
+      adminId: req.user.id
+    });
+    success(res, formatWritingQuestion(question), "Writing question created successfully", 201);
+  } catch (err) {
+    logError("Failed to create writing question", err, {
+      testId: req.params.testId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to create writing question", err.status || 500);
+  }
+};
+
+// 📝 Update a writing question (multipart, optional "image" file)
+export const updateQuestion = async (req, res) => {
+  try {
+    const question = await updateWritingQuestion(req.params.questionId, req.body, req.file);
+
+    logInfo('Writing question updated', { questionId: question.id.toString(), adminId: req.user.id });
+    success(res, formatWritingQuestion(question), "Writing question updated successfully");
+  } catch (err) {
+    logError("Failed to update writing question", err, {
+      questionId: req.params.questionId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to update writing question", err.status || 500);
+  }
+};
+
+// ❌ Delete a writing question
+export const deleteQuestion = async (req, res) => {
+  try {
+    await deleteWritingQuestion(req.params.questionId);
+
+    logInfo('Writing question deleted', { questionId: req.params.questionId, adminId: req.user.id });
+    success(res, null, "Writing question deleted successfully");
+  } catch (err) {
+    logError("Failed to delete writing question", err, {
+      questionId: req.params.questionId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to delete writing question", err.status || 500);
+  }
+};
+
+// 🚀 Publish a test once its writing questions are complete
+export const publishTest = async (req, res) => {
+  try {
+    const test = await setTestPublished(req.params.testId, true, req.user.id);
+
+    logInfo('Test published', { testId: test.id.toString(), adminId: req.user.id });
+    success(res, { test_id: test.id.toString(), status: test.status }, "Test published successfully");
+  } catch (err) {
+    logError("Failed to publish test", err, {
+      testId: req.params.testId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to publish test", err.status || 500);
+  }
+};
+
+// 🙈 Unpublish a test so it can be edited freely
+export const unpublishTest = async (req, res) => {
+  try {
+    const test = await setTestPublished(req.params.testId, false, req.user.id);
+
+    logInfo('Test unpublished', { testId: test.id.toString(), adminId: req.user.id });
+    success(res, { test_id: test.id.toString(), status: test.status }, "Test unpublished successfully");
+  } catch (err) {
+    logError("Failed to unpublish test", err, {
+      testId: req.params.testId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, err.message || "Failed to unpublish test", err.status || 500);
+  }
+};
+
+// 📊 Set (or clear) the chart key features used to judge Task 1 Task Achievement
+export const updateChartDescription = async (req, res) => {
+  try {
+    const id = BigInt(req.params.questionId);
+    const { chart_description } = req.body;
+
+    const question = await prisma.writing_questions.findUnique({ where: { id } });
+    if (!question) {
+      return error(res, "Writing question not found", 404);
+    }
+
+    if (question.task_number !== 1) {
+      return error(res, "Chart descriptions only apply to Task 1 questions", 400);
+    }
+
+    let stored = null;
+    if (chart_description !== null && chart_description !== undefined) {
+      const { errors, data } = validateChartDescription(chart_description);
+      if (errors.length > 0) {
+        return error(res, errors.join("; "), 400);
+      }
+      stored = JSON.stringify(data);
+    }
+
+    const updated = await prisma.writing_questions.update({
+      where: { id },
+      data: { chart_description: stored, updated_at: new Date() }
+    });
+
+    logInfo('Writing chart description updated', { questionId: id.toString(), adminId: req.user.id, cleared: stored === null });
+    success(res, formatWritingQuestion(updated), "Chart description updated successfully");
+  } catch (err) {
+    logError("Failed to update chart description", err, {
+      questionId: req.params.questionId,
+      method: req.method,
+      url: req.originalUrl
+    });
+    error(res, "Failed to update chart description", 500);
+  }
+};
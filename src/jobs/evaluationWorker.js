@@ -0,0 +1,51 @@
+// jobs/evaluationWorker.js
+import { processNextJob, registerJobHandler, QUEUES } from "../services/jobQueueService.js";
+import {
+  evaluateWritingSubmission,
+  EVALUATE_WRITING_JOB,
+  SIMILARITY_CHECK_JOB
+} from "../services/writingSubmissionService.js";
+import { checkAttemptSimilarity } from "../services/similarityService.js";
+import { runPromptComparisonBatch, COMPARE_PROMPT_JOB } from "../services/promptService.js";
+import { logError } from "../utils/logger.js";
+
+const POLL_INTERVAL_MS = parseInt(process.env.EVALUATION_WORKER_POLL_MS, 10) || 5 * 1000;
+
+// Jobs handled per tick, so one tick can't hold the loop for too long
+const BATCH_SIZE = 10;
+
+registerJobHandler(EVALUATE_WRITING_JOB, evaluateWritingSubmission);
+registerJobHandler(SIMILARITY_CHECK_JOB, checkAttemptSimilarity);
+registerJobHandler(COMPARE_PROMPT_JOB, runPromptComparisonBatch);
+
+// Evaluations first - they are what students wait for
+const WORKER_QUEUES = [QUEUES.EVALUATION, QUEUES.ANALYSIS];
+
+let running = false;
+
+/**
+ * Poll the worker queues and run pending AI evaluations and analysis jobs
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function startEvaluationWorker() {
+  const timer = setInterval(async () => {
+    // Skip a tick if the previous batch is still being evaluated
+    if (running) return;
+    running = true;
+
+    try {
+      for (const queue of WORKER_QUEUES) {
+        for (let i = 0; i < BATCH_SIZE; i++) {
+          if (!(await processNextJob(queue))) break;
+        }
+      }
+    } catch (err) {
+      logError("Evaluation worker tick failed", err);
+    } finally {
+      running = false;
+    }
+  }, POLL_INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,41 @@
+// jobs/expertAssignmentJob.js
+import { releaseStaleClaims, autoAssignPendingRequests } from "../services/expertAssignmentService.js";
+import { logError, logInfo } from "../utils/logger.js";
+
+const INTERVAL_MS = parseInt(process.env.EXPERT_ASSIGNMENT_SWEEP_MS, 10) || 5 * 60 * 1000;
+
+let running = false;
+
+/**
+ * Periodically release stale expert claims and, when EXPERT_AUTO_ASSIGN=true,
+ * assign pending review requests to the least loaded experts
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function startExpertAssignmentJob() {
+  const timer = setInterval(async () => {
+    // Skip a tick if the previous sweep is still running
+    if (running) return;
+    running = true;
+
+    try {
+      const released = await releaseStaleClaims();
+      if (released > 0) {
+        logInfo('Stale expert review claims released', { released });
+      }
+
+      if (process.env.EXPERT_AUTO_ASSIGN === "true") {
+        const assignments = await autoAssignPendingRequests();
+        if (assignments.length > 0) {
+          logInfo('Expert review requests auto-assigned', { count: assignments.length });
+        }
+      }
+    } catch (err) {
+      logError("Expert assignment sweep failed", err);
+    } finally {
+      running = false;
+    }
+  }, INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+}
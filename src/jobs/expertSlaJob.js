@@ -0,0 +1,36 @@
+// jobs/expertSlaJob.js
+import { escalateOverdueRequests } from "../services/expertSlaService.js";
+import { logError, logInfo } from "../utils/logger.js";
+
+const INTERVAL_MS = parseInt(process.env.EXPERT_SLA_SWEEP_MS, 10) || 10 * 60 * 1000;
+
+let running = false;
+
+/**
+ * Periodically escalate (and reassign where possible) expert review requests past their SLA
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function startExpertSlaJob() {
+  const timer = setInterval(async () => {
+    // Skip a tick if the previous sweep is still running
+    if (running) return;
+    running = true;
+
+    try {
+      const escalations = await escalateOverdueRequests();
+      if (escalations.length > 0) {
+        logInfo('Overdue expert review requests escalated', {
+          count: escalations.length,
+          reassigned: escalations.filter(e => e.reassigned_to).length
+        });
+      }
+    } catch (err) {
+      logError("Expert SLA sweep failed", err);
+    } finally {
+      running = false;
+    }
+  }, INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+}
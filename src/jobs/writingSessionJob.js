@@ -0,0 +1,33 @@
+// jobs/writingSessionJob.js
+import { submitExpiredWritingSessions } from "../services/writingSessionService.js";
+import { logError, logInfo } from "../utils/logger.js";
+
+const INTERVAL_MS = parseInt(process.env.WRITING_SESSION_SWEEP_MS, 10) || 60 * 1000;
+
+let running = false;
+
+/**
+ * Periodically auto-submit writing sessions whose deadline has passed
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function startWritingSessionJob() {
+  const timer = setInterval(async () => {
+    // Skip a tick if the previous sweep is still running
+    if (running) return;
+    running = true;
+
+    try {
+      const processed = await submitExpiredWritingSessions();
+      if (processed > 0) {
+        logInfo('Expired writing sessions processed', { processed });
+      }
+    } catch (err) {
+      logError("Writing session sweep failed", err);
+    } finally {
+      running = false;
+    }
+  }, INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,62 @@
+// middleware/upload.js
+import multer from "multer";
+import { error } from "../utils/response.js";
+
+const MAX_AUDIO_SIZE = 25 * 1024 * 1024; // 25 MB, the Whisper upload limit
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5 MB
+
+// Image types accepted for question charts/diagrams
+export const IMAGE_EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+};
+
+/**
+ * Wrap a multer handler so upload errors return a 400 JSON response
+ * @param {Function} handler - multer middleware
+ */
+const withUploadErrors = (handler) => {
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (err) {
+        return error(res, err, 400);
+      }
+      next();
+    });
+  };
+};
+
+/**
+ * Single audio file upload kept in memory (field name: "audio")
+ */
+export const audioUpload = withUploadErrors(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_AUDIO_SIZE },
+    fileFilter: (req, file, cb) => {
+      if (!file.mimetype.startsWith("audio/")) {
+        return cb(new Error("Only audio files are allowed"));
+      }
+      cb(null, true);
+    },
+  }).single("audio")
+);
+
+/**
+ * Optional single image upload kept in memory (field name: "image")
+ * Other multipart fields are parsed into req.body as strings
+ */
+export const imageUpload = withUploadErrors(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_SIZE },
+    fileFilter: (req, file, cb) => {
+      if (!IMAGE_EXTENSIONS[file.mimetype]) {
+        return cb(new Error("Only PNG, JPEG, GIF or WebP images are allowed"));
+      }
+      cb(null, true);
+    },
+  }).single("image")
+);
@@ -0,0 +1,10 @@
+// routes/bandRoutes.js
+import express from "express";
+import { convertBand } from "../controllers/bandController.js";
+
+const router = express.Router();
+
+// ✅ Public - Raw score to band conversion for reading/listening
+router.get("/convert", convertBand);
+
+export default router;
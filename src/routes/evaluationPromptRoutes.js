@@ -0,0 +1,27 @@
+// routes/evaluationPromptRoutes.js
+import express from "express";
+import {
+  getPromptVersions,
+  getPromptVersion,
+  createPrompt,
+  updatePrompt,
+  comparePrompt,
+  getPromptComparison,
+  activatePrompt
+} from "../controllers/evaluationPromptController.js";
+import { authenticate, isAdmin } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// ✅ Admin only - all prompt management routes
+router.use(authenticate, isAdmin);
+
+router.get("/", getPromptVersions);
+router.post("/", createPrompt);
+router.get("/:promptId", getPromptVersion);
+router.put("/:promptId", updatePrompt);
+router.post("/:promptId/compare", comparePrompt);
+router.get("/:promptId/compare", getPromptComparison);
+router.post("/:promptId/activate", activatePrompt);
+
+export default router;
@@ -0,0 +1,13 @@
+// routes/meRoutes.js
+import express from "express";
+import { getMyWritingProgress } from "../controllers/progressController.js";
+import { getMyCredits } from "../controllers/creditController.js";
+import { authenticate } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// ✅ Authenticated - data about the current user
+router.get("/progress/writing", authenticate, getMyWritingProgress);
+router.get("/credits", authenticate, getMyCredits);
+
+export default router;
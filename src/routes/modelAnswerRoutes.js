@@ -0,0 +1,21 @@
+// routes/modelAnswerRoutes.js
+import express from "express";
+import {
+  getModelAnswers,
+  createModelAnswer,
+  updateModelAnswer,
+  deleteModelAnswer
+} from "../controllers/modelAnswerController.js";
+import { authenticate, isAdmin } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// ✅ Admin only - model answer corpus for plagiarism checks
+router.use(authenticate, isAdmin);
+
+router.get("/", getModelAnswers);
+router.post("/", createModelAnswer);
+router.put("/:modelAnswerId", updateModelAnswer);
+router.delete("/:modelAnswerId", deleteModelAnswer);
+
+export default router;
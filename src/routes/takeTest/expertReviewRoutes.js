@@ -4,12 +4,23 @@ import {
   getUserReviewRequests,
   getReviewRequestDetails,
   checkExpertReviewStatus,
+  cancelReviewRequest,
   getAllReviewRequests,
   getReviewRequestDetailsAdmin,
   submitExpertReview,
-  updateReviewRequestStatus
+  updateReviewRequestStatus,
+  claimReviewRequest,
+  releaseReviewRequest,
+  autoAssignReviewRequests,
+  getExpertWorkload,
+  getSlaDashboard,
+  getReviewRequestEvents
 } from "../../controllers/takeTest/expertReviewController.js";
-import { authenticate } from "../../middleware/auth.js";
+import { authenticate, hasRole, isAdmin } from "../../middleware/auth.js";
+import { ROLES } from "../../utils/roleHelper.js";
+
+// Reviewers: experts and admins
+const isReviewer = hasRole(ROLES.EXPERT, ROLES.ADMIN);
 
 const router = express.Router();
 
@@ -17,12 +28,21 @@ const router = express.Router();
 router.post("/request", authenticate, requestExpertReview);
 router.get("/my-requests", authenticate, getUserReviewRequests);
 router.get("/request/:requestId", authenticate, getReviewRequestDetails);
+router.post("/request/:requestId/cancel", authenticate, cancelReviewRequest);
 router.get("/check/:submissionId", authenticate, checkExpertReviewStatus);
 
-// Admin routes (require authentication and admin role)
-router.get("/admin/all", authenticate, getAllReviewRequests);
-router.get("/admin/request/:requestId", authenticate, getReviewRequestDetailsAdmin);
-router.post("/admin/request/:requestId/submit", authenticate, submitExpertReview);
-router.patch("/admin/request/:requestId/status", authenticate, updateReviewRequestStatus);
+// Reviewer routes (require authentication and the Expert or Admin role)
+router.get("/admin/all", authenticate, isReviewer, getAllReviewRequests);
+router.get("/admin/request/:requestId", authenticate, isReviewer, getReviewRequestDetailsAdmin);
+router.get("/admin/request/:requestId/events", authenticate, isReviewer, getReviewRequestEvents);
+router.post("/admin/request/:requestId/claim", authenticate, isReviewer, claimReviewRequest);
+router.post("/admin/request/:requestId/release", authenticate, isReviewer, releaseReviewRequest);
+router.post("/admin/request/:requestId/submit", authenticate, isReviewer, submitExpertReview);
+router.patch("/admin/request/:requestId/status", authenticate, isReviewer, updateReviewRequestStatus);
+
+// Assignment management (admin only)
+router.post("/admin/auto-assign", authenticate, isAdmin, autoAssignReviewRequests);
+router.get("/admin/experts/workload", authenticate, isAdmin, getExpertWorkload);
+router.get("/admin/sla", authenticate, isAdmin, getSlaDashboard);
 
 export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import {
+  getMockTests,
+  startMockTest,
+  getUserMockAttempts,
+  getMockAttemptDetails,
+  startMockModule,
+  completeMockModule,
+  createMockTest,
+  scoreMockModule
+} from "../../controllers/takeTest/mockTestController.js";
+import { authenticate, isAdmin, optionalAuth } from "../../middleware/auth.js";
+
+const router = express.Router();
+
+// Public routes
+router.get("/", optionalAuth, getMockTests);
+
+// Admin routes (require authentication and admin role)
+router.post("/admin", authenticate, isAdmin, createMockTest);
+router.post("/admin/attempts/:attemptId/modules/:module/score", authenticate, isAdmin, scoreMockModule);
+
+// User routes (require authentication)
+router.get("/attempts", authenticate, getUserMockAttempts);
+router.get("/attempts/:attemptId", authenticate, getMockAttemptDetails);
+router.post("/attempts/:attemptId/modules/:module/start", authenticate, startMockModule);
+router.post("/attempts/:attemptId/modules/:module/complete", authenticate, completeMockModule);
+router.post("/:mockTestId/start", authenticate, startMockTest);
+
+export default router;
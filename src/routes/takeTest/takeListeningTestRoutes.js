@@ -0,0 +1,32 @@
+import express from "express";
+import {
+  getAcademicListeningTests,
+  getGeneralTrainingListeningTests,
+  getListeningTestDetails,
+  streamListeningAudio,
+  startListeningTest,
+  submitListeningTest,
+  getUserListeningResults,
+  getListeningResultDetails
+} from "../../controllers/takeTest/listeningTestController.js";
+import { authenticate, optionalAuth } from "../../middleware/auth.js";
+
+const router = express.Router();
+
+// Public routes (with optional auth to include user results if logged in)
+router.get("/academic-listening-test", optionalAuth, getAcademicListeningTests);
+router.get("/general-training-listening-test", optionalAuth, getGeneralTrainingListeningTests);
+
+// Protected routes (require authentication) - MUST come before /:testId wildcard
+router.post("/submit", authenticate, submitListeningTest);
+router.get("/results", authenticate, getUserListeningResults);
+router.get("/result/:resultId", authenticate, getListeningResultDetails);
+router.post("/:testId/start", authenticate, startListeningTest);
+
+// Audio stream (supports Range requests so <audio> elements can seek)
+router.get("/:testId/audio", streamListeningAudio);
+
+// Wildcard route - MUST be last
+router.get("/:testId", getListeningTestDetails);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from "express";
+import {
+  getAcademicReadingTests,
+  getGeneralTrainingReadingTests,
+  getReadingTestDetails,
+  submitReadingTest,
+  getUserReadingResults,
+  getReadingResultDetails
+} from "../../controllers/takeTest/readingTestController.js";
+import { authenticate, optionalAuth } from "../../middleware/auth.js";
+
+const router = express.Router();
+
+// Public routes (with optional auth to include user results if logged in)
+router.get("/academic-reading-test", optionalAuth, getAcademicReadingTests);
+router.get("/general-training-reading-test", optionalAuth, getGeneralTrainingReadingTests);
+
+// Protected routes (require authentication) - MUST come before /:testId wildcard
+router.post("/submit", authenticate, submitReadingTest);
+router.get("/results", authenticate, getUserReadingResults);
+router.get("/result/:resultId", authenticate, getReadingResultDetails);
+
+// Wildcard route - MUST be last
+router.get("/:testId", getReadingTestDetails);
+
+export default router;
@@ -0,0 +1,35 @@
+import express from "express";
+import {
+  getSpeakingTests,
+  getSpeakingTestDetails,
+  startSpeakingTest,
+  uploadSpeakingRecording,
+  submitSpeakingTest,
+  getUserSpeakingSubmissions,
+  getSpeakingSubmissionDetails,
+  createSpeakingQuestion,
+  deleteSpeakingQuestion
+} from "../../controllers/takeTest/speakingTestController.js";
+import { authenticate, isAdmin, optionalAuth } from "../../middleware/auth.js";
+import { audioUpload } from "../../middleware/upload.js";
+
+const router = express.Router();
+
+// Public routes (with optional auth to include user submissions if logged in)
+router.get("/speaking-tests", optionalAuth, getSpeakingTests);
+
+// Admin routes (require authentication and admin role)
+router.post("/admin/:testId/questions", authenticate, isAdmin, createSpeakingQuestion);
+router.delete("/admin/questions/:questionId", authenticate, isAdmin, deleteSpeakingQuestion);
+
+// Protected routes (require authentication) - MUST come before /:testId wildcard
+router.get("/submissions", authenticate, getUserSpeakingSubmissions);
+router.get("/submission/:submissionId", authenticate, getSpeakingSubmissionDetails);
+router.post("/submission/:submissionId/recordings", authenticate, audioUpload, uploadSpeakingRecording);
+router.post("/submission/:submissionId/submit", authenticate, submitSpeakingTest);
+router.post("/:testId/start", authenticate, startSpeakingTest);
+
+// Wildcard route - MUST be last
+router.get("/:testId", getSpeakingTestDetails);
+
+export default router;
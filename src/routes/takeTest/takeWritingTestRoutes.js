@@ -4,8 +4,18 @@ import {
   getGeneralTrainingWritingTests,
   getWritingTestDetails,
   submitWritingTest,
+  startWritingTest,
+  saveWritingDraft,
+  getWritingDraft,
+  getEvaluationStatus,
+  retryEvaluation,
+  getWritingAttempts,
   getUserSubmissions,
-  getSubmissionDetails
+  getSubmissionDetails,
+  rewriteSubmissionTask,
+  getRewrites,
+  getModelAnswer,
+  getWritingQuestionImage
 } from "../../controllers/takeTest/writingTestController.js";
 import { authenticate, optionalAuth } from "../../middleware/auth.js";
 
@@ -19,6 +29,22 @@ router.get("/general-training-writing-test", optionalAuth, getGeneralTrainingWri
 router.post("/submit", authenticate, submitWritingTest);
 router.get("/submissions", authenticate, getUserSubmissions);
 router.get("/submission/:submissionId", authenticate, getSubmissionDetails);
+router.get("/submission/:submissionId/evaluation", authenticate, getEvaluationStatus);
+router.post("/submission/:submissionId/evaluation/retry", authenticate, retryEvaluation);
+
+// AI rewrite to a target band and cached Band 9 model answer (rate-limited per user)
+router.post("/submission/:submissionId/rewrite", authenticate, rewriteSubmissionTask);
+router.get("/submission/:submissionId/rewrites", authenticate, getRewrites);
+router.post("/submission/:submissionId/model-answer", authenticate, getModelAnswer);
+
+// Server-timed sessions with autosaved drafts
+router.post("/:testId/start", authenticate, startWritingTest);
+router.get("/:testId/draft", authenticate, getWritingDraft);
+router.put("/:testId/draft", authenticate, saveWritingDraft);
+router.get("/:testId/attempts", authenticate, getWritingAttempts);
+
+// Question chart images
+router.get("/questions/:questionId/image", optionalAuth, getWritingQuestionImage);
 
 // Wildcard route - MUST be last
 router.get("/:testId", getWritingTestDetails);
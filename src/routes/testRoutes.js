@@ -6,6 +6,9 @@ import {
   createTest,
   updateTest,
   deleteTest,
+  archiveTest,
+  restoreTest,
+  getTestAuditLog,
 } from "../controllers/testController.js";
 import { authenticate, isAdmin, optionalAuth } from "../middleware/auth.js";
 
@@ -24,7 +27,14 @@ router.post("/", authenticate, isAdmin, createTest);
 // ✅ Admin only - Update test
 router.put("/:id", authenticate, isAdmin, updateTest);
 
-// ✅ Admin only - Delete test
+// ✅ Admin only - Archive / restore test (soft delete)
+router.post("/:id/archive", authenticate, isAdmin, archiveTest);
+router.post("/:id/restore", authenticate, isAdmin, restoreTest);
+
+// ✅ Admin only - Delete test permanently (?force=true when students have results)
 router.delete("/:id", authenticate, isAdmin, deleteTest);
 
+// ✅ Admin only - Audit log of changes
+router.get("/:id/audit", authenticate, isAdmin, getTestAuditLog);
+
 export default router;
\ No newline at end of file
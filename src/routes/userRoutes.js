@@ -8,6 +8,7 @@ import {
   update,
   deleteUser,
 } from "../controllers/userController.js";
+import { getUserCredits, grantUserCredits } from "../controllers/creditController.js";
 import { authenticate, isAdmin, isOwnerOrAdmin } from "../middleware/auth.js";
 
 const router = express.Router();
@@ -30,6 +31,12 @@ router.post("/update", authenticate, isAdmin, update);
 // ✅ Admin only - Delete user
 router.get("/delete/:id", authenticate, isAdmin, deleteUser);
 
+// ✅ Admin only - Expert review credit balance and history
+router.get("/credits/:id", authenticate, isAdmin, getUserCredits);
+
+// ✅ Admin only - Grant expert review credits
+router.post("/credits/:id", authenticate, isAdmin, grantUserCredits);
+
 // ==========================================
 // ADDITIONAL USER ROUTES (Recommended)
 // ==========================================
@@ -0,0 +1,32 @@
+// routes/writingQuestionRoutes.js
+import express from "express";
+import {
+  getWritingQuestions,
+  getWritingQuestion,
+  createQuestion,
+  updateQuestion,
+  deleteQuestion,
+  publishTest,
+  unpublishTest,
+  updateChartDescription
+} from "../controllers/writingQuestionController.js";
+import { authenticate, isAdmin } from "../middleware/auth.js";
+import { imageUpload } from "../middleware/upload.js";
+
+const router = express.Router();
+
+// ✅ Admin only - writing question management
+router.use(authenticate, isAdmin);
+
+// Questions per test and publish gating
+router.get("/tests/:testId", getWritingQuestions);
+router.post("/tests/:testId", imageUpload, createQuestion);
+router.post("/tests/:testId/publish", publishTest);
+router.post("/tests/:testId/unpublish", unpublishTest);
+
+router.get("/:questionId", getWritingQuestion);
+router.put("/:questionId", imageUpload, updateQuestion);
+router.delete("/:questionId", deleteQuestion);
+router.put("/:questionId/chart-description", updateChartDescription);
+
+export default router;
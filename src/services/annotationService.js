@@ -0,0 +1,77 @@
+// services/annotationService.js
+import { WRITING_EVALUATION_SCHEMA } from "./evaluationValidator.js";
+import { MAX_ANNOTATIONS_PER_TASK } from "./openaiService.js";
+
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+
+// Occurrence of `span` in `text` closest to `hint` (the offset the model reported)
+const findClosest = (text, span, hint) => {
+  let best = -1;
+  let index = text.indexOf(span);
+
+  while (index !== -1) {
+    if (best === -1 || Math.abs(index - hint) < Math.abs(best - hint)) best = index;
+    index = text.indexOf(span, index + 1);
+  }
+
+  return best;
+};
+
+/**
+ * Anchor AI annotations to the answer text
+ * Offsets are JavaScript string indices (UTF-16) into the stored, normalized answer: `end` is exclusive
+ * and answer.slice(start, end) === original. Annotations whose offsets are wrong are re-anchored to the
+ * occurrence of `original` closest to the reported offset; ones whose text isn't in the answer are dropped
+ * @param {string} taskKey - "task1" or "task2"
+ * @param {Object[]} annotations - Raw annotations from the evaluation
+ * @param {string} answer - Stored answer text
+ * @returns {Object} { annotations, dropped } - anchored annotations sorted by offset, number dropped
+ */
+export function resolveAnnotations(taskKey, annotations, answer) {
+  if (!Array.isArray(annotations) || !answer) {
+    return { annotations: [], dropped: Array.isArray(annotations) ? annotations.length : 0 };
+  }
+
+  const criteria = WRITING_EVALUATION_SCHEMA[taskKey].criteria;
+  const resolved = [];
+
+  for (const item of annotations) {
+    if (!item || !criteria.includes(item.criterion) || !isText(item.original)) continue;
+
+    const start = Number.isInteger(item.start) ? item.start : 0;
+    const exact = answer.slice(start, start + item.original.length) === item.original;
+    const offset = exact ? start : findClosest(answer, item.original, start);
+    if (offset === -1) continue;
+
+    resolved.push({
+      criterion: item.criterion,
+      start: offset,
+      end: offset + item.original.length,
+      original: item.original,
+      correction: typeof item.correction === "string" ? item.correction : "",
+      explanation: isText(item.explanation) ? item.explanation : ""
+    });
+  }
+
+  // One annotation per span
+  const unique = resolved
+    .sort((a, b) => a.start - b.start || a.end - b.end)
+    .filter((a, i, list) => i === 0 || a.start !== list[i - 1].start || a.end !== list[i - 1].end)
+    .slice(0, MAX_ANNOTATIONS_PER_TASK);
+
+  return { annotations: unique, dropped: annotations.length - unique.length };
+}
+
+/**
+ * Annotations of an evaluated task that still match the stored answer text
+ * @param {Object} taskEval - Task evaluation (may predate annotations)
+ * @param {string} answer - Stored answer text
+ * @returns {Object[]} Annotations
+ */
+export function getTaskAnnotations(taskEval, answer) {
+  if (!Array.isArray(taskEval?.annotations) || !answer) return [];
+
+  return taskEval.annotations.filter(a =>
+    Number.isInteger(a.start) && Number.isInteger(a.end) && answer.slice(a.start, a.end) === a.original
+  );
+}
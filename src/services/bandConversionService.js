@@ -0,0 +1,91 @@
+// services/bandConversionService.js
+
+/**
+ * Test categories as stored in tests.category
+ */
+export const TEST_CATEGORIES = {
+  ACADEMIC: 1,
+  GENERAL_TRAINING: 2,
+};
+
+export const MAX_RAW_SCORE = 40;
+
+// Raw score (out of 40) → band, as [minimum raw score, band], highest first
+const LISTENING_TABLE = [
+  [39, 9.0], [37, 8.5], [35, 8.0], [32, 7.5], [30, 7.0], [26, 6.5], [23, 6.0],
+  [18, 5.5], [16, 5.0], [13, 4.5], [10, 4.0], [8, 3.5], [6, 3.0], [4, 2.5],
+  [2, 2.0], [1, 1.0], [0, 0],
+];
+
+const ACADEMIC_READING_TABLE = [
+  [39, 9.0], [37, 8.5], [35, 8.0], [33, 7.5], [30, 7.0], [27, 6.5], [23, 6.0],
+  [19, 5.5], [15, 5.0], [13, 4.5], [10, 4.0], [8, 3.5], [6, 3.0], [4, 2.5],
+  [2, 2.0], [1, 1.0], [0, 0],
+];
+
+const GENERAL_READING_TABLE = [
+  [40, 9.0], [39, 8.5], [37, 8.0], [36, 7.5], [34, 7.0], [32, 6.5], [30, 6.0],
+  [27, 5.5], [23, 5.0], [19, 4.5], [15, 4.0], [12, 3.5], [9, 3.0], [6, 2.5],
+  [3, 2.0], [1, 1.0], [0, 0],
+];
+
+/**
+ * Get the conversion table for a module and test category
+ * Listening uses the same table for both categories
+ * @param {string} module - "listening" or "reading"
+ * @param {number} category - One of TEST_CATEGORIES
+ * @returns {Array|null} Conversion table, or null if the combination is unknown
+ */
+export function getConversionTable(module, category) {
+  if (module === 'listening') {
+    return LISTENING_TABLE;
+  }
+
+  if (module === 'reading') {
+    if (category === TEST_CATEGORIES.ACADEMIC) return ACADEMIC_READING_TABLE;
+    if (category === TEST_CATEGORIES.GENERAL_TRAINING) return GENERAL_READING_TABLE;
+  }
+
+  return null;
+}
+
+/**
+ * Scale a score out of any maximum to the 40-question raw score
+ * Tests with a different number of marks are converted proportionally
+ * @param {number} score - Marks achieved
+ * @param {number} maxScore - Marks available
+ * @returns {number} Raw score out of 40
+ */
+export function scaleToRawScore(score, maxScore) {
+  if (!maxScore || maxScore <= 0) return 0;
+  if (maxScore === MAX_RAW_SCORE) return score;
+
+  return Math.round((score / maxScore) * MAX_RAW_SCORE);
+}
+
+/**
+ * Convert a raw score (0-40) to an IELTS band
+ * @param {string} module - "listening" or "reading"
+ * @param {number} category - One of TEST_CATEGORIES
+ * @param {number} raw - Raw score out of 40
+ * @returns {number|null} Band score, or null if module/category/raw is invalid
+ */
+export function convertRawScore(module, category, raw) {
+  const table = getConversionTable(module, category);
+
+  if (!table || !Number.isInteger(raw) || raw < 0 || raw > MAX_RAW_SCORE) {
+    return null;
+  }
+
+  const row = table.find(([minRaw]) => raw >= minRaw);
+  return row ? row[1] : 0;
+}
+
+/**
+ * Check that a value is a valid IELTS band (0-9 in half-band steps)
+ * @param {number} band - Band to check
+ * @returns {boolean} True if valid
+ */
+export function isValidBand(band) {
+  return typeof band === 'number' && band >= 0 && band <= 9 && Number.isInteger(band * 2);
+}
@@ -0,0 +1,315 @@
+// services/creditService.js
+import { prisma } from "../config/prismaClient.js";
+import { logError } from "../utils/logger.js";
+
+/**
+ * Expert review credit ledger entry types
+ */
+export const CREDIT_TRANSACTION_TYPES = {
+  PLAN_GRANT: "plan_grant",   // Credits included in the user's plan, granted once per plan
+  ADMIN_GRANT: "admin_grant", // Manual grant by an admin
+  CONSUMPTION: "consumption", // One credit per expert review request
+  REFUND: "refund",           // Credit returned when a request is rejected or cancelled
+};
+
+/**
+ * Default credits included per plan
+ * Unpaid users are on "free"; paid users are on their registration plan, or "paid" if it isn't listed
+ * Override or add plans with EXPERT_REVIEW_PLAN_CREDITS (JSON, e.g. {"premium": 5})
+ */
+export const DEFAULT_PLAN_CREDITS = {
+  free: 0,
+  paid: 3,
+};
+
+// Largest single admin grant
+const MAX_ADMIN_GRANT = 100;
+
+const MAX_HISTORY_LIMIT = 200;
+
+// Ledger reference for a request's consumption or refund; every reopening of a request is paid for separately
+const requestReference = (prefix, request) =>
+  request.reopen_count ? `${prefix}:${request.id}:${request.reopen_count}` : `${prefix}:${request.id}`;
+
+// Error carrying the HTTP status the controller should respond with
+const creditError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * Effective credits per plan (defaults merged with EXPERT_REVIEW_PLAN_CREDITS)
+ * @returns {Object} plan name -> credits
+ */
+export function getPlanCredits() {
+  if (!process.env.EXPERT_REVIEW_PLAN_CREDITS) return DEFAULT_PLAN_CREDITS;
+
+  try {
+    const overrides = JSON.parse(process.env.EXPERT_REVIEW_PLAN_CREDITS);
+    const credits = { ...DEFAULT_PLAN_CREDITS };
+    for (const [plan, amount] of Object.entries(overrides)) {
+      credits[plan.toLowerCase()] = Math.max(parseInt(amount, 10) || 0, 0);
+    }
+    return credits;
+  } catch (err) {
+    logError("Invalid EXPERT_REVIEW_PLAN_CREDITS, using defaults", err);
+    return DEFAULT_PLAN_CREDITS;
+  }
+}
+
+/**
+ * Plan a user is entitled to
+ * @param {BigInt|number|string} userId - User ID
+ * @returns {Promise<Object>} { plan, credits } - credits included in the plan
+ */
+export async function getUserCreditPlan(userId) {
+  const planCredits = getPlanCredits();
+
+  const user = await prisma.users.findUnique({
+    where: { id: BigInt(userId) },
+    select: { email: true, is_user_paid: true }
+  });
+
+  if (!user?.is_user_paid) {
+    return { plan: "free", credits: planCredits.free || 0 };
+  }
+
+  // Registration requests are matched by email; the latest one wins
+  const registration = user.email
+    ? await prisma.registeration_requests.findFirst({
+        where: { email: user.email, plan: { not: null } },
+        orderBy: { id: "desc" },
+        select: { plan: true }
+      })
+    : null;
+
+  const plan = registration?.plan?.trim().toLowerCase();
+  if (plan && planCredits[plan] !== undefined) {
+    return { plan, credits: planCredits[plan] };
+  }
+
+  return { plan: "paid", credits: planCredits.paid || 0 };
+}
+
+/**
+ * Add a ledger entry and update the cached balance
+ * Entries with a reference are applied once per user; repeats are skipped
+ * @param {Object} tx - Prisma transaction
+ * @param {Object} params
+ * @param {BigInt|number|string} params.userId - User ID
+ * @param {number} params.amount - Positive to add, negative to spend
+ * @param {string} params.type - CREDIT_TRANSACTION_TYPES value
+ * @param {string} [params.reference] - Idempotency key (e.g. "plan:paid", "request:12")
+ * @param {BigInt} [params.requestId] - Related expert review request
+ * @param {BigInt|number|string} [params.actorId] - Acting user (admin for grants)
+ * @param {string} [params.note] - Note
+ * @returns {Promise<Object|null>} Ledger row, or null if the reference was already applied
+ * @throws {Error} With status 402 if a negative amount exceeds the balance
+ */
+async function applyCreditChange(tx, { userId, amount, type, reference = null, requestId = null, actorId = null, note = null }) {
+  const id = BigInt(userId);
+
+  if (reference) {
+    const existing = await tx.expert_review_credit_transactions.findUnique({
+      where: { user_id_reference: { user_id: id, reference } }
+    });
+    if (existing) return null;
+  }
+
+  await tx.expert_review_credit_balances.upsert({
+    where: { user_id: id },
+    update: {},
+    create: { user_id: id, balance: 0, updated_at: new Date() }
+  });
+
+  // Spending only succeeds while the balance covers it
+  const updated = await tx.expert_review_credit_balances.updateMany({
+    where: { user_id: id, ...(amount < 0 && { balance: { gte: -amount } }) },
+    data: { balance: { increment: amount }, updated_at: new Date() }
+  });
+
+  if (updated.count !== 1) {
+    throw creditError("No expert review credits left", 402);
+  }
+
+  const { balance } = await tx.expert_review_credit_balances.findUnique({ where: { user_id: id } });
+
+  return tx.expert_review_credit_transactions.create({
+    data: {
+      user_id: id,
+      amount,
+      balance_after: balance,
+      type,
+      reference,
+      request_id: requestId ? BigInt(requestId) : null,
+      actor_id: actorId ? BigInt(actorId) : null,
+      note: note || null,
+      created_at: new Date()
+    }
+  });
+}
+
+// Run a ledger change in its own transaction; a concurrent duplicate reference is treated as applied
+const runCreditChange = async (params) => {
+  try {
+    return await prisma.$transaction((tx) => applyCreditChange(tx, params));
+  } catch (err) {
+    if (err.code === "P2002") return null;
+    throw err;
+  }
+};
+
+/**
+ * Grant the credits included in the user's current plan, once per plan
+ * @param {BigInt|number|string} userId - User ID
+ * @returns {Promise<Object>} { plan, credits }
+ */
+export async function ensurePlanGrant(userId) {
+  const plan = await getUserCreditPlan(userId);
+
+  if (plan.credits > 0) {
+    await runCreditChange({
+      userId,
+      amount: plan.credits,
+      type: CREDIT_TRANSACTION_TYPES.PLAN_GRANT,
+      reference: `plan:${plan.plan}`,
+      note: `Included in the ${plan.plan} plan`
+    });
+  }
+
+  return plan;
+}
+
+/**
+ * Spend one credit and create the expert review request in the same transaction
+ * @param {BigInt|number|string} userId - Requesting user
+ * @param {Function} createRequest - async (tx) => expert_review_requests row (created or reopened)
+ * @returns {Promise<Object>} Created request
+ * @throws {Error} With status 402 if the user has no credits left
+ */
+export async function spendReviewCredit(userId, createRequest) {
+  await ensurePlanGrant(userId);
+
+  return prisma.$transaction(async (tx) => {
+    const request = await createRequest(tx);
+
+    await applyCreditChange(tx, {
+      userId,
+      amount: -1,
+      type: CREDIT_TRANSACTION_TYPES.CONSUMPTION,
+      reference: requestReference("request", request),
+      requestId: request.id,
+      actorId: userId
+    });
+
+    return request;
+  });
+}
+
+/**
+ * Return the credit spent on the current opening of a review request
+ * Requests made before credits were tracked (no consumption entry) get nothing back
+ * @param {Object} request - expert_review_requests row
+ * @param {Object} [options]
+ * @param {BigInt|number|string} [options.actorId] - User who rejected or cancelled the request
+ * @param {string} [options.note] - Reason
+ * @param {Object} [tx] - Prisma transaction to refund in (e.g. the one rejecting or cancelling the request)
+ * @returns {Promise<Object|null>} Refund ledger row, or null if nothing was refunded
+ */
+export async function refundReviewCredit(request, { actorId = null, note = null } = {}, tx = null) {
+  const consumption = await (tx || prisma).expert_review_credit_transactions.findUnique({
+    where: { user_id_reference: { user_id: request.user_id, reference: requestReference("request", request) } }
+  });
+
+  if (!consumption) return null;
+
+  const change = {
+    userId: request.user_id,
+    amount: -consumption.amount,
+    type: CREDIT_TRANSACTION_TYPES.REFUND,
+    reference: requestReference("refund", request),
+    requestId: request.id,
+    actorId,
+    note
+  };
+
+  return tx ? applyCreditChange(tx, change) : runCreditChange(change);
+}
+
+/**
+ * Manually grant credits to a user
+ * @param {BigInt|number|string} userId - User ID
+ * @param {number} amount - Credits to add (1 to MAX_ADMIN_GRANT)
+ * @param {BigInt|number|string} adminId - Granting admin
+ * @param {string} [note] - Reason
+ * @returns {Promise<Object>} Ledger row
+ * @throws {Error} With status 400 for an invalid amount, 404 if the user doesn't exist
+ */
+export async function grantCredits(userId, amount, adminId, note = null) {
+  const credits = Number(amount);
+
+  if (!Number.isInteger(credits) || credits < 1 || credits > MAX_ADMIN_GRANT) {
+    throw creditError(`Amount must be a whole number between 1 and ${MAX_ADMIN_GRANT}`, 400);
+  }
+
+  const user = await prisma.users.findUnique({ where: { id: BigInt(userId) }, select: { id: true } });
+  if (!user) {
+    throw creditError("User not found", 404);
+  }
+
+  return runCreditChange({
+    userId,
+    amount: credits,
+    type: CREDIT_TRANSACTION_TYPES.ADMIN_GRANT,
+    actorId: adminId,
+    note
+  });
+}
+
+/**
+ * Format a ledger row for responses
+ * @param {Object} transaction - expert_review_credit_transactions row
+ * @returns {Object}
+ */
+export function formatCreditTransaction(transaction) {
+  return {
+    id: transaction.id.toString(),
+    type: transaction.type,
+    amount: transaction.amount,
+    balance_after: transaction.balance_after,
+    request_id: transaction.request_id ? transaction.request_id.toString() : null,
+    actor_id: transaction.actor_id ? transaction.actor_id.toString() : null,
+    note: transaction.note,
+    created_at: transaction.created_at
+  };
+}
+
+/**
+ * Credit balance and ledger of a user, newest entries first
+ * Grants the current plan's credits first if they haven't been granted yet
+ * @param {BigInt|number|string} userId - User ID
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Ledger entries to return (default 50, max 200)
+ * @returns {Promise<Object>} { plan, plan_credits, balance, transactions }
+ */
+export async function getCreditSummary(userId, { limit } = {}) {
+  const take = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_HISTORY_LIMIT);
+  const plan = await ensurePlanGrant(userId);
+
+  const [balance, transactions] = await Promise.all([
+    prisma.expert_review_credit_balances.findUnique({ where: { user_id: BigInt(userId) } }),
+    prisma.expert_review_credit_transactions.findMany({
+      where: { user_id: BigInt(userId) },
+      orderBy: [{ created_at: "desc" }, { id: "desc" }],
+      take
+    })
+  ]);
+
+  return {
+    plan: plan.plan,
+    plan_credits: plan.credits,
+    balance: balance?.balance || 0,
+    transactions: transactions.map(formatCreditTransaction)
+  };
+}
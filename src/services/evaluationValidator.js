@@ -0,0 +1,125 @@
+// services/evaluationValidator.js
+import { roundBandScore } from "./openaiService.js";
+
+/**
+ * Expected shape of each task in a writing evaluation
+ * Band fields must be numbers 0-9 in half steps; each criterion has a "<criterion>_details" string
+ */
+export const WRITING_EVALUATION_SCHEMA = {
+  task1: {
+    criteria: ["task_achievement", "coherence_cohesion", "lexical_resource", "grammatical_accuracy"],
+  },
+  task2: {
+    criteria: ["task_response", "coherence_cohesion", "lexical_resource", "grammatical_accuracy"],
+  },
+};
+
+/**
+ * Criteria of a speaking evaluation, each with a "<criterion>_details" string
+ * The overall band is computed from these, not taken from the model
+ */
+export const SPEAKING_EVALUATION_CRITERIA = ["fluency_coherence", "lexical_resource", "grammatical_accuracy", "pronunciation"];
+
+/**
+ * Validation outcomes recorded on the submission
+ */
+export const VALIDATION_STATUS = {
+  VALID: "valid",         // Passed as returned
+  CORRECTED: "corrected", // Bands re-rounded to half steps
+  REPAIRED: "repaired",   // Passed after the repair re-prompt
+  INVALID: "invalid",     // Still invalid after the repair re-prompt
+};
+
+// Validate a band and re-round it to the nearest half band
+const checkBand = (value, path, errors, corrections) => {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    errors.push(`${path} must be a number`);
+    return value;
+  }
+
+  if (value < 0 || value > 9) {
+    errors.push(`${path} must be between 0 and 9 (got ${value})`);
+    return value;
+  }
+
+  const rounded = roundBandScore(value);
+  if (rounded !== value) {
+    corrections.push(`${path}: ${value} -> ${rounded}`);
+  }
+  return rounded;
+};
+
+const checkString = (value, path, errors) => {
+  if (typeof value !== "string" || value.trim() === "") {
+    errors.push(`${path} must be a non-empty string`);
+  }
+};
+
+/**
+ * Validate a writing evaluation against WRITING_EVALUATION_SCHEMA
+ * Off-step bands (e.g. 6.3) are re-rounded with roundBandScore; out-of-range or missing values are errors
+ * @param {Object} evaluation - Parsed AI response
+ * @param {string[]} tasks - Tasks that were submitted for evaluation (e.g. ["task1", "task2"])
+ * @returns {Object} { valid, errors, corrections, data } - data is the corrected evaluation
+ */
+export function validateWritingEvaluation(evaluation, tasks) {
+  const errors = [];
+  const corrections = [];
+
+  if (!evaluation || typeof evaluation !== "object" || Array.isArray(evaluation)) {
+    return { valid: false, errors: ["Response must be a JSON object"], corrections, data: null };
+  }
+
+  const data = { ...evaluation };
+
+  for (const task of tasks) {
+    const result = evaluation[task];
+
+    if (!result || typeof result !== "object" || Array.isArray(result)) {
+      errors.push(`${task} is missing`);
+      continue;
+    }
+
+    const checked = { ...result };
+
+    for (const criterion of WRITING_EVALUATION_SCHEMA[task].criteria) {
+      checked[criterion] = checkBand(result[criterion], `${task}.${criterion}`, errors, corrections);
+      checkString(result[`${criterion}_details`], `${task}.${criterion}_details`, errors);
+    }
+
+    checked.overall_band = checkBand(result.overall_band, `${task}.overall_band`, errors, corrections);
+    checkString(result.feedback, `${task}.feedback`, errors);
+
+    if (!Array.isArray(result.improvements) || !result.improvements.every(i => typeof i === "string")) {
+      errors.push(`${task}.improvements must be an array of strings`);
+    }
+
+    data[task] = checked;
+  }
+
+  return { valid: errors.length === 0, errors, corrections, data };
+}
+
+/**
+ * Validate a speaking evaluation: the four criteria bands and their details
+ * Off-step bands are re-rounded with roundBandScore; out-of-range or missing values are errors
+ * @param {Object} evaluation - Parsed AI response
+ * @returns {Object} { valid, errors, corrections, data } - data is the corrected evaluation
+ */
+export function validateSpeakingEvaluation(evaluation) {
+  const errors = [];
+  const corrections = [];
+
+  if (!evaluation || typeof evaluation !== "object" || Array.isArray(evaluation)) {
+    return { valid: false, errors: ["Response must be a JSON object"], corrections, data: null };
+  }
+
+  const data = { ...evaluation };
+
+  for (const criterion of SPEAKING_EVALUATION_CRITERIA) {
+    data[criterion] = checkBand(evaluation[criterion], criterion, errors, corrections);
+    checkString(evaluation[`${criterion}_details`], `${criterion}_details`, errors);
+  }
+
+  return { valid: errors.length === 0, errors, corrections, data };
+}
@@ -0,0 +1,209 @@
+// services/expertAssignmentService.js
+import { prisma } from "../config/prismaClient.js";
+import { ROLES, getUsersByRole } from "../utils/roleHelper.js";
+import { REVIEW_STATUS, transitionReviewRequest } from "./reviewStatusService.js";
+
+// Claims without a submitted review are released after this many minutes
+export const CLAIM_TIMEOUT_MINUTES = parseInt(process.env.EXPERT_CLAIM_TIMEOUT_MINUTES, 10) || 120;
+
+// Auto-assignment never gives an expert more open reviews than this
+export const MAX_ACTIVE_REVIEWS = parseInt(process.env.EXPERT_MAX_ACTIVE_REVIEWS, 10) || 5;
+
+// Error carrying the HTTP status the controller should respond with
+const assignmentError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * Whether a user may act on any review request regardless of who claimed it
+ * @param {Object} user - req.user
+ * @returns {boolean}
+ */
+export const isReviewAdmin = (user) => !!user?.roles?.includes(ROLES.ADMIN);
+
+/**
+ * Check that a user holds the lock on a review request before changing it
+ * Admins can always act; experts must have claimed the request
+ * @param {Object} request - expert_review_requests row
+ * @param {Object} user - req.user
+ * @throws {Error} With status 403/409 if the user can't act on the request
+ */
+export function assertCanReview(request, user) {
+  if (isReviewAdmin(user)) return;
+
+  if (!request.assigned_to) {
+    throw assignmentError("Claim this review request before working on it", 409);
+  }
+
+  if (request.assigned_to.toString() !== user.id.toString()) {
+    throw assignmentError("This review request is claimed by another expert", 403);
+  }
+}
+
+/**
+ * Claim a pending review request (locks it to the expert)
+ * @param {BigInt|number|string} requestId - Review request ID
+ * @param {BigInt|number|string} expertId - Claiming user's ID
+ * @returns {Promise<Object>} Updated request
+ * @throws {Error} With status 404 if missing, 409 if it isn't pending or is already claimed
+ */
+export async function claimReviewRequest(requestId, expertId) {
+  const request = await prisma.expert_review_requests.findUnique({ where: { id: BigInt(requestId) } });
+
+  if (!request) {
+    throw assignmentError("Review request not found", 404);
+  }
+
+  if (request.status !== REVIEW_STATUS.PENDING || request.assigned_to) {
+    throw assignmentError("Review request is not available to claim", 409);
+  }
+
+  // Only one expert wins the claim
+  return transitionReviewRequest({
+    request,
+    to: REVIEW_STATUS.IN_PROGRESS,
+    actorId: expertId,
+    data: { assigned_to: BigInt(expertId), assigned_at: new Date() },
+    where: { assigned_to: null }
+  });
+}
+
+/**
+ * Release a claimed review request back to the pending pool
+ * @param {BigInt|number|string} requestId - Review request ID
+ * @param {Object} user - req.user (the claiming expert or an admin)
+ * @returns {Promise<Object>} Updated request
+ */
+export async function releaseReviewRequest(requestId, user) {
+  const request = await prisma.expert_review_requests.findUnique({ where: { id: BigInt(requestId) } });
+
+  if (!request) {
+    throw assignmentError("Review request not found", 404);
+  }
+
+  if (request.status !== REVIEW_STATUS.IN_PROGRESS || !request.assigned_to) {
+    throw assignmentError("Only claimed, in-progress requests can be released", 409);
+  }
+
+  assertCanReview(request, user);
+
+  return transitionReviewRequest({
+    request,
+    to: REVIEW_STATUS.PENDING,
+    actorId: user.id,
+    note: "Claim released",
+    where: { assigned_to: request.assigned_to }
+  });
+}
+
+/**
+ * Active experts with their number of open (in-progress) reviews
+ * @returns {Promise<Object[]>} [{ id, name, email, active_reviews }] least loaded first
+ */
+export async function getExpertWorkloads() {
+  const experts = (await getUsersByRole(ROLES.EXPERT)).filter(e => e.status === "1");
+  if (experts.length === 0) return [];
+
+  const counts = await prisma.expert_review_requests.groupBy({
+    by: ["assigned_to"],
+    where: {
+      status: REVIEW_STATUS.IN_PROGRESS,
+      assigned_to: { in: experts.map(e => e.id) }
+    },
+    _count: { _all: true }
+  });
+
+  return experts
+    .map(expert => ({
+      id: expert.id,
+      name: expert.name,
+      email: expert.email,
+      active_reviews: counts.find(c => c.assigned_to === expert.id)?._count._all || 0
+    }))
+    .sort((a, b) => a.active_reviews - b.active_reviews || (a.id < b.id ? -1 : 1));
+}
+
+/**
+ * Assign pending, unclaimed requests (oldest first) to the expert with the least open reviews
+ * Experts at MAX_ACTIVE_REVIEWS are skipped
+ * @returns {Promise<Object[]>} [{ request_id, expert_id }] assignments made
+ */
+export async function autoAssignPendingRequests() {
+  const experts = await getExpertWorkloads();
+  if (experts.length === 0) return [];
+
+  const capacity = experts.reduce((sum, e) => sum + Math.max(MAX_ACTIVE_REVIEWS - e.active_reviews, 0), 0);
+  if (capacity === 0) return [];
+
+  const pending = await prisma.expert_review_requests.findMany({
+    where: { status: REVIEW_STATUS.PENDING, assigned_to: null },
+    orderBy: { requested_at: "asc" },
+    take: capacity,
+    select: { id: true, status: true }
+  });
+
+  const assignments = [];
+
+  for (const request of pending) {
+    const expert = experts
+      .filter(e => e.active_reviews < MAX_ACTIVE_REVIEWS)
+      .sort((a, b) => a.active_reviews - b.active_reviews)[0];
+    if (!expert) break;
+
+    try {
+      await transitionReviewRequest({
+        request,
+        to: REVIEW_STATUS.IN_PROGRESS,
+        note: "Auto-assigned",
+        data: { assigned_to: expert.id, assigned_at: new Date() },
+        where: { assigned_to: null }
+      });
+    } catch (err) {
+      // A request claimed manually in the meantime is skipped
+      if (err.status === 409) continue;
+      throw err;
+    }
+
+    expert.active_reviews++;
+    assignments.push({ request_id: request.id.toString(), expert_id: expert.id.toString() });
+  }
+
+  return assignments;
+}
+
+/**
+ * Release claims held longer than CLAIM_TIMEOUT_MINUTES without a submitted review
+ * @returns {Promise<number>} Number of released requests
+ */
+export async function releaseStaleClaims() {
+  const cutoff = new Date(Date.now() - CLAIM_TIMEOUT_MINUTES * 60 * 1000);
+
+  const stale = await prisma.expert_review_requests.findMany({
+    where: {
+      status: REVIEW_STATUS.IN_PROGRESS,
+      assigned_to: { not: null },
+      assigned_at: { lt: cutoff }
+    }
+  });
+
+  let released = 0;
+
+  for (const request of stale) {
+    try {
+      await transitionReviewRequest({
+        request,
+        to: REVIEW_STATUS.PENDING,
+        note: `Claim timed out after ${CLAIM_TIMEOUT_MINUTES} minutes`,
+        where: { assigned_to: request.assigned_to, assigned_at: request.assigned_at }
+      });
+      released++;
+    } catch (err) {
+      // Submitted or released in the meantime
+      if (err.status !== 409) throw err;
+    }
+  }
+
+  return released;
+}
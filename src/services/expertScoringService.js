@@ -0,0 +1,195 @@
+// services/expertScoringService.js
+import { calculateAverageBand, roundBandScore } from "./openaiService.js";
+import { WRITING_EVALUATION_SCHEMA } from "./evaluationValidator.js";
+
+/**
+ * Expert rubric: the same criteria the AI scores, per task
+ * Stored in writing_submissions.expert_feedback as
+ * { rubric_version, task1: { <criterion>, <criterion>_comment, overall_band, comment }, task2, overall_band, feedback }
+ */
+export const EXPERT_RUBRIC_VERSION = 1;
+
+// Free-text comments are optional but bounded
+const MAX_COMMENT_LENGTH = 5000;
+
+// Error carrying the HTTP status the controller should respond with
+const scoringError = (message, status, errors) => {
+  const err = new Error(message);
+  err.status = status;
+  if (errors) err.errors = errors;
+  return err;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const parseJson = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+// Experts must score in whole or half bands - nothing is re-rounded for them
+const checkBand = (value, path, errors) => {
+  const band = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+
+  if (typeof band !== "number" || !Number.isFinite(band)) {
+    errors.push(`${path} must be a number`);
+    return null;
+  }
+
+  if (band < 0 || band > 9) {
+    errors.push(`${path} must be between 0 and 9`);
+    return null;
+  }
+
+  if (band * 2 !== Math.floor(band * 2)) {
+    errors.push(`${path} must be a whole or half band (e.g. 6 or 6.5)`);
+    return null;
+  }
+
+  return band;
+};
+
+const checkComment = (value, path, errors) => {
+  if (value === undefined || value === null || value === "") return null;
+
+  if (typeof value !== "string") {
+    errors.push(`${path} must be a string`);
+    return null;
+  }
+
+  if (value.length > MAX_COMMENT_LENGTH) {
+    errors.push(`${path} must be at most ${MAX_COMMENT_LENGTH} characters`);
+    return null;
+  }
+
+  return value.trim() || null;
+};
+
+/**
+ * Tasks the student answered, which the expert must score
+ * @param {Object} submission - writing_submissions row
+ * @returns {string[]} e.g. ["task1", "task2"]
+ */
+export function getReviewableTasks(submission) {
+  return Object.keys(WRITING_EVALUATION_SCHEMA).filter(task => submission[`${task}_answer`]?.trim());
+}
+
+/**
+ * Validate an expert evaluation and compute its bands
+ * Task bands are the rounded mean of the four criteria; the overall band uses calculateAverageBand
+ * @param {Object} input - { task1: { <criterion>: band, <criterion>_comment?, comment? }, task2, feedback? }
+ * @param {string[]} tasks - Tasks that must be scored (see getReviewableTasks)
+ * @returns {Object} Normalized evaluation ready to store
+ * @throws {Error} With status 400 and an `errors` list if the evaluation is invalid
+ */
+export function validateExpertEvaluation(input, tasks) {
+  const errors = [];
+
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw scoringError("Expert evaluation must be an object", 400, ["expert_evaluation must be an object"]);
+  }
+
+  if (tasks.length === 0) {
+    throw scoringError("The submission has no answered tasks to review", 400);
+  }
+
+  const evaluation = { rubric_version: EXPERT_RUBRIC_VERSION, task1: null, task2: null };
+
+  for (const task of Object.keys(WRITING_EVALUATION_SCHEMA)) {
+    const scores = input[task];
+
+    if (!tasks.includes(task)) {
+      if (scores) errors.push(`${task} was not answered and can't be scored`);
+      continue;
+    }
+
+    if (!scores || typeof scores !== "object" || Array.isArray(scores)) {
+      errors.push(`${task} is required`);
+      continue;
+    }
+
+    const checked = {};
+    const bands = [];
+
+    for (const criterion of WRITING_EVALUATION_SCHEMA[task].criteria) {
+      checked[criterion] = checkBand(scores[criterion], `${task}.${criterion}`, errors);
+      checked[`${criterion}_comment`] = checkComment(scores[`${criterion}_comment`], `${task}.${criterion}_comment`, errors);
+      bands.push(checked[criterion]);
+    }
+
+    checked.comment = checkComment(scores.comment, `${task}.comment`, errors);
+
+    if (bands.every(band => band !== null)) {
+      checked.overall_band = roundBandScore(bands.reduce((sum, band) => sum + band, 0) / bands.length);
+    }
+
+    evaluation[task] = checked;
+  }
+
+  evaluation.feedback = checkComment(input.feedback, "feedback", errors);
+
+  if (errors.length > 0) {
+    throw scoringError(`Invalid expert evaluation: ${errors.join("; ")}`, 400, errors);
+  }
+
+  evaluation.overall_band = calculateAverageBand(
+    evaluation.task1?.overall_band ?? null,
+    evaluation.task2?.overall_band ?? null
+  );
+
+  return evaluation;
+}
+
+/**
+ * Parse a stored expert evaluation
+ * Reviews submitted before the typed rubric are returned as-is with `rubric_version: null`
+ * @param {string|null} stored - writing_submissions.expert_feedback
+ * @returns {Object|null}
+ */
+export function parseExpertEvaluation(stored) {
+  const parsed = parseJson(stored);
+  if (!parsed) return stored ? { rubric_version: null, legacy: stored } : null;
+  if (parsed.rubric_version) return parsed;
+  return { rubric_version: null, legacy: parsed };
+}
+
+// Expert minus AI for one band; null when either side is missing
+const delta = (ai, expert) => {
+  const aiBand = Number(ai);
+  const expertBand = Number(expert);
+  if (ai === null || ai === undefined || expert === null || expert === undefined) return null;
+  if (!Number.isFinite(aiBand) || !Number.isFinite(expertBand)) return null;
+  return { ai: aiBand, expert: expertBand, delta: round2(expertBand - aiBand) };
+};
+
+/**
+ * Side-by-side AI and expert bands with expert-minus-AI deltas
+ * @param {Object} submission - writing_submissions row
+ * @returns {Object|null} { task1: { <criterion>: { ai, expert, delta }, overall_band }, task2, overall_band } or null
+ *   when there is no typed expert evaluation
+ */
+export function compareWithAiEvaluation(submission) {
+  const expert = parseExpertEvaluation(submission.expert_feedback);
+  if (!expert?.rubric_version) return null;
+
+  const ai = parseJson(submission.ai_evaluation) || {};
+  const comparison = { task1: null, task2: null };
+
+  for (const task of Object.keys(WRITING_EVALUATION_SCHEMA)) {
+    if (!expert[task]) continue;
+
+    const taskComparison = {};
+    for (const criterion of [...WRITING_EVALUATION_SCHEMA[task].criteria, "overall_band"]) {
+      taskComparison[criterion] = delta(ai[task]?.[criterion], expert[task][criterion]);
+    }
+    comparison[task] = taskComparison;
+  }
+
+  comparison.overall_band = delta(submission.overall_band_score, expert.overall_band);
+
+  return comparison;
+}
@@ -0,0 +1,295 @@
+// services/expertSlaService.js
+import { prisma } from "../config/prismaClient.js";
+import { MAX_ACTIVE_REVIEWS, getExpertWorkloads } from "./expertAssignmentService.js";
+import { REVIEW_STATUS, recordStatusChange } from "./reviewStatusService.js";
+
+/**
+ * Review turnaround per plan, in hours
+ * Premium applies to paid users (users.is_user_paid) at the time of the request
+ */
+export const SLA_PLANS = {
+  standard: parseInt(process.env.EXPERT_SLA_STANDARD_HOURS, 10) || 48,
+  premium: parseInt(process.env.EXPERT_SLA_PREMIUM_HOURS, 10) || 24,
+};
+
+/**
+ * SLA state of a review request
+ */
+export const SLA_STATE = {
+  ON_TRACK: "on_track",
+  AT_RISK: "at_risk", // Less than AT_RISK_PERCENT of the SLA left
+  OVERDUE: "overdue", // Open past its due date
+  MET: "met",         // Reviewed on time
+  MISSED: "missed",   // Reviewed late
+};
+
+/**
+ * Events recorded in expert_review_events
+ */
+export const REVIEW_EVENTS = {
+  REQUESTED: "requested",
+  ESCALATED: "escalated",
+  REASSIGNED: "reassigned",
+};
+
+// Open requests with less than this share of their SLA left are at risk
+const AT_RISK_PERCENT = parseInt(process.env.EXPERT_SLA_AT_RISK_PERCENT, 10) || 25;
+
+// An overdue request is escalated again after this many hours without a review
+const ESCALATION_REPEAT_HOURS = parseInt(process.env.EXPERT_SLA_ESCALATION_REPEAT_HOURS, 10) || 12;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const OPEN_STATUSES = [REVIEW_STATUS.PENDING, REVIEW_STATUS.IN_PROGRESS];
+
+/**
+ * SLA plan for a user
+ * @param {BigInt|number|string} userId - Requesting user's ID
+ * @returns {Promise<string>} SLA_PLANS key
+ */
+export async function getUserSlaPlan(userId) {
+  const user = await prisma.users.findUnique({
+    where: { id: BigInt(userId) },
+    select: { is_user_paid: true }
+  });
+
+  return user?.is_user_paid ? "premium" : "standard";
+}
+
+/**
+ * Due date of a request
+ * @param {Date} requestedAt - When the review was requested
+ * @param {string} plan - SLA_PLANS key (unknown plans use standard)
+ * @returns {Date}
+ */
+export function computeDueAt(requestedAt, plan) {
+  const hours = SLA_PLANS[plan] || SLA_PLANS.standard;
+  return new Date(new Date(requestedAt).getTime() + hours * HOUR_MS);
+}
+
+/**
+ * SLA summary of a request
+ * Requests created before SLAs were tracked get their due date from requested_at and their plan
+ * @param {Object} request - expert_review_requests row
+ * @param {Date} [now]
+ * @returns {Object} { plan, hours, due_at, remaining_minutes, state, escalation_level, escalated_at } - state is null for cancelled requests
+ */
+export function getSlaStatus(request, now = new Date()) {
+  const plan = request.sla_plan || "standard";
+  const hours = SLA_PLANS[plan] || SLA_PLANS.standard;
+  const dueAt = request.due_at || computeDueAt(request.requested_at, plan);
+  const remainingMs = dueAt.getTime() - now.getTime();
+
+  let state;
+  if (request.status === REVIEW_STATUS.CANCELLED) {
+    state = null;
+  } else if (!OPEN_STATUSES.includes(request.status)) {
+    state = request.reviewed_at && request.reviewed_at > dueAt ? SLA_STATE.MISSED : SLA_STATE.MET;
+  } else if (remainingMs < 0) {
+    state = SLA_STATE.OVERDUE;
+  } else if (remainingMs < hours * HOUR_MS * (AT_RISK_PERCENT / 100)) {
+    state = SLA_STATE.AT_RISK;
+  } else {
+    state = SLA_STATE.ON_TRACK;
+  }
+
+  return {
+    plan,
+    hours,
+    due_at: dueAt,
+    remaining_minutes: OPEN_STATUSES.includes(request.status) ? Math.round(remainingMs / 60000) : null,
+    state,
+    escalation_level: request.escalation_level || 0,
+    escalated_at: request.escalated_at || null
+  };
+}
+
+/**
+ * Record an event in a review request's history
+ * @param {Object} params
+ * @param {BigInt|number|string} params.requestId - Review request ID
+ * @param {string} params.event - REVIEW_EVENTS value
+ * @param {BigInt|number|string} [params.actorId] - Acting user (null for the scheduler)
+ * @param {Object} [params.details] - Event details (JSON-serializable)
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Object>} expert_review_events row
+ */
+export function recordReviewEvent({ requestId, event, actorId = null, details = null }, client = prisma) {
+  return client.expert_review_events.create({
+    data: {
+      request_id: BigInt(requestId),
+      actor_id: actorId ? BigInt(actorId) : null,
+      event,
+      details: details ? JSON.stringify(details) : null,
+      created_at: new Date()
+    }
+  });
+}
+
+/**
+ * Event history of a review request, oldest first
+ * @param {BigInt|number|string} requestId - Review request ID
+ * @returns {Promise<Object[]>} Formatted events
+ */
+export async function getReviewEvents(requestId) {
+  const events = await prisma.expert_review_events.findMany({
+    where: { request_id: BigInt(requestId) },
+    orderBy: [{ created_at: "asc" }, { id: "asc" }]
+  });
+
+  return events.map(event => ({
+    id: event.id.toString(),
+    event: event.event,
+    actor_id: event.actor_id ? event.actor_id.toString() : null,
+    details: event.details ? JSON.parse(event.details) : null,
+    created_at: event.created_at
+  }));
+}
+
+/**
+ * Open requests that are overdue or at risk, most urgent first
+ * @param {Object} [options]
+ * @param {string} [options.state] - Only SLA_STATE.OVERDUE or SLA_STATE.AT_RISK requests
+ * @returns {Promise<Object>} { summary, requests }
+ */
+export async function getSlaDashboard({ state } = {}) {
+  const now = new Date();
+
+  const open = await prisma.expert_review_requests.findMany({
+    where: { status: { in: OPEN_STATUSES } },
+    orderBy: { requested_at: "asc" }
+  });
+
+  const summary = { open: open.length, on_track: 0, at_risk: 0, overdue: 0 };
+  const requests = [];
+
+  for (const request of open) {
+    const sla = getSlaStatus(request, now);
+    summary[sla.state]++;
+
+    if (sla.state === SLA_STATE.ON_TRACK || (state && sla.state !== state)) continue;
+
+    requests.push({
+      id: request.id.toString(),
+      submission_id: request.submission_id.toString(),
+      user_id: request.user_id.toString(),
+      status: request.status,
+      assigned_to: request.assigned_to ? request.assigned_to.toString() : null,
+      assigned_at: request.assigned_at,
+      requested_at: request.requested_at,
+      sla
+    });
+  }
+
+  requests.sort((a, b) => a.sla.remaining_minutes - b.sla.remaining_minutes);
+
+  return { summary, requests };
+}
+
+/**
+ * Escalate open requests past their due date
+ * Each breach bumps the escalation level and hands the request to the least loaded
+ * other expert with capacity; requests stay escalated and are re-escalated every
+ * ESCALATION_REPEAT_HOURS until reviewed
+ * @returns {Promise<Object[]>} [{ request_id, escalation_level, reassigned_to }] escalations made
+ */
+export async function escalateOverdueRequests() {
+  const now = new Date();
+  const repeatCutoff = new Date(now.getTime() - ESCALATION_REPEAT_HOURS * HOUR_MS);
+
+  const open = await prisma.expert_review_requests.findMany({
+    where: {
+      status: { in: OPEN_STATUSES },
+      OR: [{ escalated_at: null }, { escalated_at: { lt: repeatCutoff } }]
+    },
+    orderBy: { requested_at: "asc" }
+  });
+
+  const overdue = open.filter(request => getSlaStatus(request, now).state === SLA_STATE.OVERDUE);
+  if (overdue.length === 0) return [];
+
+  const experts = await getExpertWorkloads();
+  const escalations = [];
+
+  for (const request of overdue) {
+    const sla = getSlaStatus(request, now);
+    const level = (request.escalation_level || 0) + 1;
+
+    const expert = experts
+      .filter(e => e.active_reviews < MAX_ACTIVE_REVIEWS && e.id !== request.assigned_to)
+      .sort((a, b) => a.active_reviews - b.active_reviews)[0];
+
+    const data = {
+      escalation_level: level,
+      escalated_at: now,
+      due_at: sla.due_at,
+      updated_at: now
+    };
+
+    if (expert) {
+      data.status = REVIEW_STATUS.IN_PROGRESS;
+      data.assigned_to = expert.id;
+      data.assigned_at = now;
+    }
+
+    const overdueMinutes = Math.round((now.getTime() - sla.due_at.getTime()) / 60000);
+
+    // The reassignment and its history entries are written together
+    const escalated = await prisma.$transaction(async (tx) => {
+      // Skip requests reviewed or re-claimed since they were read
+      const updated = await tx.expert_review_requests.updateMany({
+        where: { id: request.id, status: request.status, assigned_to: request.assigned_to },
+        data
+      });
+
+      if (updated.count !== 1) return false;
+
+      await recordReviewEvent({
+        requestId: request.id,
+        event: REVIEW_EVENTS.ESCALATED,
+        details: { level, overdue_minutes: overdueMinutes, plan: sla.plan }
+      }, tx);
+
+      if (expert) {
+        if (request.status === REVIEW_STATUS.PENDING) {
+          await recordStatusChange({
+            requestId: request.id,
+            from: REVIEW_STATUS.PENDING,
+            to: REVIEW_STATUS.IN_PROGRESS,
+            note: "Assigned on SLA escalation",
+            createdAt: now
+          }, tx);
+        }
+
+        await recordReviewEvent({
+          requestId: request.id,
+          event: REVIEW_EVENTS.REASSIGNED,
+          details: {
+            from: request.assigned_to ? request.assigned_to.toString() : null,
+            to: expert.id.toString(),
+            reason: "sla_breach"
+          }
+        }, tx);
+      }
+
+      return true;
+    });
+
+    if (!escalated) continue;
+
+    if (expert) {
+      expert.active_reviews++;
+      const previous = experts.find(e => e.id === request.assigned_to);
+      if (previous) previous.active_reviews--;
+    }
+
+    escalations.push({
+      request_id: request.id.toString(),
+      escalation_level: level,
+      overdue_minutes: overdueMinutes,
+      reassigned_to: expert ? expert.id.toString() : null
+    });
+  }
+
+  return escalations;
+}
@@ -0,0 +1,381 @@
+// services/gradingService.js
+import { prisma } from "../config/prismaClient.js";
+import { convertRawScore, scaleToRawScore } from "./bandConversionService.js";
+
+/**
+ * Question categories as stored in questions.category by the admin panel
+ */
+export const QUESTION_CATEGORIES = {
+  READING: 1,
+  LISTENING: 2,
+};
+
+/**
+ * Score buckets matching the finished_tests columns
+ */
+export const SCORE_BUCKETS = {
+  FILL: "fill",
+  MCQ: "mcq",
+  FIVE_CHOICE: "five_choice",
+};
+
+// Answer columns of fill_in_blanks, one entry per blank
+const BLANK_ANSWER_COLUMNS = [
+  ["ans_first_1", "ans_first_2", "ans_first_3"],
+  ["ans_sec_1", "ans_sec_2", "ans_sec_3"],
+  ["ans_third_1", "ans_third_2", "ans_third_3"],
+];
+
+/**
+ * Normalize a typed answer for comparison (case, surrounding spaces, repeated spaces)
+ * @param {string} value - Raw answer text
+ * @returns {string} Normalized answer
+ */
+const normalizeAnswer = (value) => {
+  return String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+};
+
+/**
+ * Get the accepted answers for each blank of a fill_in_blanks row
+ * Entries stay at their blank's position so typed answers line up; a blank without
+ * answers between two answered ones is an empty entry and isn't scored
+ * @param {Object} blank - fill_in_blanks row
+ * @returns {string[][]} Accepted answers per blank, up to the last blank that has answers
+ */
+const getBlankAnswers = (blank) => {
+  const answers = BLANK_ANSWER_COLUMNS
+    .map((columns) => columns.map((column) => blank[column]).filter((value) => value && value.trim()));
+
+  while (answers.length > 0 && answers[answers.length - 1].length === 0) {
+    answers.pop();
+  }
+
+  return answers;
+};
+
+/**
+ * Get the text around the blanks of a fill_in_blanks row
+ * Segments stay at their position (a missing middle segment is "") so they line up with the blanks
+ * @param {Object} blank - fill_in_blanks row
+ * @returns {string[]} Text segments, up to the last one that has text
+ */
+const getTextSegments = (blank) => {
+  const segments = [blank.fill_1, blank.fill_2, blank.fill_3, blank.fill_4];
+
+  while (segments.length > 0 && segments[segments.length - 1] === null) {
+    segments.pop();
+  }
+
+  return segments.map((segment) => segment ?? "");
+};
+
+/**
+ * Load all questions of a test for one category, with their options, blanks and groups
+ * @param {BigInt|number|string} testId - Test ID
+ * @param {number} category - One of QUESTION_CATEGORIES
+ * @returns {Promise<Object>} Questions with options and blanks attached, plus the groups
+ */
+export async function loadTestQuestions(testId, category) {
+  const questions = await prisma.questions.findMany({
+    where: {
+      test_id: BigInt(testId),
+      category
+    },
+    orderBy: [{ position: "asc" }, { id: "asc" }]
+  });
+
+  const questionIds = questions.map((q) => q.id);
+
+  const [options, blanks, groups] = await Promise.all([
+    prisma.options.findMany({
+      where: { question_id: { in: questionIds } },
+      orderBy: { id: "asc" }
+    }),
+    prisma.fill_in_blanks.findMany({
+      where: { question_id: { in: questionIds } }
+    }),
+    prisma.question_groups.findMany({
+      where: { test_id: Number(testId) },
+      orderBy: [{ position: "asc" }, { id: "asc" }]
+    })
+  ]);
+
+  const withAnswers = questions.map((question) => ({
+    ...question,
+    options: options.filter((o) => o.question_id === question.id),
+    fill_in_blank: blanks.find((b) => b.question_id === question.id) || null
+  }));
+
+  const usedGroupIds = new Set(withAnswers.map((q) => q.question_group_id).filter(Boolean));
+
+  return {
+    questions: withAnswers,
+    groups: groups.filter((g) => usedGroupIds.has(Number(g.id)))
+  };
+}
+
+/**
+ * Decide how a question is scored from the data attached to it
+ * @param {Object} question - Question loaded by loadTestQuestions
+ * @returns {string} One of SCORE_BUCKETS
+ */
+export function getScoreBucket(question) {
+  if (question.fill_in_blank) {
+    return SCORE_BUCKETS.FILL;
+  }
+
+  const correctCount = question.options.filter((o) => o.is_correct === 1).length;
+  return correctCount > 1 ? SCORE_BUCKETS.FIVE_CHOICE : SCORE_BUCKETS.MCQ;
+}
+
+/**
+ * Format a question for test takers - never includes is_correct or ans_* values
+ * @param {Object} question - Question loaded by loadTestQuestions
+ * @returns {Object} Safe question payload
+ */
+export function formatQuestionForTaker(question) {
+  const bucket = getScoreBucket(question);
+  const formatted = {
+    id: question.id.toString(),
+    name: question.name,
+    type: question.type,
+    answer_type: bucket,
+    position: question.position,
+    paragraph: question.paragraph,
+    part: question.part,
+    image_url: question.image_url
+  };
+
+  if (bucket === SCORE_BUCKETS.FILL) {
+    const blank = question.fill_in_blank;
+    formatted.fill_in_blank = {
+      text_segments: getTextSegments(blank),
+      blank_count: getBlankAnswers(blank).length
+    };
+  } else {
+    formatted.options = question.options.map((o) => ({
+      id: o.id.toString(),
+      name: o.name
+    }));
+    formatted.select_count = Math.max(question.options.filter((o) => o.is_correct === 1).length, 1);
+  }
+
+  return formatted;
+}
+
+/**
+ * Group questions under their question_groups for test takers
+ * @param {Object[]} questions - Questions loaded by loadTestQuestions
+ * @param {Object[]} groups - Groups loaded by loadTestQuestions
+ * @returns {Object[]} Groups with their safe questions (ungrouped questions are returned in a final group)
+ */
+export function buildQuestionGroups(questions, groups) {
+  const formattedGroups = groups.map((group) => ({
+    id: group.id.toString(),
+    type: group.type,
+    heading: group.heading,
+    description: group.description,
+    position: group.position,
+    questions: questions
+      .filter((q) => q.question_group_id === Number(group.id))
+      .map(formatQuestionForTaker)
+  }));
+
+  const ungrouped = questions.filter(
+    (q) => !q.question_group_id || !groups.some((g) => Number(g.id) === q.question_group_id)
+  );
+
+  if (ungrouped.length > 0) {
+    formattedGroups.push({
+      id: null,
+      type: null,
+      heading: null,
+      description: null,
+      position: null,
+      questions: ungrouped.map(formatQuestionForTaker)
+    });
+  }
+
+  return formattedGroups;
+}
+
+const isIdValue = (value) => typeof value === "string" || typeof value === "number";
+
+/**
+ * Check the shape of submitted answers before grading
+ * @param {Object[]} answers - Submitted answers (see gradeAnswers)
+ * @returns {string|null} Error message, or null if the answers are well formed
+ */
+export function checkAnswers(answers) {
+  if (!Array.isArray(answers)) return "answers must be an array";
+
+  for (const [index, answer] of answers.entries()) {
+    if (!answer || typeof answer !== "object" || Array.isArray(answer)) {
+      return `answers[${index}] must be an object`;
+    }
+
+    if (!isIdValue(answer.question_id)) {
+      return `answers[${index}].question_id is required`;
+    }
+
+    if (answer.option_ids !== undefined && answer.option_ids !== null &&
+      (!Array.isArray(answer.option_ids) || !answer.option_ids.every(isIdValue))) {
+      return `answers[${index}].option_ids must be an array of option IDs`;
+    }
+
+    if (answer.option_id !== undefined && answer.option_id !== null && !isIdValue(answer.option_id)) {
+      return `answers[${index}].option_id must be an option ID`;
+    }
+
+    if (answer.blanks !== undefined && answer.blanks !== null &&
+      (!Array.isArray(answer.blanks) || !answer.blanks.every((value) => value === null || typeof value === "string"))) {
+      return `answers[${index}].blanks must be an array of strings`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Auto-grade submitted answers
+ * Answers must have passed checkAnswers
+ * @param {Object[]} questions - Questions loaded by loadTestQuestions
+ * @param {Object[]} answers - Submitted answers
+ * @param {string} answers[].question_id - Question ID
+ * @param {string[]} [answers[].option_ids] - Selected options (MCQ / five choice)
+ * @param {string} [answers[].option_id] - Selected option (single answer MCQ)
+ * @param {string[]} [answers[].blanks] - Typed answers in blank order (fill in the blanks)
+ * @returns {Object} Scores per bucket, totals and per-question results
+ */
+export function gradeAnswers(questions, answers = []) {
+  const scores = {
+    [SCORE_BUCKETS.FILL]: 0,
+    [SCORE_BUCKETS.MCQ]: 0,
+    [SCORE_BUCKETS.FIVE_CHOICE]: 0
+  };
+  let maxScore = 0;
+
+  const results = questions.map((question) => {
+    const bucket = getScoreBucket(question);
+    const answer = answers.find((a) => String(a.question_id) === question.id.toString()) || {};
+    let marks = 0;
+    let maxMarks = 0;
+    let correctAnswer;
+    let submitted;
+
+    if (bucket === SCORE_BUCKETS.FILL) {
+      const accepted = getBlankAnswers(question.fill_in_blank);
+      const typed = Array.isArray(answer.blanks) ? answer.blanks : [];
+
+      maxMarks = accepted.filter((values) => values.length > 0).length;
+      marks = accepted.filter((values, index) => {
+        const typedValue = normalizeAnswer(typed[index]);
+        return typedValue !== "" && values.some((value) => normalizeAnswer(value) === typedValue);
+      }).length;
+      correctAnswer = accepted;
+      submitted = typed;
+    } else {
+      const correctIds = question.options.filter((o) => o.is_correct === 1).map((o) => o.id.toString());
+      const selected = [
+        ...new Set((answer.option_ids || (answer.option_id ? [answer.option_id] : [])).map(String))
+      ];
+
+      maxMarks = correctIds.length;
+      // Selecting more options than allowed scores nothing, as on the paper test
+      marks = selected.length <= correctIds.length
+        ? selected.filter((id) => correctIds.includes(id)).length
+        : 0;
+      correctAnswer = correctIds;
+      submitted = selected;
+    }
+
+    scores[bucket] += marks;
+    maxScore += maxMarks;
+
+    return {
+      question_id: question.id.toString(),
+      answer_type: bucket,
+      submitted,
+      correct_answer: correctAnswer,
+      marks,
+      max_marks: maxMarks,
+      is_correct: maxMarks > 0 && marks === maxMarks
+    };
+  });
+
+  return {
+    fill_score: scores[SCORE_BUCKETS.FILL],
+    mcqs_score: scores[SCORE_BUCKETS.MCQ],
+    five_choice_score: scores[SCORE_BUCKETS.FIVE_CHOICE],
+    total_score: scores[SCORE_BUCKETS.FILL] + scores[SCORE_BUCKETS.MCQ] + scores[SCORE_BUCKETS.FIVE_CHOICE],
+    max_score: maxScore,
+    results
+  };
+}
+
+/**
+ * Store a graded attempt in finished_tests, converting the raw score to a band
+ * @param {Object} params
+ * @param {BigInt|number|string} params.userId - User ID
+ * @param {BigInt|number|string} params.testId - Test ID
+ * @param {number} params.category - tests.category (selects the conversion table)
+ * @param {string} params.module - "reading" or "listening"
+ * @param {Object} params.grade - Result of gradeAnswers
+ * @param {Object} [params.extra] - Additional data kept in finished_tests.test
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Object>} Created finished_tests row
+ */
+export async function saveFinishedTest({ userId, testId, category, module, grade, extra = {} }, client = prisma) {
+  const rawScore = scaleToRawScore(grade.total_score, grade.max_score);
+  const bandScore = convertRawScore(module, category, rawScore);
+
+  return client.finished_tests.create({
+    data: {
+      test_id: Number(testId),
+      user_id: BigInt(userId),
+      module,
+      fill_score: String(grade.fill_score),
+      mcqs_score: String(grade.mcqs_score),
+      five_choice_score: String(grade.five_choice_score),
+      total_score: String(grade.total_score),
+      band_score: bandScore,
+      test: JSON.stringify({
+        module,
+        max_score: grade.max_score,
+        raw_score: rawScore,
+        results: grade.results,
+        ...extra
+      }),
+      created_at: new Date(),
+      updated_at: new Date()
+    }
+  });
+}
+
+/**
+ * Format a finished_tests row for API responses
+ * @param {Object} finished - finished_tests row
+ * @returns {Object} Scores, per-question results and submission time
+ */
+export function formatFinishedTest(finished) {
+  const details = finished.test ? JSON.parse(finished.test) : null;
+
+  return {
+    id: finished.id.toString(),
+    test_id: finished.test_id?.toString(),
+    module: finished.module,
+    fill_score: Number(finished.fill_score || 0),
+    mcqs_score: Number(finished.mcqs_score || 0),
+    five_choice_score: Number(finished.five_choice_score || 0),
+    total_score: Number(finished.total_score || 0),
+    max_score: details?.max_score ?? null,
+    raw_score: details?.raw_score ?? null,
+    band_score: finished.band_score,
+    time_taken: details?.time_taken ?? null,
+    results: details?.results || [],
+    submitted_at: finished.created_at
+  };
+}
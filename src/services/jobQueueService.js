@@ -0,0 +1,226 @@
+// services/jobQueueService.js
+import crypto from "crypto";
+import { prisma } from "../config/prismaClient.js";
+import { logError, logInfo } from "../utils/logger.js";
+
+/**
+ * Queue names used by the application
+ */
+export const QUEUES = {
+  EVALUATION: "evaluation",
+  ANALYSIS: "analysis",
+};
+
+// Attempts before a job is moved to failed_jobs
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5;
+
+// First retry delay; doubles on every attempt (30s, 60s, 120s, ...)
+const BACKOFF_BASE_SECONDS = parseInt(process.env.JOB_BACKOFF_SECONDS, 10) || 30;
+const BACKOFF_MAX_SECONDS = 60 * 60;
+
+// A reserved job not finished within this window is considered abandoned (worker crashed)
+const RETRY_AFTER_SECONDS = 10 * 60;
+
+// Rows checked per table by findJobsByData after the LIKE pre-filter
+const FIND_CANDIDATES_LIMIT = 50;
+
+// Registered job handlers: job name -> async (data, job) => void
+const handlers = {};
+
+const unixNow = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Register the handler for a job name
+ * @param {string} name - Job name stored in the payload
+ * @param {Function} handler - async (data, job) => void; throw to retry
+ */
+export function registerJobHandler(name, handler) {
+  handlers[name] = handler;
+}
+
+/**
+ * Exponential backoff delay for the given attempt number
+ * @param {number} attempts - Attempts made so far (1-based)
+ * @returns {number} Delay in seconds
+ */
+export function getBackoffSeconds(attempts) {
+  return Math.min(BACKOFF_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_SECONDS);
+}
+
+/**
+ * Push a job onto a queue
+ * @param {string} queue - Queue name
+ * @param {string} name - Job name (must have a registered handler)
+ * @param {Object} data - Job data (JSON-serializable)
+ * @param {Object} [options]
+ * @param {number} [options.delaySeconds] - Delay before the job becomes available
+ * @param {Object} [options.client] - Prisma client or transaction; pass the transaction that saves the job's record
+ *   so the job is only queued if the record is
+ * @returns {Promise<Object>} jobs row
+ */
+export async function dispatchJob(queue, name, data, { delaySeconds = 0, client = prisma } = {}) {
+  const now = unixNow();
+
+  return client.jobs.create({
+    data: {
+      queue,
+      payload: JSON.stringify({ uuid: crypto.randomUUID(), job: name, data }),
+      attempts: 0,
+      reserved_at: null,
+      available_at: now + delaySeconds,
+      created_at: now
+    }
+  });
+}
+
+/**
+ * Reserve the next available job on a queue
+ * @param {string} queue - Queue name
+ * @returns {Promise<Object|null>} Reserved jobs row, or null if the queue is empty
+ */
+async function reserveNextJob(queue) {
+  const now = unixNow();
+
+  const candidate = await prisma.jobs.findFirst({
+    where: {
+      queue,
+      available_at: { lte: now },
+      OR: [
+        { reserved_at: null },
+        { reserved_at: { lt: now - RETRY_AFTER_SECONDS } }
+      ]
+    },
+    orderBy: { id: "asc" }
+  });
+
+  if (!candidate) return null;
+
+  // Only one worker wins the reservation
+  const claimed = await prisma.jobs.updateMany({
+    where: { id: candidate.id, reserved_at: candidate.reserved_at },
+    data: { reserved_at: now, attempts: { increment: 1 } }
+  });
+
+  if (claimed.count !== 1) return null;
+
+  return { ...candidate, reserved_at: now, attempts: candidate.attempts + 1 };
+}
+
+/**
+ * Move a job to failed_jobs and remove it from the queue
+ * @param {Object} job - jobs row
+ * @param {Error} err - Last error
+ */
+async function failJob(job, err) {
+  const payload = JSON.parse(job.payload);
+
+  await prisma.$transaction([
+    prisma.failed_jobs.create({
+      data: {
+        uuid: payload.uuid,
+        connection: "database",
+        queue: job.queue,
+        payload: job.payload,
+        exception: err?.stack || String(err),
+        failed_at: new Date()
+      }
+    }),
+    prisma.jobs.delete({ where: { id: job.id } })
+  ]);
+}
+
+/**
+ * Reserve and run the next job on a queue
+ * Failed jobs are released with exponential backoff until MAX_ATTEMPTS is reached,
+ * then moved to failed_jobs and the handler's onFailed hook (if any) is called
+ * @param {string} queue - Queue name
+ * @returns {Promise<boolean>} True if a job was processed
+ */
+export async function processNextJob(queue) {
+  const job = await reserveNextJob(queue);
+  if (!job) return false;
+
+  const payload = JSON.parse(job.payload);
+  const handler = handlers[payload.job];
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job "${payload.job}"`);
+    }
+
+    await handler(payload.data, job);
+    await prisma.jobs.delete({ where: { id: job.id } });
+
+    logInfo('Job processed', { queue, job: payload.job, uuid: payload.uuid, attempts: job.attempts });
+  } catch (err) {
+    if (handler && job.attempts < MAX_ATTEMPTS) {
+      const delay = getBackoffSeconds(job.attempts);
+
+      await prisma.jobs.update({
+        where: { id: job.id },
+        data: { reserved_at: null, available_at: unixNow() + delay }
+      });
+
+      logError("Job failed, retrying", err, {
+        queue,
+        job: payload.job,
+        uuid: payload.uuid,
+        attempts: job.attempts,
+        retryInSeconds: delay
+      });
+      return true;
+    }
+
+    await failJob(job, err);
+
+    logError("Job failed permanently", err, {
+      queue,
+      job: payload.job,
+      uuid: payload.uuid,
+      attempts: job.attempts
+    });
+
+    if (handler?.onFailed) {
+      await handler.onFailed(payload.data, err).catch((hookErr) => {
+        logError("Job onFailed hook failed", hookErr, { job: payload.job, uuid: payload.uuid });
+      });
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Find queued or failed jobs whose payload data matches a key/value
+ * @param {string} name - Job name
+ * @param {string} key - Data key (e.g. "submission_id")
+ * @param {string} value - Expected value (compared as a string)
+ * @returns {Promise<Object>} { pending, failed } - latest matching rows or null
+ */
+export async function findJobsByData(name, key, value) {
+  // Payloads are JSON text: narrow down with LIKE, then compare the parsed data exactly
+  const where = {
+    AND: [
+      { payload: { contains: `"job":${JSON.stringify(name)}` } },
+      { payload: { contains: String(value) } }
+    ]
+  };
+
+  const matches = (row) => {
+    const payload = JSON.parse(row.payload);
+    return payload.job === name &&
+      payload.data?.[key] !== undefined &&
+      payload.data[key] !== null &&
+      String(payload.data[key]) === String(value);
+  };
+
+  const [pending, failed] = await Promise.all([
+    prisma.jobs.findMany({ where, orderBy: { id: "desc" }, take: FIND_CANDIDATES_LIMIT }),
+    prisma.failed_jobs.findMany({ where, orderBy: { id: "desc" }, take: FIND_CANDIDATES_LIMIT })
+  ]);
+
+  return {
+    pending: pending.find(matches) || null,
+    failed: failed.find(matches) || null
+  };
+}
@@ -0,0 +1,268 @@
+// services/llmService.js
+import OpenAI, { AzureOpenAI } from 'openai';
+import { logError, logInfo } from '../utils/logger.js';
+
+/**
+ * Cost per 1M tokens in USD, per provider and model
+ * Azure rates are keyed by deployment name; unknown models are costed at 0 (e.g. self-hosted endpoints)
+ */
+export const COST_TABLES = {
+  openai: {
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'gpt-4o': { input: 2.50, output: 10.00 },
+    'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+    'gpt-4.1': { input: 2.00, output: 8.00 },
+  },
+  azure: {
+    'gpt-4o-mini': { input: 0.165, output: 0.66 },
+    'gpt-4o': { input: 2.75, output: 11.00 },
+  },
+  openai_compatible: {},
+  fake: {},
+};
+
+/**
+ * Estimate the cost of a completion
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @param {Object} usage - { prompt_tokens, completion_tokens }
+ * @returns {string} Cost in USD with 6 decimals
+ */
+export function estimateCost(provider, model, usage) {
+  const rates = COST_TABLES[provider]?.[model] || { input: 0, output: 0 };
+
+  return (
+    ((usage?.prompt_tokens || 0) / 1000000) * rates.input +
+    ((usage?.completion_tokens || 0) / 1000000) * rates.output
+  ).toFixed(6);
+}
+
+// Wrap an OpenAI SDK client as a provider
+const chatProvider = (createClient, getModel) => {
+  let client = null;
+
+  return async ({ messages, temperature, maxTokens }) => {
+    client = client || createClient();
+    const model = getModel();
+
+    const response = await client.chat.completions.create({
+      model,
+      messages,
+      response_format: { type: 'json_object' }, // Force JSON output
+      temperature,
+      max_tokens: maxTokens,
+    });
+
+    return {
+      content: response.choices[0].message.content,
+      usage: response.usage,
+      model,
+    };
+  };
+};
+
+// Deterministic evaluation for tests and development: same input, same bands
+const fakeBand = (text) => {
+  let hash = 0;
+  for (const char of text) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  return 5 + (hash % 7) * 0.5; // 5.0 - 8.0
+};
+
+const fakeCriteria = (keys, text) => {
+  const band = fakeBand(text);
+  const result = {};
+  for (const key of keys) {
+    result[key] = band;
+    result[`${key}_details`] = `Fake ${key} feedback.`;
+  }
+  return { ...result, overall_band: band, feedback: 'Fake feedback.', improvements: ['Fake improvement.'] };
+};
+
+const fakeResponses = {
+  writing: (userMessage) => {
+    const result = {};
+    const task1 = /TASK 1[^]*?(?=TASK 2|$)/.exec(userMessage);
+    const task2 = /TASK 2[^]*$/.exec(userMessage);
+
+    if (task1) {
+      result.task1 = fakeCriteria(['task_achievement', 'coherence_cohesion', 'lexical_resource', 'grammatical_accuracy'], task1[0]);
+    }
+    if (task2) {
+      result.task2 = fakeCriteria(['task_response', 'coherence_cohesion', 'lexical_resource', 'grammatical_accuracy'], task2[0]);
+    }
+    return result;
+  },
+  speaking: (userMessage) =>
+    fakeCriteria(['fluency_coherence', 'lexical_resource', 'grammatical_accuracy', 'pronunciation'], userMessage),
+  rewrite: (userMessage) => ({
+    rewrite: `Fake rewrite (band ${fakeBand(userMessage)}).`,
+    changes: [{ criterion: 'lexical_resource', explanation: 'Fake change.' }],
+  }),
+  model_answer: () => ({ answer: 'Fake model answer.', notes: ['Fake note.'] }),
+};
+
+/**
+ * LLM providers, selected with LLM_PROVIDER (default: "openai")
+ * and optionally LLM_FALLBACK_PROVIDER for failover
+ * Each provider is an async function ({ messages, temperature, maxTokens, kind }) => { content, usage, model }
+ */
+const providers = {
+  // OpenAI API
+  openai: chatProvider(
+    () => new OpenAI({ apiKey: process.env.OPENAI_API_KEY }),
+    () => process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  ),
+
+  // Azure OpenAI - the deployment name is sent as the model
+  azure: chatProvider(
+    () => new AzureOpenAI({
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+      deployment: process.env.AZURE_OPENAI_DEPLOYMENT,
+    }),
+    () => process.env.AZURE_OPENAI_DEPLOYMENT || 'gpt-4o-mini'
+  ),
+
+  // Any OpenAI-compatible endpoint (Ollama, vLLM, LM Studio, ...)
+  openai_compatible: chatProvider(
+    () => new OpenAI({
+      baseURL: process.env.LLM_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.LLM_COMPATIBLE_API_KEY || 'ollama',
+    }),
+    () => process.env.LLM_COMPATIBLE_MODEL || 'llama3.1'
+  ),
+
+  // Deterministic provider for tests - no network calls
+  fake: async ({ messages, kind }) => {
+    const userMessage = messages
+      .filter(m => m.role === 'user')
+      .map(m => (Array.isArray(m.content) ? m.content.find(part => part.type === 'text').text : m.content))
+      .join('\n');
+    const build = fakeResponses[kind] || (() => ({}));
+    return {
+      content: JSON.stringify(build(userMessage)),
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      model: 'fake',
+    };
+  },
+};
+
+/**
+ * Providers whose configured model reads images, from LLM_VISION_PROVIDERS (comma-separated, default: "openai")
+ * Other providers get the text-only message
+ */
+const visionProviders = new Set(
+  (process.env.LLM_VISION_PROVIDERS ?? 'openai').split(',').map(name => name.trim()).filter(Boolean)
+);
+
+/**
+ * Register (or replace) an LLM provider
+ * @param {string} name - Provider name used in LLM_PROVIDER / LLM_FALLBACK_PROVIDER
+ * @param {Function} provider - async ({ messages, temperature, maxTokens, kind }) => { content, usage, model }
+ * @param {Object} [costTable] - { [model]: { input, output } } per 1M tokens
+ * @param {Object} [options]
+ * @param {boolean} [options.vision] - Whether the provider's model reads images (default false)
+ */
+export function registerLlmProvider(name, provider, costTable = {}, { vision = false } = {}) {
+  providers[name] = provider;
+  COST_TABLES[name] = costTable;
+
+  if (vision) {
+    visionProviders.add(name);
+  } else {
+    visionProviders.delete(name);
+  }
+}
+
+/**
+ * Whether a provider is sent images
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+export const supportsVision = (name) => visionProviders.has(name);
+
+/**
+ * Configured provider chain: primary first, then the fallback (if any)
+ * @returns {string[]} Provider names
+ */
+export function getProviderChain() {
+  const primary = process.env.LLM_PROVIDER || 'openai';
+  const fallback = process.env.LLM_FALLBACK_PROVIDER;
+
+  return fallback && fallback !== primary ? [primary, fallback] : [primary];
+}
+
+/**
+ * Whether any provider in the chain reads images
+ * @returns {boolean}
+ */
+export const chainSupportsVision = () => getProviderChain().some(supportsVision);
+
+// Chat messages for one provider; images only go to providers that read them
+const buildMessages = (name, { system, user, images, imageFallback }) => {
+  let content = user;
+
+  if (images.length > 0 && supportsVision(name)) {
+    content = [
+      { type: 'text', text: user },
+      ...images.map(url => ({ type: 'image_url', image_url: { url, detail: 'high' } })),
+    ];
+  } else if (images.length > 0 && imageFallback) {
+    content = `${user}\n\n${imageFallback}`;
+  }
+
+  return [
+    { role: 'system', content: system },
+    { role: 'user', content },
+  ];
+};
+
+/**
+ * Run a JSON chat completion, failing over to the secondary provider on error
+ * @param {Object} params
+ * @param {string} params.system - System prompt
+ * @param {string} params.user - User message
+ * @param {string} params.kind - Request kind ("writing", "speaking", "rewrite", "model_answer"), used by the fake provider
+ * @param {number} [params.temperature] - Sampling temperature
+ * @param {number} [params.maxTokens] - Completion token limit
+ * @param {string[]} [params.images] - Image URLs or data URLs sent with the user message to vision providers (see LLM_VISION_PROVIDERS)
+ * @param {string} [params.imageFallback] - Text appended to the user message instead of the images for other providers
+ * @returns {Promise<Object>} { data, provider, model, tokens_used, estimated_cost }
+ * @throws {Error} The last provider error if every provider failed
+ */
+export async function completeJson({ system, user, kind, temperature = 0.3, maxTokens = 2000, images = [], imageFallback = '' }) {
+  let lastError = null;
+
+  for (const name of getProviderChain()) {
+    const provider = providers[name];
+
+    if (!provider) {
+      lastError = new Error(`Unknown LLM provider: ${name}`);
+      logError('LLM provider not registered', lastError, { provider: name });
+      continue;
+    }
+
+    try {
+      const messages = buildMessages(name, { system, user, images, imageFallback });
+      const response = await provider({ messages, temperature, maxTokens, kind });
+
+      if (lastError) {
+        logInfo('LLM failover succeeded', { provider: name, kind });
+      }
+
+      return {
+        data: JSON.parse(response.content),
+        provider: name,
+        model: response.model,
+        tokens_used: response.usage?.total_tokens || 0,
+        estimated_cost: estimateCost(name, response.model, response.usage),
+      };
+    } catch (err) {
+      lastError = err;
+      logError('LLM provider failed', err, { provider: name, kind });
+    }
+  }
+
+  throw lastError;
+}
@@ -0,0 +1,244 @@
+// services/mockTestService.js
+import { prisma } from "../config/prismaClient.js";
+import { roundBandScore } from "./openaiService.js";
+
+/**
+ * Modules of a full mock test, in the order they are taken
+ */
+export const MOCK_MODULES = ["listening", "reading", "writing", "speaking"];
+
+/**
+ * Time allowed per module in minutes (listening includes the 10-minute transfer window)
+ */
+export const MODULE_DURATIONS = {
+  listening: 40,
+  reading: 60,
+  writing: 60,
+  speaking: 14,
+};
+
+/**
+ * Seconds after a module's deadline that its result is still accepted (network latency on the final submit)
+ * Open modules past this are closed as "expired" and the attempt moves on to the next module
+ */
+export const SUBMIT_GRACE_SECONDS = 60;
+
+// Column of mock_tests holding the test used for each module
+export const MODULE_TEST_COLUMNS = {
+  listening: "listening_test_id",
+  reading: "reading_test_id",
+  writing: "writing_test_id",
+  speaking: "speaking_test_id",
+};
+
+/**
+ * What makes a test usable for each module, matching what the module's test listing requires
+ */
+export const MODULE_TEST_FILTERS = {
+  listening: { audio: { not: null } },
+  reading: { paragraph1: { not: null } },
+  writing: { writing_questions: { some: {} } },
+  speaking: { speaking_questions: { some: {} } },
+};
+
+/**
+ * Overall band: average of the four module bands rounded to the nearest half band
+ * @param {number[]} bands - Listening, reading, writing and speaking bands
+ * @returns {number} Overall band
+ */
+export function calculateOverallBand(bands) {
+  const total = bands.reduce((sum, band) => sum + band, 0);
+  return roundBandScore(total / bands.length);
+}
+
+/**
+ * Get the module the student must take next (first one not yet submitted)
+ * @param {Object[]} modules - mock_test_modules rows
+ * @returns {Object|null} Next module row, or null if all are submitted
+ */
+export function getCurrentModule(modules) {
+  return [...modules]
+    .sort((a, b) => a.position - b.position)
+    .find((m) => m.status === "locked" || m.status === "in_progress") || null;
+}
+
+/**
+ * Whether a module's time, including the grace period, has run out
+ * @param {Object} moduleRow - mock_test_modules row
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isPastDeadline(moduleRow, now = new Date()) {
+  return !!moduleRow.deadline_at && now.getTime() > moduleRow.deadline_at.getTime() + SUBMIT_GRACE_SECONDS * 1000;
+}
+
+/**
+ * Whether a result was produced while the module was open
+ * @param {Object} moduleRow - mock_test_modules row
+ * @param {Date|null} createdAt - created_at of the finished test or submission
+ * @returns {boolean}
+ */
+export function isWithinModuleWindow(moduleRow, createdAt) {
+  if (!createdAt || !moduleRow.started_at) return false;
+  if (createdAt < moduleRow.started_at) return false;
+  return !isPastDeadline(moduleRow, createdAt);
+}
+
+/**
+ * Look up the band of a linked module result
+ * Expert scores take precedence over AI scores for writing
+ * @param {Object} moduleRow - mock_test_modules row
+ * @returns {Promise<Object|null>} { band_score, score_source } or null if not scored yet
+ */
+async function getLinkedBand(moduleRow) {
+  if (!moduleRow.result_id) return null;
+
+  if (moduleRow.module === "listening" || moduleRow.module === "reading") {
+    const finished = await prisma.finished_tests.findUnique({
+      where: { id: moduleRow.result_id },
+      select: { band_score: true }
+    });
+
+    return finished?.band_score !== null && finished?.band_score !== undefined
+      ? { band_score: finished.band_score, score_source: "auto" }
+      : null;
+  }
+
+  if (moduleRow.module === "writing") {
+    const submission = await prisma.writing_submissions.findUnique({
+      where: { id: moduleRow.result_id },
+      select: { expert_score: true, overall_band_score: true }
+    });
+
+    if (!submission) return null;
+    if (submission.expert_score !== null) {
+      return { band_score: roundBandScore(submission.expert_score), score_source: "expert" };
+    }
+    if (submission.overall_band_score !== null) {
+      return { band_score: submission.overall_band_score, score_source: "ai" };
+    }
+  }
+
+  if (moduleRow.module === "speaking") {
+    const submission = await prisma.speaking_submissions.findUnique({
+      where: { id: moduleRow.result_id },
+      select: { overall_band_score: true }
+    });
+
+    if (submission?.overall_band_score !== null && submission?.overall_band_score !== undefined) {
+      return { band_score: submission.overall_band_score, score_source: "ai" };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Pull the latest module bands into an attempt and compute the overall band
+ * once all four modules are scored
+ * @param {BigInt} attemptId - mock_test_attempts ID
+ * @returns {Promise<Object>} Attempt with its modules
+ */
+export async function refreshAttemptScores(attemptId) {
+  const attempt = await prisma.mock_test_attempts.findUnique({
+    where: { id: attemptId },
+    include: { mock_test_modules: true }
+  });
+
+  if (!attempt) return null;
+
+  // Close modules left open past their deadline so the attempt can move on
+  for (const moduleRow of attempt.mock_test_modules) {
+    if (moduleRow.status !== "in_progress" || !isPastDeadline(moduleRow)) continue;
+
+    const expired = await prisma.mock_test_modules.updateMany({
+      where: { id: moduleRow.id, status: "in_progress" },
+      data: { status: "expired", updated_at: new Date() }
+    });
+
+    if (expired.count === 1) moduleRow.status = "expired";
+  }
+
+  for (const moduleRow of attempt.mock_test_modules) {
+    // Manually entered expert scores are never overwritten
+    if (moduleRow.score_source === "expert") continue;
+
+    const linked = await getLinkedBand(moduleRow);
+
+    if (linked && (linked.band_score !== moduleRow.band_score || linked.score_source !== moduleRow.score_source)) {
+      await prisma.mock_test_modules.update({
+        where: { id: moduleRow.id },
+        data: {
+          band_score: linked.band_score,
+          score_source: linked.score_source,
+          status: "scored",
+          updated_at: new Date()
+        }
+      });
+      Object.assign(moduleRow, linked, { status: "scored" });
+    }
+  }
+
+  const modules = attempt.mock_test_modules;
+  const current = getCurrentModule(modules);
+  const allScored = modules.length === MOCK_MODULES.length &&
+    modules.every((m) => m.band_score !== null && m.band_score !== undefined);
+
+  const data = {
+    current_module: current?.module || null,
+    status: allScored ? "completed" : (current ? "in_progress" : "awaiting_scores"),
+    overall_band: allScored ? calculateOverallBand(modules.map((m) => m.band_score)) : null
+  };
+
+  if (data.status !== attempt.status || data.overall_band !== attempt.overall_band || data.current_module !== attempt.current_module) {
+    Object.assign(attempt, await prisma.mock_test_attempts.update({
+      where: { id: attempt.id },
+      data: {
+        ...data,
+        completed_at: allScored ? (attempt.completed_at || new Date()) : null,
+        updated_at: new Date()
+      }
+    }));
+  }
+
+  return attempt;
+}
+
+/**
+ * Format an attempt with its modules for API responses
+ * @param {Object} attempt - Attempt including mock_test_modules
+ * @returns {Object} Formatted attempt
+ */
+export function formatAttempt(attempt) {
+  const now = Date.now();
+
+  return {
+    id: attempt.id.toString(),
+    mock_test_id: attempt.mock_test_id.toString(),
+    status: attempt.status,
+    current_module: attempt.current_module,
+    overall_band: attempt.overall_band,
+    started_at: attempt.started_at,
+    completed_at: attempt.completed_at,
+    modules: [...attempt.mock_test_modules]
+      .sort((a, b) => a.position - b.position)
+      .map((m) => ({
+        module: m.module,
+        position: m.position,
+        status: m.status,
+        duration_minutes: MODULE_DURATIONS[m.module],
+        started_at: m.started_at,
+        deadline_at: m.deadline_at,
+        submitted_at: m.submitted_at,
+        remaining_seconds: m.status === "in_progress" && m.deadline_at
+          ? Math.max(Math.floor((m.deadline_at.getTime() - now) / 1000), 0)
+          : null,
+        overtime_seconds: m.submitted_at && m.deadline_at
+          ? Math.max(Math.floor((m.submitted_at.getTime() - m.deadline_at.getTime()) / 1000), 0)
+          : null,
+        result_id: m.result_id?.toString() || null,
+        band_score: m.band_score,
+        score_source: m.score_source
+      }))
+  };
+}
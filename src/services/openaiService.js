@@ -1,12 +1,17 @@
 // services/openaiService.js
-import OpenAI from 'openai';
+import { completeJson } from './llmService.js';
+import {
+  validateWritingEvaluation,
+  validateSpeakingEvaluation,
+  SPEAKING_EVALUATION_CRITERIA,
+  VALIDATION_STATUS
+} from './evaluationValidator.js';
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Built-in writing prompt (version 0) - used until an admin activates a stored prompt version
+// Annotations requested from the model and kept per task
+export const MAX_ANNOTATIONS_PER_TASK = 20;
 
-// System prompt stored in code - NOT sent every time (saves tokens and cost)
-const SYSTEM_PROMPT = `You are an expert IELTS Writing examiner. Evaluate writing tasks strictly according to official IELTS Writing Band Score Descriptors.
+export const SYSTEM_PROMPT = `You are an expert IELTS Writing examiner. Evaluate writing tasks strictly according to official IELTS Writing Band Score Descriptors.
 
 Your evaluation must be returned as valid JSON only. No additional text, explanations, or markdown formatting.
 
@@ -16,6 +21,7 @@ For each task, provide:
 3. Detailed evaluation feedback (280-320 words, do not exceed 350 words)
 4. Top 2-3 key actionable improvements with practical strategies
 5. IMPORTANT: For EACH criterion, provide specific mistakes/issues found with examples from the student's answer
+6. Inline annotations for the most important mistakes (up to ${MAX_ANNOTATIONS_PER_TASK} per task): the criterion key, the exact span copied character-for-character from the student's answer ("original"), its 0-based character offsets in the answer ("start" inclusive, "end" exclusive), the corrected text ("correction") and a one-sentence explanation
 
 Evaluation Guidelines:
 ✅ Task Response (Task 2): Check relevance of ideas to the question. Assess whether ideas are fully developed with clear reasons and examples. Confirm a consistent and clear position throughout the essay. Identify lapses in content such as missing explanation or unclear arguments.
@@ -53,7 +59,10 @@ Response format MUST be valid JSON with criterion_details for each assessment cr
     "grammatical_accuracy_details": "Specific grammar mistakes with corrections. Examples: 'Subject-verb agreement error: 'The data shows' should be 'The data show'', 'Missing article: 'in conclusion' should be 'In conclusion'', 'Incorrect preposition: 'different to' should be 'different from''.",
     "overall_band": 6.0,
     "feedback": "Overall detailed feedback here...",
-    "improvements": ["Improvement 1", "Improvement 2", "Improvement 3"]
+    "improvements": ["Improvement 1", "Improvement 2", "Improvement 3"],
+    "annotations": [
+      { "criterion": "grammatical_accuracy", "start": 4, "end": 14, "original": "data shows", "correction": "data show", "explanation": "'Data' is plural in academic writing." }
+    ]
   },
   "task2": {
     "task_response": 6.5,
@@ -66,34 +75,67 @@ Response format MUST be valid JSON with criterion_details for each assessment cr
     "grammatical_accuracy_details": "Specific grammar mistakes with corrections and examples.",
     "overall_band": 6.5,
     "feedback": "Overall detailed feedback here...",
-    "improvements": ["Improvement 1", "Improvement 2"]
+    "improvements": ["Improvement 1", "Improvement 2"],
+    "annotations": [
+      { "criterion": "lexical_resource", "start": 120, "end": 130, "original": "enviroment", "correction": "environment", "explanation": "Spelling error." }
+    ]
   },
   "average_band": 6.5
 }
 
 If only one task is submitted, omit the other task from JSON and set average_band to that task's overall_band.`;
 
+// Task 1 chart context: key features to judge Task Achievement against, plus the image for vision models
+const describeChart = (chart, images) => {
+  if (!chart) return '';
+
+  let text = '';
+  if (chart.image) {
+    images.push(chart.image);
+    text += `The chart/diagram for this task is attached as an image.\n`;
+  }
+
+  const description = chart.description;
+  if (description) {
+    text += `Chart reference (authored by the examiner team):\n`;
+    if (description.chart_type) text += `Type: ${description.chart_type}\n`;
+    if (description.title) text += `Title: ${description.title}\n`;
+    if (description.overview) text += `Overview: ${description.overview}\n`;
+    text += `Key features:\n${description.key_features.map(f => `- ${f}`).join('\n')}\n`;
+  }
+
+  text += `Judge task_achievement against the chart: check that the overview and key features are reported, ` +
+    `that figures and trends are accurate, and list any misreported or missing features in task_achievement_details.\n\n`;
+  return text;
+};
+
 /**
- * Evaluate IELTS Writing Test using GPT-4o-mini
+ * Evaluate IELTS Writing Test with the configured LLM provider
  * @param {Object} submissionData - Contains questions and answers
  * @param {Object} submissionData.task1 - Task 1 data (optional)
  * @param {string} submissionData.task1.question - Task 1 question
  * @param {string} submissionData.task1.answer - Task 1 answer
  * @param {number} submissionData.task1.wordCount - Task 1 word count
+ * @param {Object} [submissionData.task1.chart] - { description, image } from getTaskChart
  * @param {Object} submissionData.task2 - Task 2 data (optional)
  * @param {string} submissionData.task2.question - Task 2 question
  * @param {string} submissionData.task2.answer - Task 2 answer
  * @param {number} submissionData.task2.wordCount - Task 2 word count
- * @returns {Promise<Object>} AI evaluation results
+ * @param {Object} [options]
+ * @param {string} [options.systemPrompt] - Prompt version to evaluate with (defaults to the built-in prompt)
+ * @returns {Promise<Object>} { success, data, error, validation } - validation is the schema check outcome
  */
-export async function evaluateWritingTest(submissionData) {
+export async function evaluateWritingTest(submissionData, options = {}) {
   try {
     // Build user message with questions and answers
     let userMessage = '';
 
+    const images = [];
+
     if (submissionData.task1) {
       userMessage += `TASK 1 (Academic/General Training Writing):\n`;
       userMessage += `Question: ${submissionData.task1.question}\n\n`;
+      userMessage += describeChart(submissionData.task1.chart, images);
       userMessage += `Student's Answer (${submissionData.task1.wordCount} words):\n${submissionData.task1.answer}\n\n`;
     }
 
@@ -105,20 +147,64 @@ export async function evaluateWritingTest(submissionData) {
 
     userMessage += `\nProvide evaluation as JSON only.`;
 
-    // Call OpenAI API with GPT-4o-mini (cost-effective)
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini', // Cost: ~$0.15/1M input tokens, ~$0.60/1M output tokens
-      messages: [
-        { role: 'system', content: SYSTEM_PROMPT },
-        { role: 'user', content: userMessage }
-      ],
-      response_format: { type: 'json_object' }, // Force JSON output
+    const request = {
+      system: options.systemPrompt || SYSTEM_PROMPT,
+      kind: 'writing',
       temperature: 0.3, // Lower temperature for consistent evaluation
-      max_tokens: 2000, // Sufficient for detailed feedback
-    });
+      maxTokens: 3000, // Sufficient for detailed feedback and annotations
+      images,
+      // Providers that can't read images get the chart reference alone
+      imageFallback: submissionData.task1?.chart?.description
+        ? `Note: the Task 1 chart image could not be attached; judge task_achievement against the chart reference above.`
+        : `Note: the Task 1 chart image could not be attached; judge task_achievement against the question text only.`,
+    };
+
+    // Primary provider with failover (see llmService)
+    const completion = await completeJson({ ...request, user: userMessage });
+    let tokensUsed = completion.tokens_used;
+    let estimatedCost = Number(completion.estimated_cost);
+
+    // Validate against the schema; invalid output gets exactly one repair re-prompt
+    const tasks = ['task1', 'task2'].filter(task => submissionData[task]);
+    let check = validateWritingEvaluation(completion.data, tasks);
+    let repaired = false;
+
+    if (!check.valid) {
+      const repairMessage = `${userMessage}\n\nYour previous response failed validation:\n- ${check.errors.join('\n- ')}\n\n` +
+        `Previous response:\n${JSON.stringify(completion.data)}\n\n` +
+        `Return the corrected evaluation as JSON only. Every band must be a number from 0 to 9 in steps of 0.5.`;
 
-    // Parse JSON response
-    const evaluation = JSON.parse(response.choices[0].message.content);
+      const repair = await completeJson({ ...request, user: repairMessage });
+      tokensUsed += repair.tokens_used;
+      estimatedCost += Number(repair.estimated_cost);
+      completion.provider = repair.provider;
+      completion.model = repair.model;
+
+      check = validateWritingEvaluation(repair.data, tasks);
+      repaired = true;
+    }
+
+    const validation = {
+      status: !check.valid
+        ? VALIDATION_STATUS.INVALID
+        : repaired
+          ? VALIDATION_STATUS.REPAIRED
+          : check.corrections.length > 0 ? VALIDATION_STATUS.CORRECTED : VALIDATION_STATUS.VALID,
+      errors: check.errors,
+      corrections: check.corrections,
+      validated_at: new Date(),
+    };
+
+    if (!check.valid) {
+      return {
+        success: false,
+        error: `AI evaluation failed validation: ${check.errors.join('; ')}`,
+        data: null,
+        validation,
+      };
+    }
+
+    const evaluation = check.data;
 
     // Add zero bands for empty tasks
     if (!submissionData.task1 && !evaluation.task1) {
@@ -154,18 +240,18 @@ export async function evaluateWritingTest(submissionData) {
     }
 
     // Add metadata
-    evaluation.tokens_used = response.usage.total_tokens;
-    evaluation.estimated_cost = (
-      (response.usage.prompt_tokens / 1000000) * 0.15 +
-      (response.usage.completion_tokens / 1000000) * 0.60
-    ).toFixed(6);
+    evaluation.tokens_used = tokensUsed;
+    evaluation.estimated_cost = estimatedCost.toFixed(6);
+    evaluation.provider = completion.provider;
+    evaluation.model = completion.model;
 
     return {
       success: true,
       data: evaluation,
+      validation,
     };
   } catch (error) {
-    console.error('OpenAI API Error:', error);
+    console.error('LLM evaluation error:', error);
 
     // Return error with fallback
     return {
@@ -176,6 +262,244 @@ export async function evaluateWritingTest(submissionData) {
   }
 }
 
+const REWRITE_SYSTEM_PROMPT = `You are an expert IELTS Writing teacher. Rewrite the student's own answer so that it would score the target band under the official IELTS Writing Band Score Descriptors.
+
+Keep the student's position, ideas, examples and paragraph plan wherever possible; improve task achievement/response, coherence and cohesion, vocabulary and grammar only as far as the target band requires. Do not write a better answer than the target band. Keep the length within the task's word requirement.
+
+Your response must be valid JSON only. No additional text, explanations, or markdown formatting.
+
+Response format:
+{
+  "rewrite": "The full rewritten answer with paragraphs separated by blank lines.",
+  "changes": [
+    { "criterion": "lexical_resource", "explanation": "Replaced 'big increase' with 'significant rise' for more precise vocabulary." }
+  ]
+}
+
+List the 4-8 most instructive changes. criterion is one of task_achievement (Task 1), task_response (Task 2), coherence_cohesion, lexical_resource, grammatical_accuracy.`;
+
+const MODEL_ANSWER_SYSTEM_PROMPT = `You are an expert IELTS Writing examiner. Write a model answer to the question that would score Band 9 under the official IELTS Writing Band Score Descriptors.
+
+Answer the question exactly as a candidate would in the exam: fully address every part of the task, use natural and precise language, and stay between the minimum word count and 60 words above it.
+
+Your response must be valid JSON only. No additional text, explanations, or markdown formatting.
+
+Response format:
+{
+  "answer": "The full model answer with paragraphs separated by blank lines.",
+  "notes": ["Why the answer meets Band 9 for one criterion", "..."]
+}`;
+
+/**
+ * Rewrite a student's answer to a target band with the configured LLM provider
+ * @param {Object} params
+ * @param {number} params.taskNumber - 1 or 2
+ * @param {string} params.question - Question text
+ * @param {string} params.answer - Student's answer
+ * @param {number} params.wordLimit - Minimum word count of the task
+ * @param {number|null} params.currentBand - Student's band for the task
+ * @param {number} params.targetBand - Band the rewrite should reach
+ * @returns {Promise<Object>} { success, data: { rewrite, changes, tokens_used, estimated_cost, provider, model }, error }
+ */
+export async function generateWritingRewrite({ taskNumber, question, answer, wordLimit, currentBand, targetBand }) {
+  try {
+    let userMessage = `TASK ${taskNumber} (minimum ${wordLimit} words)\n`;
+    userMessage += `Question: ${question}\n\n`;
+    userMessage += `Student's Answer${currentBand ? ` (current band ${currentBand})` : ''}:\n${answer}\n\n`;
+    userMessage += `Target band: ${targetBand}\n\nProvide the rewrite as JSON only.`;
+
+    const completion = await completeJson({
+      system: REWRITE_SYSTEM_PROMPT,
+      user: userMessage,
+      kind: 'rewrite',
+      temperature: 0.5,
+      maxTokens: 2000,
+    });
+
+    const { rewrite, changes } = completion.data;
+    if (typeof rewrite !== 'string' || rewrite.trim() === '') {
+      throw new Error('AI rewrite is missing the rewritten answer');
+    }
+
+    return {
+      success: true,
+      data: {
+        rewrite: rewrite.trim(),
+        changes: Array.isArray(changes) ? changes.filter(c => c && typeof c.explanation === 'string') : [],
+        tokens_used: completion.tokens_used,
+        estimated_cost: completion.estimated_cost,
+        provider: completion.provider,
+        model: completion.model,
+      },
+    };
+  } catch (error) {
+    console.error('LLM rewrite error:', error);
+
+    return {
+      success: false,
+      error: error.message || 'Failed to rewrite answer',
+      data: null,
+    };
+  }
+}
+
+/**
+ * Write a Band 9 model answer to a writing question with the configured LLM provider
+ * @param {Object} params
+ * @param {number} params.taskNumber - 1 or 2
+ * @param {string} params.question - Question text
+ * @param {number} params.wordLimit - Minimum word count of the task
+ * @returns {Promise<Object>} { success, data: { answer, notes, tokens_used, estimated_cost, provider, model }, error }
+ */
+export async function generateModelAnswer({ taskNumber, question, wordLimit }) {
+  try {
+    const completion = await completeJson({
+      system: MODEL_ANSWER_SYSTEM_PROMPT,
+      user: `TASK ${taskNumber} (minimum ${wordLimit} words)\nQuestion: ${question}\n\nProvide the model answer as JSON only.`,
+      kind: 'model_answer',
+      temperature: 0.5,
+      maxTokens: 1500,
+    });
+
+    const { answer, notes } = completion.data;
+    if (typeof answer !== 'string' || answer.trim() === '') {
+      throw new Error('AI model answer is missing the answer text');
+    }
+
+    return {
+      success: true,
+      data: {
+        answer: answer.trim(),
+        notes: Array.isArray(notes) ? notes.filter(n => typeof n === 'string') : [],
+        tokens_used: completion.tokens_used,
+        estimated_cost: completion.estimated_cost,
+        provider: completion.provider,
+        model: completion.model,
+      },
+    };
+  } catch (error) {
+    console.error('LLM model answer error:', error);
+
+    return {
+      success: false,
+      error: error.message || 'Failed to generate model answer',
+      data: null,
+    };
+  }
+}
+
+const SPEAKING_SYSTEM_PROMPT = `You are an expert IELTS Speaking examiner. Evaluate the candidate strictly according to the official IELTS Speaking Band Descriptors (public version).
+
+You receive the examiner questions for Part 1 (interview), Part 2 (individual long turn from a cue card) and Part 3 (discussion) with a transcript of the candidate's recorded answer to each. Transcripts are produced by speech recognition: judge Pronunciation from the evidence available (intelligibility, word recognition, hesitation markers) and do not penalise punctuation or casing.
+
+Your evaluation must be returned as valid JSON only. No additional text, explanations, or markdown formatting.
+
+Provide band scores (0-9 in half bands) for: fluency_coherence, lexical_resource, grammatical_accuracy (Grammatical Range & Accuracy), pronunciation.
+For EACH criterion provide specific issues with examples quoted from the transcripts.
+
+Response format MUST be valid JSON:
+{
+  "fluency_coherence": 6.0,
+  "fluency_coherence_details": "Specific feedback on fluency, hesitation, coherence and use of discourse markers with examples.",
+  "lexical_resource": 6.5,
+  "lexical_resource_details": "Specific vocabulary strengths and mistakes with better alternatives.",
+  "grammatical_accuracy": 6.0,
+  "grammatical_accuracy_details": "Specific grammar mistakes with corrections and comments on range of structures.",
+  "pronunciation": 6.0,
+  "pronunciation_details": "Specific pronunciation observations and likely problem words.",
+  "feedback": "Overall detailed feedback here...",
+  "improvements": ["Improvement 1", "Improvement 2", "Improvement 3"]
+}`;
+
+/**
+ * Evaluate IELTS Speaking Test from recording transcripts with the configured LLM provider
+ * @param {Object} speakingData - Questions and transcripts
+ * @param {Object[]} speakingData.answers - One entry per recorded question
+ * @param {number} speakingData.answers[].part - Part number (1, 2 or 3)
+ * @param {string} speakingData.answers[].question - Question or cue card text
+ * @param {string} speakingData.answers[].transcript - Transcript of the candidate's answer
+ * @returns {Promise<Object>} AI evaluation results with overall_band
+ */
+export async function evaluateSpeakingTest(speakingData) {
+  try {
+    let userMessage = '';
+
+    for (const part of [1, 2, 3]) {
+      const partAnswers = speakingData.answers.filter(a => a.part === part);
+      if (partAnswers.length === 0) continue;
+
+      userMessage += `PART ${part}:\n`;
+      partAnswers.forEach((answer, index) => {
+        userMessage += `Q${index + 1}: ${answer.question}\n`;
+        userMessage += `Candidate: ${answer.transcript || '(no response)'}\n\n`;
+      });
+    }
+
+    userMessage += `\nProvide evaluation as JSON only.`;
+
+    const request = {
+      system: SPEAKING_SYSTEM_PROMPT,
+      kind: 'speaking',
+      temperature: 0.3,
+      maxTokens: 1500,
+    };
+
+    const completion = await completeJson({ ...request, user: userMessage });
+    let tokensUsed = completion.tokens_used;
+    let estimatedCost = Number(completion.estimated_cost);
+
+    // Same validation as writing: invalid output gets exactly one repair re-prompt
+    let check = validateSpeakingEvaluation(completion.data);
+
+    if (!check.valid) {
+      const repairMessage = `${userMessage}\n\nYour previous response failed validation:\n- ${check.errors.join('\n- ')}\n\n` +
+        `Previous response:\n${JSON.stringify(completion.data)}\n\n` +
+        `Return the corrected evaluation as JSON only. Every band must be a number from 0 to 9 in steps of 0.5.`;
+
+      const repair = await completeJson({ ...request, user: repairMessage });
+      tokensUsed += repair.tokens_used;
+      estimatedCost += Number(repair.estimated_cost);
+      completion.provider = repair.provider;
+      completion.model = repair.model;
+
+      check = validateSpeakingEvaluation(repair.data);
+    }
+
+    if (!check.valid) {
+      return {
+        success: false,
+        error: `AI evaluation failed validation: ${check.errors.join('; ')}`,
+        data: null,
+      };
+    }
+
+    const evaluation = check.data;
+
+    // Overall speaking band is the average of the four criteria
+    const total = SPEAKING_EVALUATION_CRITERIA.reduce((sum, key) => sum + evaluation[key], 0);
+    evaluation.overall_band = roundBandScore(total / SPEAKING_EVALUATION_CRITERIA.length);
+
+    // Add metadata
+    evaluation.tokens_used = tokensUsed;
+    evaluation.estimated_cost = estimatedCost.toFixed(6);
+    evaluation.provider = completion.provider;
+    evaluation.model = completion.model;
+
+    return {
+      success: true,
+      data: evaluation,
+    };
+  } catch (error) {
+    console.error('LLM evaluation error:', error);
+
+    return {
+      success: false,
+      error: error.message || 'Failed to evaluate speaking test',
+      data: null,
+    };
+  }
+}
+
 /**
  * Calculate average band score according to IELTS formula
  * @param {number} task1Band - Task 1 overall band score
@@ -197,7 +521,7 @@ export function calculateAverageBand(task1Band, task2Band) {
  * @param {number} score - Raw score
  * @returns {number} Rounded score
  */
-function roundBandScore(score) {
+export function roundBandScore(score) {
   const decimal = score - Math.floor(score);
 
   if (decimal < 0.25) {
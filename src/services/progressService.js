@@ -0,0 +1,250 @@
+// services/progressService.js
+import { prisma } from "../config/prismaClient.js";
+import { TEST_CATEGORIES } from "./bandConversionService.js";
+import { EVALUATION_STATUS } from "./writingSubmissionService.js";
+
+/**
+ * Writing criteria tracked over time
+ * Task 1 "task_achievement" and Task 2 "task_response" are tracked together
+ */
+export const WRITING_CRITERIA = {
+  task_achievement_response: {
+    label: "Task Achievement / Response",
+    task1: "task_achievement",
+    task2: "task_response",
+  },
+  coherence_cohesion: {
+    label: "Coherence & Cohesion",
+    task1: "coherence_cohesion",
+    task2: "coherence_cohesion",
+  },
+  lexical_resource: {
+    label: "Lexical Resource",
+    task1: "lexical_resource",
+    task2: "lexical_resource",
+  },
+  grammatical_accuracy: {
+    label: "Grammatical Range & Accuracy",
+    task1: "grammatical_accuracy",
+    task2: "grammatical_accuracy",
+  },
+};
+
+export const DEFAULT_ROLLING_WINDOW = 3;
+export const MAX_ROLLING_WINDOW = 10;
+
+const CATEGORY_KEYS = {
+  [TEST_CATEGORIES.ACADEMIC]: "academic",
+  [TEST_CATEGORIES.GENERAL_TRAINING]: "general_training",
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const parseJson = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+const bandOrNull = (value) => {
+  const band = Number(value);
+  return Number.isFinite(band) && band > 0 ? band : null;
+};
+
+// Task 2 counts double, as in the overall writing band
+const weightedCriterion = (evaluation, criterion) => {
+  const task1 = bandOrNull(evaluation?.task1?.[criterion.task1]);
+  const task2 = bandOrNull(evaluation?.task2?.[criterion.task2]);
+
+  if (task1 === null && task2 === null) return null;
+  if (task1 === null) return task2;
+  if (task2 === null) return task1;
+  return round2((task1 + 2 * task2) / 3);
+};
+
+// One data point per evaluation: criterion values plus the overall band
+const toPoint = ({ evaluation, overallBand, date, source, submission }) => {
+  const criteria = {};
+  for (const [key, criterion] of Object.entries(WRITING_CRITERIA)) {
+    criteria[key] = weightedCriterion(evaluation, criterion);
+  }
+
+  if (Object.values(criteria).every(v => v === null) && bandOrNull(overallBand) === null) {
+    return null;
+  }
+
+  return {
+    date,
+    source,
+    submission_id: submission.id.toString(),
+    test_id: submission.test_id.toString(),
+    category: CATEGORY_KEYS[submission.tests.category] || null,
+    overall_band: bandOrNull(overallBand),
+    criteria,
+  };
+};
+
+// Rolling mean of the last `window` values at each point
+const rollingAverage = (series, window) =>
+  series.map((point, index) => {
+    const slice = series.slice(Math.max(index - window + 1, 0), index + 1);
+    return {
+      date: point.date,
+      value: round2(slice.reduce((sum, p) => sum + p.value, 0) / slice.length),
+    };
+  });
+
+// Least-squares slope in bands per evaluation
+const slope = (values) => {
+  const n = values.length;
+  if (n < 2) return null;
+
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((value, x) => {
+    numerator += (x - meanX) * (value - meanY);
+    denominator += (x - meanX) ** 2;
+  });
+
+  return round2(numerator / denominator);
+};
+
+/**
+ * Collect every evaluated writing result for a user as dated points
+ * AI points come from each evaluated attempt (or the submission itself for
+ * submissions made before attempts were recorded); expert reviews add their own points
+ * @param {BigInt|number|string} userId - User ID
+ * @returns {Promise<Object[]>} Points sorted by date
+ */
+export async function getWritingPoints(userId) {
+  const submissions = await prisma.writing_submissions.findMany({
+    where: { user_id: BigInt(userId) },
+    include: {
+      tests: { select: { category: true } },
+      writing_attempts: {
+        where: { status: EVALUATION_STATUS.EVALUATED },
+        orderBy: { attempt_number: "asc" }
+      },
+      expert_review_requests: { select: { reviewed_at: true } }
+    }
+  });
+
+  const points = [];
+
+  for (const submission of submissions) {
+    if (submission.writing_attempts.length > 0) {
+      for (const attempt of submission.writing_attempts) {
+        points.push(toPoint({
+          evaluation: parseJson(attempt.ai_evaluation),
+          overallBand: attempt.overall_band_score,
+          date: attempt.created_at,
+          source: "ai",
+          submission,
+        }));
+      }
+    } else if (submission.status === EVALUATION_STATUS.EVALUATED) {
+      points.push(toPoint({
+        evaluation: parseJson(submission.ai_evaluation),
+        overallBand: submission.overall_band_score,
+        date: submission.created_at,
+        source: "ai",
+        submission,
+      }));
+    }
+
+    if (submission.expert_score !== null || submission.expert_feedback) {
+      points.push(toPoint({
+        evaluation: parseJson(submission.expert_feedback),
+        overallBand: submission.expert_score,
+        date: submission.expert_review_requests?.reviewed_at || submission.updated_at,
+        source: "expert",
+        submission,
+      }));
+    }
+  }
+
+  return points
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * Build writing progress analytics from a user's evaluated submissions
+ * @param {BigInt|number|string} userId - User ID
+ * @param {Object} [options]
+ * @param {number} [options.window] - Rolling average window (evaluations)
+ * @returns {Promise<Object>} Per-criterion series, rolling averages, weakest criterion and band trends
+ */
+export async function getWritingProgress(userId, { window = DEFAULT_ROLLING_WINDOW } = {}) {
+  const size = Math.min(Math.max(parseInt(window, 10) || DEFAULT_ROLLING_WINDOW, 1), MAX_ROLLING_WINDOW);
+  const points = await getWritingPoints(userId);
+
+  const criteria = {};
+  let weakest = null;
+
+  for (const [key, criterion] of Object.entries(WRITING_CRITERIA)) {
+    const series = points
+      .filter(p => p.criteria[key] !== null)
+      .map(p => ({
+        date: p.date,
+        value: p.criteria[key],
+        source: p.source,
+        category: p.category,
+        submission_id: p.submission_id,
+        test_id: p.test_id,
+      }));
+
+    const rolling = rollingAverage(series, size);
+    const recentAverage = rolling.length > 0 ? rolling[rolling.length - 1].value : null;
+
+    criteria[key] = {
+      label: criterion.label,
+      count: series.length,
+      latest: series.length > 0 ? series[series.length - 1].value : null,
+      average: series.length > 0 ? round2(series.reduce((sum, p) => sum + p.value, 0) / series.length) : null,
+      recent_average: recentAverage,
+      change: series.length > 1 ? round2(series[series.length - 1].value - series[0].value) : null,
+      series,
+      rolling_average: rolling,
+    };
+
+    // Weakest = lowest recent rolling average
+    if (recentAverage !== null && (!weakest || recentAverage < weakest.recent_average)) {
+      weakest = { key, label: criterion.label, recent_average: recentAverage };
+    }
+  }
+
+  const trend = {};
+  for (const categoryKey of Object.values(CATEGORY_KEYS)) {
+    const series = points
+      .filter(p => p.category === categoryKey && p.overall_band !== null)
+      .map(p => ({ date: p.date, band: p.overall_band, source: p.source, test_id: p.test_id }));
+
+    const bands = series.map(p => p.band);
+
+    trend[categoryKey] = {
+      count: series.length,
+      first: bands.length > 0 ? bands[0] : null,
+      latest: bands.length > 0 ? bands[bands.length - 1] : null,
+      best: bands.length > 0 ? Math.max(...bands) : null,
+      change: bands.length > 1 ? round2(bands[bands.length - 1] - bands[0]) : null,
+      slope_per_evaluation: slope(bands),
+      series,
+      rolling_average: rollingAverage(series.map(p => ({ date: p.date, value: p.band })), size),
+    };
+  }
+
+  return {
+    total_evaluations: points.length,
+    window: size,
+    criteria,
+    weakest_criterion: weakest,
+    trend,
+  };
+}
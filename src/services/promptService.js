@@ -0,0 +1,463 @@
+// services/promptService.js
+import { prisma } from "../config/prismaClient.js";
+import { SYSTEM_PROMPT, evaluateWritingTest, calculateAverageBand } from "./openaiService.js";
+import { getTaskChart } from "./writingChartService.js";
+import { applyWritingPenalties } from "./writingPenaltyService.js";
+import { dispatchJob, QUEUES } from "./jobQueueService.js";
+
+/**
+ * Prompt version statuses: drafts are editable, one version per module is active
+ */
+export const PROMPT_STATUS = {
+  DRAFT: "draft",
+  ACTIVE: "active",
+  ARCHIVED: "archived",
+};
+
+/**
+ * Comparison run statuses, stored in evaluation_prompts.comparison
+ */
+export const COMPARISON_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+// Version number reported for the built-in prompt in openaiService
+export const BUILTIN_PROMPT_VERSION = 0;
+
+// Queue job name for one batch of a prompt comparison
+export const COMPARE_PROMPT_JOB = "compare_writing_prompt";
+
+// Submissions re-evaluated per comparison job, so one job never holds the worker for long
+const COMPARISON_BATCH_SIZE = 5;
+
+// Upper bound on submissions re-evaluated by one comparison
+export const MAX_COMPARISON_SAMPLE = 50;
+
+// Comparisons sample from this many recent evaluated submissions
+const COMPARISON_POOL_SIZE = 500;
+
+// Error carrying the HTTP status the controller should respond with
+const promptError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * Get the prompt used for new evaluations
+ * Falls back to the built-in prompt when no version has been activated
+ * @param {string} [module] - Prompt module
+ * @returns {Promise<Object>} { id, version, system_prompt }
+ */
+export async function getActivePrompt(module = "writing") {
+  const active = await prisma.evaluation_prompts.findFirst({
+    where: { module, status: PROMPT_STATUS.ACTIVE },
+    orderBy: { version: "desc" }
+  });
+
+  if (active) return active;
+
+  return { id: null, version: BUILTIN_PROMPT_VERSION, system_prompt: SYSTEM_PROMPT };
+}
+
+/**
+ * Create a new draft prompt version
+ * @param {Object} params
+ * @param {string} params.module - Prompt module
+ * @param {string} params.systemPrompt - Prompt text
+ * @param {string} [params.notes] - What changed and why
+ * @param {BigInt} [params.createdBy] - Admin user ID
+ * @returns {Promise<Object>} evaluation_prompts row
+ */
+export async function createPromptVersion({ module = "writing", systemPrompt, notes, createdBy }) {
+  const latest = await prisma.evaluation_prompts.findFirst({
+    where: { module },
+    orderBy: { version: "desc" },
+    select: { version: true }
+  });
+
+  return prisma.evaluation_prompts.create({
+    data: {
+      module,
+      version: (latest?.version || BUILTIN_PROMPT_VERSION) + 1,
+      system_prompt: systemPrompt,
+      notes: notes || null,
+      status: PROMPT_STATUS.DRAFT,
+      created_by: createdBy ? BigInt(createdBy) : null,
+      created_at: new Date(),
+      updated_at: new Date()
+    }
+  });
+}
+
+/**
+ * Load a prompt version or throw 404
+ * @param {BigInt|number|string} promptId - Prompt ID
+ * @returns {Promise<Object>} evaluation_prompts row
+ */
+export async function findPromptOrFail(promptId) {
+  const prompt = await prisma.evaluation_prompts.findUnique({
+    where: { id: BigInt(promptId) }
+  });
+
+  if (!prompt) {
+    throw promptError("Prompt version not found", 404);
+  }
+
+  return prompt;
+}
+
+/**
+ * Edit a draft prompt version; active and archived versions are immutable
+ * @param {BigInt|number|string} promptId - Prompt ID
+ * @param {Object} changes - { systemPrompt, notes }
+ * @returns {Promise<Object>} Updated row
+ */
+export async function updatePromptVersion(promptId, { systemPrompt, notes }) {
+  const prompt = await findPromptOrFail(promptId);
+
+  if (prompt.status !== PROMPT_STATUS.DRAFT) {
+    throw promptError("Only draft prompt versions can be edited. Create a new version instead.", 409);
+  }
+
+  return prisma.evaluation_prompts.update({
+    where: { id: prompt.id },
+    data: {
+      ...(systemPrompt !== undefined && { system_prompt: systemPrompt, comparison: null }),
+      ...(notes !== undefined && { notes }),
+      updated_at: new Date()
+    }
+  });
+}
+
+/**
+ * Parse a stored comparison
+ * Comparisons stored before runs were queued have no status and count as completed
+ * @param {string|null} stored - evaluation_prompts.comparison
+ * @returns {Object|null}
+ */
+export function parseComparison(stored) {
+  if (!stored) return null;
+
+  const comparison = JSON.parse(stored);
+  if (!comparison.status) comparison.status = COMPARISON_STATUS.COMPLETED;
+  return comparison;
+}
+
+/**
+ * Make a prompt version the active one for its module, archiving the previous version
+ * A version can only be activated once a comparison of its current text has completed
+ * @param {BigInt|number|string} promptId - Prompt ID
+ * @returns {Promise<Object>} Activated row
+ * @throws {Error} With status 409 if the version hasn't been compared
+ */
+export async function activatePromptVersion(promptId) {
+  const prompt = await findPromptOrFail(promptId);
+
+  if (prompt.status === PROMPT_STATUS.ACTIVE) {
+    return prompt;
+  }
+
+  const comparison = parseComparison(prompt.comparison);
+
+  if (comparison?.status !== COMPARISON_STATUS.COMPLETED) {
+    throw promptError("Run a comparison of this prompt version and wait for it to complete before activating it", 409);
+  }
+
+  if (!(comparison.evaluated > 0)) {
+    throw promptError("The comparison could not evaluate any submissions. Run it again before activating this version.", 409);
+  }
+
+  const [, activated] = await prisma.$transaction([
+    prisma.evaluation_prompts.updateMany({
+      where: { module: prompt.module, status: PROMPT_STATUS.ACTIVE },
+      data: { status: PROMPT_STATUS.ARCHIVED, updated_at: new Date() }
+    }),
+    prisma.evaluation_prompts.update({
+      where: { id: prompt.id },
+      data: { status: PROMPT_STATUS.ACTIVE, activated_at: new Date(), updated_at: new Date() }
+    })
+  ]);
+
+  return activated;
+}
+
+// Count bands into { "6": 3, "6.5": 1, ... } with mean
+const summarizeBands = (bands) => {
+  const distribution = {};
+  for (const band of bands) {
+    distribution[band] = (distribution[band] || 0) + 1;
+  }
+
+  const mean = bands.length > 0
+    ? Number((bands.reduce((sum, band) => sum + band, 0) / bands.length).toFixed(2))
+    : null;
+
+  return { count: bands.length, mean, distribution };
+};
+
+// Re-evaluate one submission with the candidate prompt, applying the same penalty step as live evaluations
+const compareSubmission = async (submission, prompt) => {
+  const submissionData = {};
+  const penaltyInput = {};
+
+  for (const taskNumber of [1, 2]) {
+    const answer = submission[`task${taskNumber}_answer`];
+    if (!answer) continue;
+
+    const question = submission.tests.writing_questions.find(q => q.task_number === taskNumber);
+    submissionData[`task${taskNumber}`] = {
+      question: question?.question_text || '',
+      answer,
+      wordCount: submission[`task${taskNumber}_word_count`],
+      chart: await getTaskChart(question)
+    };
+    penaltyInput[`task${taskNumber}`] = {
+      ...submissionData[`task${taskNumber}`],
+      wordLimit: question?.word_limit || 0
+    };
+  }
+
+  const evaluation = await evaluateWritingTest(submissionData, { systemPrompt: prompt.system_prompt });
+
+  if (!evaluation.success) {
+    return { failure: { submission_id: submission.id.toString(), error: evaluation.error } };
+  }
+
+  const candidate = applyWritingPenalties(evaluation.data, penaltyInput);
+  const candidateBand = calculateAverageBand(
+    submissionData.task1 ? candidate.task1?.overall_band : null,
+    submissionData.task2 ? candidate.task2?.overall_band : null
+  );
+
+  return {
+    result: {
+      submission_id: submission.id.toString(),
+      baseline_prompt_version: submission.prompt_version ?? BUILTIN_PROMPT_VERSION,
+      baseline_band: submission.overall_band_score,
+      candidate_band: candidateBand,
+      delta: Number((candidateBand - submission.overall_band_score).toFixed(2))
+    }
+  };
+};
+
+// Band distributions and deltas of a finished comparison
+const summarizeComparison = (results) => {
+  const deltas = results.map(r => r.delta);
+
+  return {
+    evaluated: results.length,
+    baseline: summarizeBands(results.map(r => r.baseline_band)),
+    candidate: summarizeBands(results.map(r => r.candidate_band)),
+    mean_delta: deltas.length > 0
+      ? Number((deltas.reduce((sum, d) => sum + d, 0) / deltas.length).toFixed(2))
+      : null,
+    mean_absolute_delta: deltas.length > 0
+      ? Number((deltas.reduce((sum, d) => sum + Math.abs(d), 0) / deltas.length).toFixed(2))
+      : null,
+    within_half_band: results.filter(r => Math.abs(r.delta) <= 0.5).length
+  };
+};
+
+/**
+ * Queue a comparison of a candidate prompt against the stored scores of a random sample
+ * of past writing submissions
+ * The worker re-evaluates the sample in batches; poll the prompt (or its comparison) for the outcome
+ * Nothing is written to the submissions; the comparison is saved on the prompt version
+ * @param {BigInt|number|string} promptId - Candidate prompt ID
+ * @param {number} sampleSize - Number of submissions to re-evaluate
+ * @returns {Promise<Object>} Queued comparison
+ * @throws {Error} With status 400 for non-writing prompts, 409 if a comparison is already running or there is nothing to compare
+ */
+export async function queuePromptComparison(promptId, sampleSize) {
+  const prompt = await findPromptOrFail(promptId);
+
+  if (prompt.module !== "writing") {
+    throw promptError("Only writing prompts can be compared", 400);
+  }
+
+  const current = parseComparison(prompt.comparison);
+  if ([COMPARISON_STATUS.QUEUED, COMPARISON_STATUS.RUNNING].includes(current?.status)) {
+    throw promptError("A comparison is already running for this prompt version", 409);
+  }
+
+  const size = Math.min(Math.max(parseInt(sampleSize, 10) || 10, 1), MAX_COMPARISON_SAMPLE);
+
+  const pool = await prisma.writing_submissions.findMany({
+    where: {
+      status: "evaluated",
+      overall_band_score: { not: null }
+    },
+    orderBy: { id: "desc" },
+    take: COMPARISON_POOL_SIZE,
+    select: { id: true }
+  });
+
+  if (pool.length === 0) {
+    throw promptError("There are no evaluated submissions to compare against", 409);
+  }
+
+  // Fisher-Yates shuffle, then take the sample
+  const ids = pool.map(p => p.id.toString());
+  for (let i = ids.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+  }
+
+  const comparison = {
+    status: COMPARISON_STATUS.QUEUED,
+    prompt_version: prompt.version,
+    requested_sample_size: size,
+    sample_ids: ids.slice(0, size),
+    submissions: [],
+    failures: [],
+    requested_at: new Date().toISOString()
+  };
+
+  await prisma.$transaction(async (tx) => {
+    await tx.evaluation_prompts.update({
+      where: { id: prompt.id },
+      data: { comparison: JSON.stringify(comparison), updated_at: new Date() }
+    });
+
+    await dispatchJob(QUEUES.ANALYSIS, COMPARE_PROMPT_JOB, {
+      prompt_id: prompt.id.toString(),
+      requested_at: comparison.requested_at
+    }, { client: tx });
+  });
+
+  return comparison;
+}
+
+/**
+ * Re-evaluate the next batch of a queued comparison and queue the following batch
+ * Runs inside the queue worker; a comparison replaced or cleared (prompt edited) since it was queued is dropped
+ * @param {Object} data - Job data
+ * @param {string} data.prompt_id - Prompt ID
+ * @param {string} data.requested_at - Identifies the comparison run
+ */
+export async function runPromptComparisonBatch({ prompt_id, requested_at }) {
+  const prompt = await prisma.evaluation_prompts.findUnique({
+    where: { id: BigInt(prompt_id) }
+  });
+
+  const comparison = parseComparison(prompt?.comparison);
+  const isOpen = [COMPARISON_STATUS.QUEUED, COMPARISON_STATUS.RUNNING].includes(comparison?.status);
+  if (!isOpen || comparison.requested_at !== requested_at) return;
+
+  const done = new Set([...comparison.submissions, ...comparison.failures].map(r => r.submission_id));
+  const batchIds = comparison.sample_ids.filter(id => !done.has(id)).slice(0, COMPARISON_BATCH_SIZE);
+
+  const submissions = await prisma.writing_submissions.findMany({
+    where: { id: { in: batchIds.map(id => BigInt(id)) } },
+    include: {
+      tests: {
+        include: { writing_questions: true }
+      }
+    }
+  });
+
+  // Sequential on purpose: keeps the provider rate limit and cost predictable
+  for (const id of batchIds) {
+    const submission = submissions.find(s => s.id.toString() === id);
+
+    if (!submission) {
+      comparison.failures.push({ submission_id: id, error: "Submission no longer exists" });
+      continue;
+    }
+
+    const { result, failure } = await compareSubmission(submission, prompt);
+    if (result) comparison.submissions.push(result);
+    if (failure) comparison.failures.push(failure);
+  }
+
+  const remaining = comparison.sample_ids.length - comparison.submissions.length - comparison.failures.length;
+
+  let updated = {
+    ...comparison,
+    status: remaining > 0 ? COMPARISON_STATUS.RUNNING : COMPARISON_STATUS.COMPLETED
+  };
+
+  if (remaining === 0) {
+    updated = {
+      ...updated,
+      ...summarizeComparison(comparison.submissions),
+      failed: comparison.failures.length,
+      compared_at: new Date().toISOString()
+    };
+  }
+
+  await prisma.$transaction(async (tx) => {
+    // Only store the batch if the comparison wasn't cleared or restarted meanwhile
+    const stored = await tx.evaluation_prompts.updateMany({
+      where: { id: prompt.id, comparison: prompt.comparison },
+      data: { comparison: JSON.stringify(updated), updated_at: new Date() }
+    });
+
+    if (stored.count === 1 && remaining > 0) {
+      await dispatchJob(QUEUES.ANALYSIS, COMPARE_PROMPT_JOB, { prompt_id, requested_at }, { client: tx });
+    }
+  });
+}
+
+// Called once a batch has exhausted its retries
+runPromptComparisonBatch.onFailed = async ({ prompt_id, requested_at }, err) => {
+  const prompt = await prisma.evaluation_prompts.findUnique({
+    where: { id: BigInt(prompt_id) }
+  });
+
+  const comparison = parseComparison(prompt?.comparison);
+  if (!comparison || comparison.requested_at !== requested_at) return;
+
+  await prisma.evaluation_prompts.updateMany({
+    where: { id: prompt.id, comparison: prompt.comparison },
+    data: {
+      comparison: JSON.stringify({ ...comparison, status: COMPARISON_STATUS.FAILED, error: err?.message || null }),
+      updated_at: new Date()
+    }
+  });
+};
+
+/**
+ * Format a comparison for API responses (the sample is reported as progress)
+ * @param {Object|null} comparison - Parsed comparison
+ * @returns {Object|null}
+ */
+export function formatComparison(comparison) {
+  if (!comparison) return null;
+
+  const { sample_ids, ...rest } = comparison;
+  const total = sample_ids?.length ?? (comparison.evaluated || 0) + (comparison.failed || 0);
+
+  return {
+    ...rest,
+    progress: {
+      done: (comparison.submissions?.length || 0) + (comparison.failures?.length || 0),
+      total
+    }
+  };
+}
+
+/**
+ * Format a prompt version for API responses
+ * @param {Object} prompt - evaluation_prompts row
+ * @returns {Object} Formatted prompt
+ */
+export function formatPrompt(prompt) {
+  return {
+    id: prompt.id.toString(),
+    module: prompt.module,
+    version: prompt.version,
+    status: prompt.status,
+    system_prompt: prompt.system_prompt,
+    notes: prompt.notes,
+    comparison: formatComparison(parseComparison(prompt.comparison)),
+    created_by: prompt.created_by ? prompt.created_by.toString() : null,
+    activated_at: prompt.activated_at,
+    created_at: prompt.created_at,
+    updated_at: prompt.updated_at
+  };
+}
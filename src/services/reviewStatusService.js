@@ -0,0 +1,222 @@
+// services/reviewStatusService.js
+import { prisma } from "../config/prismaClient.js";
+
+/**
+ * Expert review request statuses
+ */
+export const REVIEW_STATUS = {
+  PENDING: "pending",
+  IN_PROGRESS: "in_progress",
+  COMPLETED: "completed",
+  REJECTED: "rejected",
+  CANCELLED: "cancelled",
+};
+
+/**
+ * Allowed transitions: from -> [to]
+ * in_progress -> pending is a release of the claim; completed, rejected and cancelled are final,
+ * though a rejected or cancelled request can be requested again (see reopenReviewRequest)
+ */
+export const REVIEW_TRANSITIONS = {
+  [REVIEW_STATUS.PENDING]: [REVIEW_STATUS.IN_PROGRESS, REVIEW_STATUS.REJECTED, REVIEW_STATUS.CANCELLED],
+  [REVIEW_STATUS.IN_PROGRESS]: [REVIEW_STATUS.PENDING, REVIEW_STATUS.COMPLETED, REVIEW_STATUS.REJECTED],
+  [REVIEW_STATUS.COMPLETED]: [],
+  [REVIEW_STATUS.REJECTED]: [],
+  [REVIEW_STATUS.CANCELLED]: [],
+};
+
+// Statuses that end the request; reviewed_at is set when entering them
+const FINAL_STATUSES = [REVIEW_STATUS.COMPLETED, REVIEW_STATUS.REJECTED];
+
+// Ended requests the student may request again
+export const REOPENABLE_STATUSES = [REVIEW_STATUS.REJECTED, REVIEW_STATUS.CANCELLED];
+
+// History notes shown to the student
+const STUDENT_VISIBLE_NOTES = [REVIEW_STATUS.REJECTED, REVIEW_STATUS.CANCELLED];
+
+// Error carrying the HTTP status the controller should respond with
+const statusError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * Whether a request may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+export const canTransition = (from, to) => !!REVIEW_TRANSITIONS[from]?.includes(to);
+
+/**
+ * Check a status transition
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @throws {Error} With status 400 for unknown statuses, 409 for disallowed transitions
+ */
+export function assertTransition(from, to) {
+  if (!REVIEW_TRANSITIONS[to]) {
+    throw statusError("Invalid status value", 400);
+  }
+
+  if (!canTransition(from, to)) {
+    throw statusError(`Review request can't move from ${from} to ${to}`, 409);
+  }
+}
+
+/**
+ * Move a review request to a new status and record it in the status history
+ * The update only applies if the request is still in the status it was read in
+ * @param {Object} params
+ * @param {Object} params.request - expert_review_requests row as read
+ * @param {string} params.to - New status
+ * @param {BigInt|number|string} [params.actorId] - Acting user (null for the scheduler)
+ * @param {string} [params.note] - Note stored with the history entry
+ * @param {Object} [params.data] - Extra columns to update
+ * @param {Object} [params.where] - Extra conditions the request must still match
+ * @param {Function} [params.onTransition] - async (tx) => void, run in the same transaction once the status has changed
+ * @returns {Promise<Object>} Updated request
+ * @throws {Error} With status 409 if the transition isn't allowed or the request changed meanwhile
+ */
+export async function transitionReviewRequest({ request, to, actorId = null, note = null, data = {}, where = {}, onTransition = null }) {
+  assertTransition(request.status, to);
+
+  const now = new Date();
+
+  const update = {
+    status: to,
+    ...(FINAL_STATUSES.includes(to) && { reviewed_at: now }),
+    // Leaving in_progress for pending (or being cancelled) frees the claim
+    ...([REVIEW_STATUS.PENDING, REVIEW_STATUS.CANCELLED].includes(to) && { assigned_to: null, assigned_at: null }),
+    ...data,
+    updated_at: now
+  };
+
+  return prisma.$transaction(async (tx) => {
+    const updated = await tx.expert_review_requests.updateMany({
+      where: { id: request.id, status: request.status, ...where },
+      data: update
+    });
+
+    if (updated.count !== 1) {
+      throw statusError("Review request was changed by someone else, reload and try again", 409);
+    }
+
+    await recordStatusChange({ requestId: request.id, from: request.status, to, actorId, note, createdAt: now }, tx);
+
+    if (onTransition) await onTransition(tx);
+
+    return tx.expert_review_requests.findUnique({ where: { id: request.id } });
+  });
+}
+
+/**
+ * Reopen a rejected or cancelled request as pending so the submission can be reviewed again
+ * A submission has a single request row, so the row is reset and its reopen_count bumped
+ * @param {Object} tx - Prisma transaction
+ * @param {Object} params
+ * @param {Object} params.request - expert_review_requests row as read
+ * @param {BigInt|number|string} [params.actorId] - Requesting student
+ * @param {Object} [params.data] - Columns of the new request (requested_at, sla_plan, due_at, ...)
+ * @returns {Promise<Object>} Reopened request
+ * @throws {Error} With status 409 if the request can't be reopened or changed meanwhile
+ */
+export async function reopenReviewRequest(tx, { request, actorId = null, data = {} }) {
+  if (!REOPENABLE_STATUSES.includes(request.status)) {
+    throw statusError("Expert review already requested for this test", 409);
+  }
+
+  const now = new Date();
+
+  const updated = await tx.expert_review_requests.updateMany({
+    where: { id: request.id, status: request.status },
+    data: {
+      status: REVIEW_STATUS.PENDING,
+      assigned_to: null,
+      assigned_at: null,
+      escalation_level: 0,
+      escalated_at: null,
+      reviewed_at: null,
+      rejection_reason: null,
+      reopen_count: { increment: 1 },
+      ...data,
+      updated_at: now
+    }
+  });
+
+  if (updated.count !== 1) {
+    throw statusError("Review request was changed by someone else, reload and try again", 409);
+  }
+
+  await recordStatusChange({
+    requestId: request.id,
+    from: request.status,
+    to: REVIEW_STATUS.PENDING,
+    actorId,
+    note: "Requested again",
+    createdAt: data.requested_at || now
+  }, tx);
+
+  return tx.expert_review_requests.findUnique({ where: { id: request.id } });
+}
+
+/**
+ * Record a status change in expert_review_status_history
+ * Use for bulk updates that don't go through transitionReviewRequest
+ * @param {Object} params
+ * @param {BigInt|number|string} params.requestId - Review request ID
+ * @param {string|null} params.from - Previous status (null when created)
+ * @param {string} params.to - New status
+ * @param {BigInt|number|string} [params.actorId] - Acting user (null for the scheduler)
+ * @param {string} [params.note] - Note
+ * @param {Date} [params.createdAt]
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Object>} expert_review_status_history row
+ */
+export function recordStatusChange({ requestId, from, to, actorId = null, note = null, createdAt = new Date() }, client = prisma) {
+  return client.expert_review_status_history.create({
+    data: {
+      request_id: BigInt(requestId),
+      actor_id: actorId ? BigInt(actorId) : null,
+      from_status: from,
+      to_status: to,
+      note: note || null,
+      created_at: createdAt
+    }
+  });
+}
+
+/**
+ * Status history of a review request, oldest first
+ * @param {Object} request - expert_review_requests row
+ * @param {Object} [options]
+ * @param {boolean} [options.forStudent] - Hide reviewer IDs; actors are reported as "student", "reviewer" or "system"
+ * @returns {Promise<Object[]>} Formatted history entries
+ */
+export async function getStatusHistory(request, { forStudent = false } = {}) {
+  const entries = await prisma.expert_review_status_history.findMany({
+    where: { request_id: request.id },
+    orderBy: [{ created_at: "asc" }, { id: "asc" }]
+  });
+
+  return entries.map(entry => {
+    const formatted = {
+      id: entry.id.toString(),
+      from_status: entry.from_status,
+      to_status: entry.to_status,
+      note: entry.note,
+      created_at: entry.created_at
+    };
+
+    if (forStudent) {
+      // Reviewer notes are internal; students only see why a request was rejected or cancelled
+      if (!STUDENT_VISIBLE_NOTES.includes(entry.to_status)) formatted.note = null;
+      formatted.actor = !entry.actor_id ? "system" : entry.actor_id === request.user_id ? "student" : "reviewer";
+    } else {
+      formatted.actor_id = entry.actor_id ? entry.actor_id.toString() : null;
+    }
+
+    return formatted;
+  });
+}
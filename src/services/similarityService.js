@@ -0,0 +1,343 @@
+// services/similarityService.js
+import { prisma } from "../config/prismaClient.js";
+import { normalizeText } from "../utils/textHelper.js";
+
+/**
+ * Source types of indexed texts
+ */
+export const SIGNATURE_SOURCES = {
+  ATTEMPT: "attempt", // writing_attempts task answer
+  CORPUS: "corpus",   // admin-managed model_answers
+};
+
+// Words per shingle and MinHash signature length
+const SHINGLE_SIZE = 5;
+const NUM_HASHES = 128;
+
+// Estimated Jaccard similarity at or above which a hit is stored
+export const SIMILARITY_THRESHOLD = parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.5;
+
+// LSH banding: texts sharing the bucket of any band are compared in full.
+// 64 bands of 2 hashes make a pair at 0.5 similarity a candidate with ~100% probability (0.3: ~97%),
+// while unrelated essays (similarity ~0.01) rarely share a bucket
+const BANDS = 64;
+const ROWS_PER_BAND = NUM_HASHES / BANDS;
+
+// Candidate signatures are loaded in pages to bound memory
+const SCAN_PAGE_SIZE = 1000;
+
+// 32-bit FNV-1a
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Murmur3 finalizer - turns one base hash into NUM_HASHES independent ones via seeds
+const mix32 = (value) => {
+  let x = value;
+  x ^= x >>> 16;
+  x = Math.imul(x, 0x85ebca6b);
+  x ^= x >>> 13;
+  x = Math.imul(x, 0xc2b2ae35);
+  x ^= x >>> 16;
+  return x >>> 0;
+};
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix32(i + 1));
+
+/**
+ * Word shingles of a text (lower-cased, punctuation removed)
+ * @param {string} text - Answer text
+ * @returns {Set<string>} Shingles
+ */
+export function getShingles(text) {
+  const words = normalizeText(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}']+/u)
+    .filter(Boolean);
+
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    shingles.add(words.slice(i, i + SHINGLE_SIZE).join(" "));
+  }
+  return shingles;
+}
+
+/**
+ * MinHash signature of a text
+ * @param {string} text - Answer text
+ * @returns {Object|null} { signature: number[], shingleCount } or null if the text is too short
+ */
+export function computeSignature(text) {
+  const shingles = getShingles(text);
+  if (shingles.size === 0) return null;
+
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+
+  for (const shingle of shingles) {
+    const base = fnv1a(shingle);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const hash = mix32(base ^ SEEDS[i]);
+      if (hash < signature[i]) signature[i] = hash;
+    }
+  }
+
+  return { signature, shingleCount: shingles.size };
+}
+
+/**
+ * Estimated Jaccard similarity of two signatures
+ * @param {number[]} a - Signature
+ * @param {number[]} b - Signature
+ * @returns {number} 0-1
+ */
+export function estimateSimilarity(a, b) {
+  let equal = 0;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    if (a[i] === b[i]) equal++;
+  }
+  return equal / NUM_HASHES;
+}
+
+/**
+ * LSH bucket of each band of a signature
+ * @param {number[]} signature - Signature
+ * @returns {number[]} One signed 32-bit bucket per band
+ */
+export function getBandBuckets(signature) {
+  return Array.from({ length: BANDS }, (_, band) =>
+    fnv1a(signature.slice(band * ROWS_PER_BAND, (band + 1) * ROWS_PER_BAND).join(",")) | 0
+  );
+}
+
+const parseSignature = (stored) => stored.split(",").map(Number);
+
+// Delete signatures together with their band buckets
+const deleteSignatures = (where) => prisma.$transaction(async (tx) => {
+  const rows = await tx.text_signatures.findMany({ where, select: { id: true } });
+  if (rows.length === 0) return;
+
+  const ids = rows.map(r => r.id);
+  await tx.text_signature_bands.deleteMany({ where: { signature_id: { in: ids } } });
+  await tx.text_signatures.deleteMany({ where: { id: { in: ids } } });
+});
+
+/**
+ * Store (or replace) the signature of a text and its LSH band buckets
+ * @param {Object} params
+ * @param {string} params.sourceType - SIGNATURE_SOURCES value
+ * @param {BigInt} params.sourceId - Attempt or model answer ID
+ * @param {number} params.taskNumber - 1 or 2
+ * @param {string} params.text - Text to index
+ * @param {BigInt} [params.userId] - Author (attempts only)
+ * @param {BigInt} [params.testId] - Test ID
+ * @returns {Promise<number[]|null>} Signature, or null if the text is too short to index
+ */
+export async function indexText({ sourceType, sourceId, taskNumber, text, userId = null, testId = null }) {
+  const computed = computeSignature(text);
+  const key = { source_type: sourceType, source_id: BigInt(sourceId), task_number: taskNumber };
+
+  if (!computed) {
+    await deleteSignatures(key);
+    return null;
+  }
+
+  const data = {
+    user_id: userId ? BigInt(userId) : null,
+    test_id: testId ? BigInt(testId) : null,
+    signature: computed.signature.join(","),
+    shingle_count: computed.shingleCount
+  };
+
+  await prisma.$transaction(async (tx) => {
+    const row = await tx.text_signatures.upsert({
+      where: { source_type_source_id_task_number: key },
+      update: data,
+      create: { ...key, ...data, created_at: new Date() }
+    });
+
+    await tx.text_signature_bands.deleteMany({ where: { signature_id: row.id } });
+    await tx.text_signature_bands.createMany({
+      data: getBandBuckets(computed.signature).map((bucket, band) => ({
+        signature_id: row.id,
+        task_number: taskNumber,
+        band,
+        bucket
+      }))
+    });
+  });
+
+  return computed.signature;
+}
+
+/**
+ * Remove a source's signatures (e.g. a deleted model answer)
+ * @param {string} sourceType - SIGNATURE_SOURCES value
+ * @param {BigInt} sourceId - Source ID
+ */
+export async function removeSignatures(sourceType, sourceId) {
+  await deleteSignatures({ source_type: sourceType, source_id: BigInt(sourceId) });
+}
+
+/**
+ * Find indexed texts similar to a signature
+ * Only texts sharing an LSH band bucket with the signature are compared
+ * @param {number[]} signature - Signature to compare
+ * @param {number} taskNumber - Only texts for the same task are compared
+ * @param {Function} [exclude] - (text_signatures row) => true to skip the row
+ * @returns {Promise<Object[]>} [{ row, similarity }] at or above SIMILARITY_THRESHOLD, most similar first
+ */
+export async function findSimilarTexts(signature, taskNumber, exclude = () => false) {
+  const bandRows = await prisma.text_signature_bands.findMany({
+    where: {
+      task_number: taskNumber,
+      OR: getBandBuckets(signature).map((bucket, band) => ({ band, bucket }))
+    },
+    select: { signature_id: true }
+  });
+
+  const candidateIds = [...new Set(bandRows.map(r => r.signature_id))];
+  const matches = [];
+
+  for (let i = 0; i < candidateIds.length; i += SCAN_PAGE_SIZE) {
+    const page = await prisma.text_signatures.findMany({
+      where: { id: { in: candidateIds.slice(i, i + SCAN_PAGE_SIZE) } }
+    });
+
+    for (const row of page) {
+      if (exclude(row)) continue;
+
+      const similarity = estimateSimilarity(signature, parseSignature(row.signature));
+      if (similarity >= SIMILARITY_THRESHOLD) {
+        matches.push({ row, similarity });
+      }
+    }
+  }
+
+  return matches.sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Compare a writing attempt with all prior attempts (other than those of the same
+ * submission) and the model answer corpus, store hits and index the attempt
+ * Matches with the student's own earlier essays are kept; they are reported as same_user
+ * Runs inside the queue worker
+ * @param {Object} data - Job data
+ * @param {string} data.attempt_id - writing_attempts ID
+ */
+export async function checkAttemptSimilarity({ attempt_id }) {
+  const attempt = await prisma.writing_attempts.findUnique({
+    where: { id: BigInt(attempt_id) }
+  });
+
+  if (!attempt) return;
+
+  const sameSubmission = await prisma.writing_attempts.findMany({
+    where: { submission_id: attempt.submission_id },
+    select: { id: true }
+  });
+  const sameSubmissionIds = new Set(sameSubmission.map(a => a.id.toString()));
+
+  const hits = [];
+
+  for (const taskNumber of [1, 2]) {
+    const text = attempt[`task${taskNumber}_answer`];
+    if (!text) continue;
+
+    const computed = computeSignature(text);
+    if (!computed) continue;
+
+    const matches = await findSimilarTexts(computed.signature, taskNumber, (row) =>
+      row.source_type === SIGNATURE_SOURCES.ATTEMPT && sameSubmissionIds.has(row.source_id.toString())
+    );
+
+    for (const { row, similarity } of matches) {
+      hits.push({
+        submission_id: attempt.submission_id,
+        attempt_id: attempt.id,
+        task_number: taskNumber,
+        match_type: row.source_type,
+        matched_source_id: row.source_id,
+        matched_user_id: row.user_id,
+        similarity: Math.round(similarity * 100) / 100,
+        created_at: new Date()
+      });
+    }
+
+    await indexText({
+      sourceType: SIGNATURE_SOURCES.ATTEMPT,
+      sourceId: attempt.id,
+      taskNumber,
+      text,
+      userId: attempt.user_id,
+      testId: attempt.test_id
+    });
+  }
+
+  // Re-running the job replaces the attempt's hits
+  await prisma.$transaction([
+    prisma.similarity_hits.deleteMany({ where: { attempt_id: attempt.id } }),
+    prisma.similarity_hits.createMany({ data: hits })
+  ]);
+}
+
+/**
+ * Similarity hits for a submission with details of the matched text
+ * @param {BigInt} submissionId - writing_submissions ID
+ * @param {BigInt} userId - Submission owner, to flag re-used essays of the same student
+ * @returns {Promise<Object[]>} Formatted hits, most similar first
+ */
+export async function getSubmissionSimilarityHits(submissionId, userId) {
+  const hits = await prisma.similarity_hits.findMany({
+    where: { submission_id: BigInt(submissionId) },
+    orderBy: [{ similarity: "desc" }, { id: "asc" }]
+  });
+
+  if (hits.length === 0) return [];
+
+  const attemptIds = hits.filter(h => h.match_type === SIGNATURE_SOURCES.ATTEMPT).map(h => h.matched_source_id);
+  const corpusIds = hits.filter(h => h.match_type === SIGNATURE_SOURCES.CORPUS).map(h => h.matched_source_id);
+
+  const [attempts, modelAnswers] = await Promise.all([
+    prisma.writing_attempts.findMany({
+      where: { id: { in: attemptIds } },
+      select: { id: true, submission_id: true, user_id: true, test_id: true, created_at: true }
+    }),
+    prisma.model_answers.findMany({
+      where: { id: { in: corpusIds } },
+      select: { id: true, title: true, source_url: true }
+    })
+  ]);
+
+  return hits.map(hit => {
+    const matchedAttempt = attempts.find(a => a.id === hit.matched_source_id);
+    const matchedAnswer = modelAnswers.find(m => m.id === hit.matched_source_id);
+
+    return {
+      id: hit.id.toString(),
+      attempt_id: hit.attempt_id.toString(),
+      task_number: hit.task_number,
+      match_type: hit.match_type,
+      similarity: hit.similarity,
+      matched: hit.match_type === SIGNATURE_SOURCES.CORPUS
+        ? {
+            model_answer_id: hit.matched_source_id.toString(),
+            title: matchedAnswer?.title || null,
+            source_url: matchedAnswer?.source_url || null
+          }
+        : {
+            attempt_id: hit.matched_source_id.toString(),
+            submission_id: matchedAttempt?.submission_id.toString() || null,
+            user_id: hit.matched_user_id ? hit.matched_user_id.toString() : null,
+            test_id: matchedAttempt?.test_id.toString() || null,
+            submitted_at: matchedAttempt?.created_at || null,
+            same_user: hit.matched_user_id !== null && hit.matched_user_id.toString() === userId.toString()
+          },
+      created_at: hit.created_at
+    };
+  });
+}
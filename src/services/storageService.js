@@ -0,0 +1,215 @@
+// services/storageService.js
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream';
+import { logError } from '../utils/logger.js';
+
+/**
+ * Local storage directories, configurable through environment variables
+ */
+export const STORAGE_DIRS = {
+  audio: process.env.AUDIO_STORAGE_DIR || path.join(process.cwd(), 'storage', 'audio'),
+  speaking: process.env.SPEAKING_STORAGE_DIR || path.join(process.cwd(), 'storage', 'speaking'),
+  images: process.env.IMAGE_STORAGE_DIR || path.join(process.cwd(), 'storage', 'images'),
+};
+
+// Content types for files we serve from local storage
+const CONTENT_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.webm': 'audio/webm',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+};
+
+/**
+ * Resolve a stored file name inside a storage directory
+ * Rejects paths escaping the directory (e.g. "../../.env")
+ * @param {string} baseDir - Storage directory
+ * @param {string} storedPath - Path as saved in the database
+ * @returns {string|null} Absolute file path, or null if outside the directory
+ */
+export function resolveStoredFile(baseDir, storedPath) {
+  if (!storedPath) return null;
+
+  const root = path.resolve(baseDir);
+  const filePath = path.resolve(root, storedPath.replace(/^[/\\]+/, ''));
+
+  if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+    return null;
+  }
+
+  return filePath;
+}
+
+/**
+ * Save an uploaded file buffer into a storage directory
+ * @param {string} baseDir - Storage directory
+ * @param {string} relativePath - Path inside the directory (e.g. "12/34-1700000000.webm")
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<string>} The relative path, as it should be saved in the database
+ */
+export async function saveFile(baseDir, relativePath, buffer) {
+  const filePath = resolveStoredFile(baseDir, relativePath);
+
+  if (!filePath) {
+    throw new Error('Invalid storage path');
+  }
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+
+  return relativePath;
+}
+
+/**
+ * Storage drivers, selected with STORAGE_DRIVER (default: "local")
+ * A driver is { put(baseDir, relativePath, buffer, contentType) => stored path, remove(baseDir, storedPath) }
+ * The stored path is saved in the database: a path inside baseDir for local storage, or an absolute URL
+ */
+const storageDrivers = {
+  local: {
+    put: (baseDir, relativePath, buffer) => saveFile(baseDir, relativePath, buffer),
+    remove: async (baseDir, storedPath) => {
+      if (/^https?:\/\//i.test(storedPath)) return;
+
+      const filePath = resolveStoredFile(baseDir, storedPath);
+      if (filePath) {
+        await fs.promises.rm(filePath, { force: true });
+      }
+    },
+  },
+};
+
+/**
+ * Register (or replace) a storage driver
+ * @param {string} name - Driver name used in STORAGE_DRIVER
+ * @param {Object} driver - { put, remove }
+ */
+export function registerStorageDriver(name, driver) {
+  storageDrivers[name] = driver;
+}
+
+/**
+ * The configured storage driver
+ * @returns {Object} { put, remove }
+ * @throws {Error} If STORAGE_DRIVER names an unregistered driver
+ */
+export function getStorageDriver() {
+  const name = process.env.STORAGE_DRIVER || 'local';
+  const driver = storageDrivers[name];
+
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  return driver;
+}
+
+/**
+ * Read a stored file as a base64 data URL (e.g. to send an image to a vision model)
+ * @param {string} filePath - Absolute file path
+ * @returns {Promise<string|null>} data URL, or null if the file does not exist or its type is unknown
+ */
+export async function readFileAsDataUrl(filePath) {
+  const contentType = CONTENT_TYPES[path.extname(filePath).toLowerCase()];
+  if (!contentType) return null;
+
+  try {
+    const buffer = await fs.promises.readFile(filePath);
+    return `data:${contentType};base64,${buffer.toString('base64')}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a single HTTP Range header ("bytes=start-end", "bytes=start-", "bytes=-suffix")
+ * @param {string} header - Range header value
+ * @param {number} size - File size in bytes
+ * @returns {Object|null} { start, end } or null if unsatisfiable
+ */
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Suffix range: last N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return null;
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start > end || start >= size) return null;
+
+  return { start, end };
+}
+
+// Pipe a file stream to the response; a read error or client disconnect destroys both streams
+const sendStream = (readStream, res, filePath) => {
+  pipeline(readStream, res, (err) => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      logError(`Failed to stream ${filePath}`, err);
+    }
+  });
+};
+
+/**
+ * Stream a file to the response with HTTP Range support (206 partial content)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} filePath - Absolute file path
+ * @returns {Promise<boolean>} false if the file does not exist
+ */
+export async function streamFileWithRange(req, res, filePath) {
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch {
+    return false;
+  }
+
+  if (!stats.isFile()) return false;
+
+  const size = stats.size;
+  const contentType = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Content-Type', contentType);
+
+  const rangeHeader = req.headers.range;
+
+  if (!rangeHeader) {
+    res.status(200);
+    res.setHeader('Content-Length', size);
+    sendStream(fs.createReadStream(filePath), res, filePath);
+    return true;
+  }
+
+  const range = parseRange(rangeHeader, size);
+
+  if (!range) {
+    res.status(416);
+    res.setHeader('Content-Range', `bytes */${size}`);
+    res.end();
+    return true;
+  }
+
+  res.status(206);
+  res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+  res.setHeader('Content-Length', range.end - range.start + 1);
+  sendStream(fs.createReadStream(filePath, { start: range.start, end: range.end }), res, filePath);
+  return true;
+}
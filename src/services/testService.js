@@ -0,0 +1,386 @@
+// services/testService.js
+import { prisma } from "../config/prismaClient.js";
+import { TEST_CATEGORIES } from "./bandConversionService.js";
+import { getPublishReadiness } from "./writingQuestionService.js";
+
+/**
+ * Test statuses as stored in tests.status - only published tests are listed to students
+ */
+export const TEST_STATUS = {
+  DRAFT: 0,
+  PUBLISHED: 1,
+  ARCHIVED: 2,
+};
+
+/**
+ * Audit log actions
+ */
+export const TEST_AUDIT_ACTIONS = {
+  CREATE: "create",
+  UPDATE: "update",
+  PUBLISH: "publish",
+  UNPUBLISH: "unpublish",
+  ARCHIVE: "archive",
+  RESTORE: "restore",
+  DELETE: "delete",
+};
+
+const text = (max, options = {}) => ({ type: "string", max, ...options });
+
+/**
+ * Fields admins may set on a test; anything else in the request body is rejected
+ * Archiving is done through the archive endpoint, so status only accepts draft/published
+ */
+export const TEST_FIELDS = {
+  name: text(65535, { required: true }),
+  type: { type: "int", required: true },
+  category: { type: "int", required: true, values: Object.values(TEST_CATEGORIES) },
+  status: { type: "int", values: [TEST_STATUS.DRAFT, TEST_STATUS.PUBLISHED] },
+  audio: text(255, { nullable: true }),
+  paragraph1: text(Infinity, { nullable: true }),
+  paragraph2: text(Infinity, { nullable: true }),
+  paragraph3: text(Infinity, { nullable: true }),
+  paragraph4: text(Infinity, { nullable: true }),
+  paragraph5: text(Infinity, { nullable: true }),
+  reading_meta_title: text(255, { nullable: true }),
+  reading_meta_description: text(65535, { nullable: true }),
+  reading_focus_keywords: text(255, { nullable: true }),
+  listening_meta_title: text(255, { nullable: true }),
+  listening_meta_description: text(65535, { nullable: true }),
+  listening_focus_keywords: text(255, { nullable: true }),
+};
+
+// Error carrying the HTTP status the controller should respond with
+const testError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Validate one field against its rule; returns the cleaned value
+const checkField = (field, rule, value, errors) => {
+  if (value === null) {
+    if (!rule.nullable) errors.push(`${field} can't be null`);
+    return null;
+  }
+
+  if (rule.type === "int") {
+    const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (!Number.isInteger(number)) {
+      errors.push(`${field} must be a whole number`);
+    } else if (rule.values && !rule.values.includes(number)) {
+      errors.push(`${field} must be one of ${rule.values.join(", ")}`);
+    }
+    return number;
+  }
+
+  if (typeof value !== "string") {
+    errors.push(`${field} must be a string`);
+  } else if (rule.required && value.trim() === "") {
+    errors.push(`${field} can't be empty`);
+  } else if (value.length > rule.max) {
+    errors.push(`${field} can be at most ${rule.max} characters`);
+  }
+  return typeof value === "string" && rule.required ? value.trim() : value;
+};
+
+/**
+ * Validate a test create/update body against TEST_FIELDS
+ * @param {Object} body - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Updates: only the fields present are validated
+ * @returns {Object} { errors, data } - data only holds whitelisted, cleaned fields
+ */
+export function validateTestInput(body, { partial = false } = {}) {
+  const errors = [];
+  const data = {};
+
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { errors: ["Request body must be an object"], data };
+  }
+
+  for (const field of Object.keys(body)) {
+    if (!TEST_FIELDS[field]) errors.push(`${field} can't be set`);
+  }
+
+  for (const [field, rule] of Object.entries(TEST_FIELDS)) {
+    if (body[field] === undefined) {
+      if (!partial && rule.required) errors.push(`${field} is required`);
+      continue;
+    }
+    data[field] = checkField(field, rule, body[field], errors);
+  }
+
+  if (!partial && data.status === undefined) {
+    data.status = TEST_STATUS.DRAFT;
+  }
+
+  return { errors, data };
+}
+
+/**
+ * Changed fields between a test row and an update
+ * @param {Object} before - tests row
+ * @param {Object} data - Validated update
+ * @returns {Object} { field: { from, to } } for fields whose value changes
+ */
+export function diffTest(before, data) {
+  const changes = {};
+  for (const [field, value] of Object.entries(data)) {
+    if (before[field] !== value) {
+      changes[field] = { from: before[field], to: value };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Record an admin action on a test
+ * @param {Object} params
+ * @param {BigInt} params.testId - Test ID
+ * @param {BigInt|number|string} [params.adminId] - Admin user ID
+ * @param {string} params.action - TEST_AUDIT_ACTIONS value
+ * @param {Object} [params.changes] - Changed fields or other details
+ * @param {Object} [client] - Prisma client or transaction
+ */
+export async function recordTestAudit({ testId, adminId = null, action, changes = null }, client = prisma) {
+  await client.test_audit_logs.create({
+    data: {
+      test_id: BigInt(testId),
+      admin_id: adminId ? BigInt(adminId) : null,
+      action,
+      changes: changes ? JSON.stringify(changes, (key, value) => (typeof value === "bigint" ? value.toString() : value)) : null,
+      created_at: new Date()
+    }
+  });
+}
+
+/**
+ * Find a test
+ * @param {BigInt|number|string} testId - Test ID
+ * @returns {Promise<Object>} tests row
+ * @throws {Error} With status 404 if not found
+ */
+export async function findTestOrFail(testId) {
+  const test = await prisma.tests.findUnique({ where: { id: BigInt(testId) } });
+  if (!test) {
+    throw testError("Test not found", 404);
+  }
+  return test;
+}
+
+// Publishing a test with writing questions goes through the writing publish checks
+const assertPublishable = async (test) => {
+  const questions = await prisma.writing_questions.findMany({ where: { test_id: test.id } });
+  if (questions.length === 0) return;
+
+  const { ready, errors } = getPublishReadiness(test, questions);
+  if (!ready) {
+    const err = testError(`The test can't be published: ${errors.join("; ")}`, 422);
+    err.errors = errors;
+    throw err;
+  }
+};
+
+/**
+ * Create a test from a validated body
+ * @param {Object} body - Request body
+ * @param {BigInt|number|string} adminId - Admin user ID
+ * @returns {Promise<Object>} tests row
+ * @throws {Error} With status 400 for validation failures
+ */
+export async function createTest(body, adminId) {
+  const { errors, data } = validateTestInput(body);
+  if (errors.length > 0) {
+    throw testError(errors.join("; "), 400);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const test = await tx.tests.create({
+      data: { ...data, created_at: new Date(), updated_at: new Date() }
+    });
+    await recordTestAudit({ testId: test.id, adminId, action: TEST_AUDIT_ACTIONS.CREATE, changes: data }, tx);
+    return test;
+  });
+}
+
+/**
+ * Update whitelisted test fields and audit what changed
+ * @param {BigInt|number|string} testId - Test ID
+ * @param {Object} body - Request body
+ * @param {BigInt|number|string} adminId - Admin user ID
+ * @returns {Promise<Object>} { test, changes }
+ * @throws {Error} With a `status` property for validation failures
+ */
+export async function updateTest(testId, body, adminId) {
+  const before = await findTestOrFail(testId);
+
+  if (before.status === TEST_STATUS.ARCHIVED) {
+    throw testError("The test is archived. Restore it first", 409);
+  }
+
+  const { errors, data } = validateTestInput(body, { partial: true });
+  if (errors.length > 0) {
+    throw testError(errors.join("; "), 400);
+  }
+
+  const changes = diffTest(before, data);
+  if (Object.keys(changes).length === 0) {
+    return { test: before, changes };
+  }
+
+  if (changes.status?.to === TEST_STATUS.PUBLISHED) {
+    await assertPublishable({ ...before, ...data });
+  }
+
+  const test = await prisma.$transaction(async (tx) => {
+    const updated = await tx.tests.update({
+      where: { id: before.id },
+      data: { ...data, updated_at: new Date() }
+    });
+    await recordTestAudit({ testId: before.id, adminId, action: TEST_AUDIT_ACTIONS.UPDATE, changes }, tx);
+    return updated;
+  });
+
+  return { test, changes };
+}
+
+/**
+ * Archive (soft delete) a test: hidden from students, results kept
+ * @param {BigInt|number|string} testId - Test ID
+ * @param {BigInt|number|string} adminId - Admin user ID
+ * @returns {Promise<Object>} tests row
+ */
+export async function archiveTest(testId, adminId) {
+  const test = await findTestOrFail(testId);
+
+  if (test.status === TEST_STATUS.ARCHIVED) {
+    throw testError("The test is already archived", 409);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const archived = await tx.tests.update({
+      where: { id: test.id },
+      data: {
+        status: TEST_STATUS.ARCHIVED,
+        archived_status: test.status,
+        archived_at: new Date(),
+        updated_at: new Date()
+      }
+    });
+    await recordTestAudit({
+      testId: test.id,
+      adminId,
+      action: TEST_AUDIT_ACTIONS.ARCHIVE,
+      changes: { status: { from: test.status, to: TEST_STATUS.ARCHIVED } }
+    }, tx);
+    return archived;
+  });
+}
+
+/**
+ * Restore an archived test to the status it had when archived
+ * @param {BigInt|number|string} testId - Test ID
+ * @param {BigInt|number|string} adminId - Admin user ID
+ * @returns {Promise<Object>} tests row
+ */
+export async function restoreTest(testId, adminId) {
+  const test = await findTestOrFail(testId);
+
+  if (test.status !== TEST_STATUS.ARCHIVED) {
+    throw testError("Only archived tests can be restored", 409);
+  }
+
+  const status = test.archived_status ?? TEST_STATUS.DRAFT;
+
+  return prisma.$transaction(async (tx) => {
+    const restored = await tx.tests.update({
+      where: { id: test.id },
+      data: { status, archived_status: null, archived_at: null, updated_at: new Date() }
+    });
+    await recordTestAudit({
+      testId: test.id,
+      adminId,
+      action: TEST_AUDIT_ACTIONS.RESTORE,
+      changes: { status: { from: TEST_STATUS.ARCHIVED, to: status } }
+    }, tx);
+    return restored;
+  });
+}
+
+/**
+ * Student results that a hard delete would remove (or orphan)
+ * @param {BigInt} testId - Test ID
+ * @returns {Promise<Object>} Counts per result type
+ */
+export async function countTestResults(testId) {
+  const [writing, speaking, finished] = await Promise.all([
+    prisma.writing_submissions.count({ where: { test_id: testId } }),
+    prisma.speaking_submissions.count({ where: { test_id: testId } }),
+    prisma.finished_tests.count({ where: { test_id: Number(testId) } })
+  ]);
+
+  return { writing_submissions: writing, speaking_submissions: speaking, finished_tests: finished };
+}
+
+/**
+ * Permanently delete a test
+ * Refused when students have results for it, unless forced
+ * @param {BigInt|number|string} testId - Test ID
+ * @param {BigInt|number|string} adminId - Admin user ID
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Delete even if results exist (they are deleted with it)
+ * @returns {Promise<Object>} Result counts that were deleted
+ * @throws {Error} With status 409 when results exist and force isn't set
+ */
+export async function deleteTest(testId, adminId, { force = false } = {}) {
+  const test = await findTestOrFail(testId);
+  const results = await countTestResults(test.id);
+  const total = Object.values(results).reduce((sum, count) => sum + count, 0);
+
+  if (total > 0 && !force) {
+    const err = testError(
+      `The test has ${total} student result(s). Archive it instead, or delete with force=true to remove them as well`,
+      409
+    );
+    err.results = results;
+    throw err;
+  }
+
+  await prisma.$transaction(async (tx) => {
+    // Writing and speaking submissions cascade; reading/listening results have no foreign key
+    await tx.finished_tests.deleteMany({ where: { test_id: Number(test.id) } });
+    await tx.tests.delete({ where: { id: test.id } });
+    await recordTestAudit({
+      testId: test.id,
+      adminId,
+      action: TEST_AUDIT_ACTIONS.DELETE,
+      changes: { name: test.name, forced: force, results }
+    }, tx);
+  });
+
+  return results;
+}
+
+/**
+ * Format an audit log entry for API responses
+ * @param {Object} entry - test_audit_logs row
+ * @returns {Object} Formatted entry
+ */
+export function formatTestAudit(entry) {
+  let changes = null;
+  try {
+    changes = entry.changes ? JSON.parse(entry.changes) : null;
+  } catch {
+    changes = entry.changes;
+  }
+
+  return {
+    id: entry.id.toString(),
+    test_id: entry.test_id.toString(),
+    admin_id: entry.admin_id ? entry.admin_id.toString() : null,
+    action: entry.action,
+    changes,
+    created_at: entry.created_at
+  };
+}
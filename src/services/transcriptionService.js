@@ -0,0 +1,61 @@
+// services/transcriptionService.js
+import fs from 'fs';
+import OpenAI from 'openai';
+
+/**
+ * Transcription providers, selected with TRANSCRIPTION_PROVIDER (default: "openai")
+ * Each provider is an async function (filePath, options) => transcript text
+ */
+const providers = {
+  // OpenAI Whisper
+  openai: async (filePath, options = {}) => {
+    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const result = await openai.audio.transcriptions.create({
+      file: fs.createReadStream(filePath),
+      model: process.env.TRANSCRIPTION_MODEL || 'whisper-1',
+      language: options.language || 'en',
+    });
+    return result.text;
+  },
+
+  // Local stub for tests and development - reads "<audio file>.txt" if present
+  stub: async (filePath) => {
+    const sidecar = `${filePath}.txt`;
+    if (fs.existsSync(sidecar)) {
+      return fs.promises.readFile(sidecar, 'utf8');
+    }
+    return `[stub transcript for ${filePath.split(/[/\\]/).pop()}]`;
+  },
+};
+
+/**
+ * Register (or replace) a transcription provider
+ * @param {string} name - Provider name used in TRANSCRIPTION_PROVIDER
+ * @param {Function} provider - async (filePath, options) => transcript text
+ */
+export function registerTranscriptionProvider(name, provider) {
+  providers[name] = provider;
+}
+
+/**
+ * Transcribe an audio recording with the configured provider
+ * @param {string} filePath - Absolute path to the audio file
+ * @param {Object} [options]
+ * @param {string} [options.language] - ISO language code (default "en")
+ * @returns {Promise<Object>} { text, provider }
+ */
+export async function transcribeAudio(filePath, options = {}) {
+  const name = process.env.TRANSCRIPTION_PROVIDER || 'openai';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown transcription provider: ${name}`);
+  }
+
+  const text = await provider(filePath, options);
+
+  return {
+    text: (text || '').trim(),
+    provider: name,
+  };
+}
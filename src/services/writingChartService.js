@@ -0,0 +1,96 @@
+// services/writingChartService.js
+import { STORAGE_DIRS, resolveStoredFile, readFileAsDataUrl } from "./storageService.js";
+import { chainSupportsVision } from "./llmService.js";
+import { logError } from "../utils/logger.js";
+
+const MAX_KEY_FEATURES = 20;
+
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+
+/**
+ * Validate an admin-authored chart description for a Task 1 question
+ * Shape: { chart_type?, title?, overview?, key_features: string[] }
+ * @param {Object} input - Description from the request body
+ * @returns {Object} { errors, data } - data is the cleaned description
+ */
+export function validateChartDescription(input) {
+  const errors = [];
+
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { errors: ["chart_description must be an object"], data: null };
+  }
+
+  for (const field of ["chart_type", "title", "overview"]) {
+    if (input[field] !== undefined && input[field] !== null && typeof input[field] !== "string") {
+      errors.push(`chart_description.${field} must be a string`);
+    }
+  }
+
+  const features = input.key_features;
+  if (!Array.isArray(features) || features.length === 0 || !features.every(isText)) {
+    errors.push("chart_description.key_features must be a non-empty array of strings");
+  } else if (features.length > MAX_KEY_FEATURES) {
+    errors.push(`chart_description.key_features can have at most ${MAX_KEY_FEATURES} items`);
+  }
+
+  if (errors.length > 0) return { errors, data: null };
+
+  return {
+    errors,
+    data: {
+      chart_type: isText(input.chart_type) ? input.chart_type.trim() : null,
+      title: isText(input.title) ? input.title.trim() : null,
+      overview: isText(input.overview) ? input.overview.trim() : null,
+      key_features: features.map(f => f.trim())
+    }
+  };
+}
+
+/**
+ * Parse a stored chart description
+ * @param {string|null} value - writing_questions.chart_description
+ * @returns {Object|null} Description
+ */
+export function parseChartDescription(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+// image_url is either an absolute URL or a path inside the image storage directory
+const loadChartImage = async (imageUrl) => {
+  if (!imageUrl) return null;
+  if (/^https?:\/\//i.test(imageUrl)) return imageUrl;
+
+  const filePath = resolveStoredFile(STORAGE_DIRS.images, imageUrl);
+  return filePath ? readFileAsDataUrl(filePath) : null;
+};
+
+/**
+ * Chart context for evaluating a Task 1 answer
+ * The admin-authored description is used when present; the image is loaded when a provider in the LLM chain reads images
+ * @param {Object} question - writing_questions row
+ * @returns {Promise<Object|null>} { description, image } or null if the question has no chart
+ */
+export async function getTaskChart(question) {
+  if (!question || question.task_number !== 1) return null;
+
+  const description = parseChartDescription(question.chart_description);
+  let image = null;
+
+  if (question.image_url && chainSupportsVision()) {
+    image = await loadChartImage(question.image_url);
+
+    if (!image) {
+      logError("Writing chart image not found", new Error("File not found"), {
+        questionId: question.id.toString(),
+        imageUrl: question.image_url
+      });
+    }
+  }
+
+  return description || image ? { description, image } : null;
+}
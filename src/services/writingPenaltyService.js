@@ -0,0 +1,222 @@
+// services/writingPenaltyService.js
+import { roundBandScore } from "./openaiService.js";
+import { normalizeText } from "../utils/textHelper.js";
+import { logError } from "../utils/logger.js";
+
+/**
+ * Default penalty rules, applied after the AI evaluation and before banding
+ * Override any part with the WRITING_PENALTY_CONFIG environment variable (JSON, merged per rule)
+ */
+export const DEFAULT_PENALTY_CONFIG = {
+  // Words below the task's word_limit (copied prompt words don't count): caps the task criterion.
+  // Tiers are checked from the lowest ratio; the first matching tier applies.
+  // Any answer under the limit loses task marks; the cap tightens the shorter it is, so a few
+  // words under the limit costs far less than a clearly short answer
+  under_length: {
+    enabled: true,
+    tiers: [
+      { below_ratio: 0.5, cap: 3 },
+      { below_ratio: 0.75, cap: 4 },
+      { below_ratio: 0.9, cap: 5 },
+      { below_ratio: 1, cap: 6 },
+    ],
+  },
+  // Share of the question's key words found in the answer; below min_relevance every criterion is capped
+  off_topic: {
+    enabled: true,
+    min_relevance: 0.2,
+    min_keywords: 4, // Questions with fewer key words are not checked
+    cap: 4,
+  },
+  // Share of answer words copied from the question in runs of ngram_size words or more
+  copied_prompt: {
+    enabled: true,
+    ngram_size: 4,
+    max_copied_ratio: 0.5,
+    cap: 3,
+  },
+};
+
+// Task criterion per task; the other three criteria are shared
+const TASK_CRITERION = { task1: "task_achievement", task2: "task_response" };
+const SHARED_CRITERIA = ["coherence_cohesion", "lexical_resource", "grammatical_accuracy"];
+
+const STOP_WORDS = new Set(
+  ("a an the and or but if of to in on at by for with from as is are was were be been being it its this that these those " +
+    "there their they them you your we our i he she his her what which who whom whose when where why how do does did " +
+    "not no nor so than too very can will would should could may might must shall have has had about into over under " +
+    "more most some any all each other such own same both few many much also just only people think agree disagree " +
+    "extent discuss views give reasons include relevant examples from knowledge experience write least words summarise " +
+    "information selecting reporting main features make comparisons letter dear opinion").split(" ")
+);
+
+/**
+ * Effective penalty config (defaults merged with WRITING_PENALTY_CONFIG)
+ * @returns {Object} Penalty config
+ */
+export function getPenaltyConfig() {
+  if (!process.env.WRITING_PENALTY_CONFIG) return DEFAULT_PENALTY_CONFIG;
+
+  try {
+    const overrides = JSON.parse(process.env.WRITING_PENALTY_CONFIG);
+    const config = {};
+    for (const [rule, defaults] of Object.entries(DEFAULT_PENALTY_CONFIG)) {
+      config[rule] = { ...defaults, ...(overrides[rule] || {}) };
+    }
+    return config;
+  } catch (err) {
+    logError("Invalid WRITING_PENALTY_CONFIG, using defaults", err);
+    return DEFAULT_PENALTY_CONFIG;
+  }
+}
+
+const tokenize = (text) =>
+  normalizeText(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}'-]+/u)
+    .filter(Boolean);
+
+// Crude stemming so "cities"/"city" and "working"/"work" match
+const stem = (word) => word.replace(/(ies|es|s|ing|ed|ly)$/, "") || word;
+
+/**
+ * Share of the question's key words (stemmed, without stop words) that appear in the answer
+ * @param {string} question - Question text
+ * @param {string} answer - Answer text
+ * @returns {Object} { relevance, keywords }
+ */
+export function getRelevance(question, answer) {
+  const keywords = new Set(
+    tokenize(question).filter(w => w.length > 2 && !STOP_WORDS.has(w)).map(stem)
+  );
+  if (keywords.size === 0) return { relevance: 1, keywords: 0 };
+
+  const answerStems = new Set(tokenize(answer).map(stem));
+  const found = [...keywords].filter(k => answerStems.has(k)).length;
+
+  return { relevance: Math.round((found / keywords.size) * 100) / 100, keywords: keywords.size };
+}
+
+/**
+ * Count answer words that belong to runs of `ngramSize`+ words copied from the question
+ * @param {string} question - Question text
+ * @param {string} answer - Answer text
+ * @param {number} ngramSize - Minimum run length
+ * @returns {Object} { copiedWords, totalWords }
+ */
+export function getCopiedWords(question, answer, ngramSize) {
+  const questionWords = tokenize(question);
+  const answerWords = tokenize(answer);
+
+  const questionNgrams = new Set();
+  for (let i = 0; i + ngramSize <= questionWords.length; i++) {
+    questionNgrams.add(questionWords.slice(i, i + ngramSize).join(" "));
+  }
+
+  const copied = new Array(answerWords.length).fill(false);
+  for (let i = 0; i + ngramSize <= answerWords.length; i++) {
+    if (questionNgrams.has(answerWords.slice(i, i + ngramSize).join(" "))) {
+      copied.fill(true, i, i + ngramSize);
+    }
+  }
+
+  return { copiedWords: copied.filter(Boolean).length, totalWords: answerWords.length };
+}
+
+// Cap one criterion and record the adjustment
+const capCriterion = (taskEval, criterion, cap, rule, detail, penalties) => {
+  const original = Number(taskEval[criterion]);
+  if (!Number.isFinite(original) || original <= cap) return;
+
+  taskEval[criterion] = cap;
+  penalties.push({ rule, criterion, original, capped: cap, detail });
+};
+
+/**
+ * Apply deterministic IELTS penalty rules to one task's evaluation
+ * The task overall band is recomputed from the criteria when any cap applies
+ * @param {string} taskKey - "task1" or "task2"
+ * @param {Object} taskEval - Validated task evaluation (modified copy is returned)
+ * @param {Object} task - { question, answer, wordCount, wordLimit }
+ * @param {Object} [config] - Penalty config
+ * @returns {Object} Task evaluation with `penalties` listing each applied rule
+ */
+export function applyTaskPenalties(taskKey, taskEval, task, config = getPenaltyConfig()) {
+  const result = { ...taskEval };
+  const penalties = [];
+  const taskCriterion = TASK_CRITERION[taskKey];
+  const allCriteria = [taskCriterion, ...SHARED_CRITERIA];
+
+  // Copied prompt text - copied words also don't count towards the length
+  let copiedWords = 0;
+  if (config.copied_prompt.enabled && task.question) {
+    const copied = getCopiedWords(task.question, task.answer, config.copied_prompt.ngram_size);
+    copiedWords = copied.copiedWords;
+    const ratio = copied.totalWords > 0 ? copied.copiedWords / copied.totalWords : 0;
+
+    if (ratio > config.copied_prompt.max_copied_ratio) {
+      const detail = { copied_words: copied.copiedWords, total_words: copied.totalWords, ratio: Math.round(ratio * 100) / 100 };
+      for (const criterion of allCriteria) {
+        capCriterion(result, criterion, config.copied_prompt.cap, "copied_prompt", detail, penalties);
+      }
+    }
+  }
+
+  // Under-length
+  if (config.under_length.enabled && task.wordLimit > 0) {
+    const effectiveWords = Math.max((task.wordCount || 0) - copiedWords, 0);
+    const ratio = effectiveWords / task.wordLimit;
+    const tier = [...config.under_length.tiers]
+      .sort((a, b) => a.below_ratio - b.below_ratio)
+      .find(t => ratio < t.below_ratio);
+
+    if (tier) {
+      capCriterion(result, taskCriterion, tier.cap, "under_length", {
+        words: effectiveWords,
+        copied_words_excluded: copiedWords,
+        word_limit: task.wordLimit,
+        ratio: Math.round(ratio * 100) / 100
+      }, penalties);
+    }
+  }
+
+  // Off-topic / memorised answers
+  if (config.off_topic.enabled && task.question) {
+    const { relevance, keywords } = getRelevance(task.question, task.answer);
+
+    if (keywords >= config.off_topic.min_keywords && relevance < config.off_topic.min_relevance) {
+      for (const criterion of allCriteria) {
+        capCriterion(result, criterion, config.off_topic.cap, "off_topic", { relevance, question_keywords: keywords }, penalties);
+      }
+    }
+  }
+
+  if (penalties.length > 0) {
+    const original = result.overall_band;
+    const mean = allCriteria.reduce((sum, c) => sum + (Number(result[c]) || 0), 0) / allCriteria.length;
+    result.overall_band = Math.min(original, roundBandScore(mean));
+    result.overall_band_before_penalties = original;
+  }
+
+  result.penalties = penalties;
+  return result;
+}
+
+/**
+ * Apply penalty rules to every evaluated task
+ * @param {Object} evaluation - { task1, task2 } from evaluateWritingTest
+ * @param {Object} tasks - { task1: { question, answer, wordCount, wordLimit }, task2: ... } for evaluated tasks
+ * @returns {Object} Evaluation with penalties applied
+ */
+export function applyWritingPenalties(evaluation, tasks) {
+  const config = getPenaltyConfig();
+  const result = { ...evaluation };
+
+  for (const taskKey of Object.keys(TASK_CRITERION)) {
+    if (tasks[taskKey] && evaluation[taskKey]) {
+      result[taskKey] = applyTaskPenalties(taskKey, evaluation[taskKey], tasks[taskKey], config);
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,335 @@
+// services/writingQuestionService.js
+import { prisma } from "../config/prismaClient.js";
+import { TEST_CATEGORIES } from "./bandConversionService.js";
+import { TEST_STATUS, TEST_AUDIT_ACTIONS, findTestOrFail, recordTestAudit } from "./testService.js";
+import { STORAGE_DIRS, getStorageDriver } from "./storageService.js";
+import { parseChartDescription } from "./writingChartService.js";
+import { IMAGE_EXTENSIONS } from "../middleware/upload.js";
+import { logError } from "../utils/logger.js";
+
+// Default minimum word counts per task
+export const DEFAULT_WORD_LIMITS = { 1: 150, 2: 250 };
+
+const MAX_WORD_LIMIT = 1000;
+
+// Error carrying the HTTP status the controller should respond with
+const questionError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * Validate writing question fields (multipart values arrive as strings)
+ * @param {Object} input - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only validate the fields present (updates)
+ * @returns {Object} { errors, data } - data holds the cleaned fields
+ */
+export function validateQuestionInput(input, { partial = false } = {}) {
+  const errors = [];
+  const data = {};
+
+  if (!partial || input.task_number !== undefined) {
+    const taskNumber = Number(input.task_number);
+    if (taskNumber !== 1 && taskNumber !== 2) {
+      errors.push("task_number must be 1 or 2");
+    } else {
+      data.task_number = taskNumber;
+    }
+  }
+
+  if (!partial || input.question_text !== undefined) {
+    if (typeof input.question_text !== "string" || input.question_text.trim() === "") {
+      errors.push("question_text is required");
+    } else {
+      data.question_text = input.question_text.trim();
+    }
+  }
+
+  if (input.word_limit !== undefined && input.word_limit !== "") {
+    const wordLimit = Number(input.word_limit);
+    if (!Number.isInteger(wordLimit) || wordLimit < 1 || wordLimit > MAX_WORD_LIMIT) {
+      errors.push(`word_limit must be a whole number between 1 and ${MAX_WORD_LIMIT}`);
+    } else {
+      data.word_limit = wordLimit;
+    }
+  } else if (!partial && data.task_number) {
+    data.word_limit = DEFAULT_WORD_LIMITS[data.task_number];
+  }
+
+  return { errors, data };
+}
+
+/**
+ * Check that a test's writing questions can be published
+ * A test needs exactly one Task 1 and one Task 2; Academic Task 1 also needs a chart image
+ * @param {Object} test - tests row
+ * @param {Object[]} questions - The test's writing_questions rows
+ * @returns {Object} { ready, errors }
+ */
+export function getPublishReadiness(test, questions) {
+  const errors = [];
+
+  for (const taskNumber of [1, 2]) {
+    const count = questions.filter(q => q.task_number === taskNumber).length;
+    if (count !== 1) {
+      errors.push(`The test needs exactly one Task ${taskNumber} question (has ${count})`);
+    }
+  }
+
+  const task1 = questions.find(q => q.task_number === 1);
+  if (task1 && test.category === TEST_CATEGORIES.ACADEMIC && !task1.image_url) {
+    errors.push("Academic Task 1 needs a chart image");
+  }
+
+  return { ready: errors.length === 0, errors };
+}
+
+/**
+ * Format a writing question for admin responses
+ * @param {Object} question - writing_questions row
+ * @returns {Object} Formatted question
+ */
+export function formatWritingQuestion(question) {
+  return {
+    id: question.id.toString(),
+    test_id: question.test_id.toString(),
+    task_number: question.task_number,
+    question_text: question.question_text,
+    image_url: question.image_url,
+    chart_description: parseChartDescription(question.chart_description),
+    word_limit: question.word_limit,
+    created_at: question.created_at,
+    updated_at: question.updated_at
+  };
+}
+
+/**
+ * Find a writing question with its test
+ * @param {BigInt|number|string} questionId - Question ID
+ * @returns {Promise<Object>} writing_questions row including `tests`
+ * @throws {Error} With status 404 if not found
+ */
+export async function findQuestionOrFail(questionId) {
+  const question = await prisma.writing_questions.findUnique({
+    where: { id: BigInt(questionId) },
+    include: { tests: true }
+  });
+
+  if (!question) {
+    throw questionError("Writing question not found", 404);
+  }
+
+  return question;
+}
+
+/**
+ * Writing questions of a test with its publish readiness
+ * @param {BigInt|number|string} testId - Test ID
+ * @returns {Promise<Object>} { test, questions, readiness }
+ */
+export async function getTestWritingQuestions(testId) {
+  const test = await findTestOrFail(testId);
+  const questions = await prisma.writing_questions.findMany({
+    where: { test_id: test.id },
+    orderBy: { task_number: "asc" }
+  });
+
+  return { test, questions, readiness: getPublishReadiness(test, questions) };
+}
+
+// Store an uploaded chart image; returns the path saved in image_url
+const storeImage = async (testId, questionId, file) => {
+  const relativePath = `writing/${testId}/${questionId}-${Date.now()}${IMAGE_EXTENSIONS[file.mimetype]}`;
+  return getStorageDriver().put(STORAGE_DIRS.images, relativePath, file.buffer, file.mimetype);
+};
+
+// Remove a replaced image; failures only leave an orphaned file
+const removeImage = async (imageUrl) => {
+  if (!imageUrl) return;
+
+  try {
+    await getStorageDriver().remove(STORAGE_DIRS.images, imageUrl);
+  } catch (err) {
+    logError("Failed to remove writing question image", err, { imageUrl });
+  }
+};
+
+// Archived tests are read-only until restored
+const assertNotArchived = (test) => {
+  if (test.status === TEST_STATUS.ARCHIVED) {
+    throw questionError("The test is archived. Restore it first", 409);
+  }
+};
+
+// One question per task and test (unique test_id + task_number); a concurrent save can still hit the index
+const saveQuestion = async (taskNumber, save) => {
+  try {
+    return await save();
+  } catch (err) {
+    if (err.code === "P2002") {
+      throw questionError(`The test already has a Task ${taskNumber} question`, 409);
+    }
+    throw err;
+  }
+};
+
+// A published test must stay publishable after the change
+const assertStillPublishable = async (test, applyChange) => {
+  if (test.status !== TEST_STATUS.PUBLISHED) return;
+
+  const questions = await prisma.writing_questions.findMany({ where: { test_id: test.id } });
+  const { ready, errors } = getPublishReadiness(test, applyChange(questions));
+
+  if (!ready) {
+    throw questionError(`The test is published: ${errors.join("; ")}. Unpublish it first`, 409);
+  }
+};
+
+/**
+ * Create a writing question, optionally with an uploaded chart image
+ * @param {BigInt|number|string} testId - Test ID
+ * @param {Object} input - { task_number, question_text, word_limit? }
+ * @param {Object} [file] - multer file (image)
+ * @returns {Promise<Object>} writing_questions row
+ * @throws {Error} With a `status` property for validation failures
+ */
+export async function createWritingQuestion(testId, input, file) {
+  const test = await findTestOrFail(testId);
+  assertNotArchived(test);
+
+  const { errors, data } = validateQuestionInput(input);
+  if (errors.length > 0) {
+    throw questionError(errors.join("; "), 400);
+  }
+
+  const existing = await prisma.writing_questions.findFirst({
+    where: { test_id: test.id, task_number: data.task_number }
+  });
+
+  if (existing) {
+    throw questionError(`The test already has a Task ${data.task_number} question`, 409);
+  }
+
+  let question = await saveQuestion(data.task_number, () => prisma.writing_questions.create({
+    data: {
+      test_id: test.id,
+      ...data,
+      created_at: new Date(),
+      updated_at: new Date()
+    }
+  }));
+
+  // The file name uses the question ID, so the image is stored after the row is created
+  if (file) {
+    question = await prisma.writing_questions.update({
+      where: { id: question.id },
+      data: { image_url: await storeImage(test.id, question.id, file) }
+    });
+  }
+
+  return question;
+}
+
+/**
+ * Update a writing question; a new image replaces the old one, remove_image=true clears it
+ * @param {BigInt|number|string} questionId - Question ID
+ * @param {Object} input - Any of { task_number, question_text, word_limit, remove_image }
+ * @param {Object} [file] - multer file (image)
+ * @returns {Promise<Object>} writing_questions row
+ * @throws {Error} With a `status` property for validation failures
+ */
+export async function updateWritingQuestion(questionId, input, file) {
+  const question = await findQuestionOrFail(questionId);
+  assertNotArchived(question.tests);
+
+  const { errors, data } = validateQuestionInput(input, { partial: true });
+  if (errors.length > 0) {
+    throw questionError(errors.join("; "), 400);
+  }
+
+  if (data.task_number && data.task_number !== question.task_number) {
+    const clash = await prisma.writing_questions.findFirst({
+      where: { test_id: question.test_id, task_number: data.task_number, id: { not: question.id } }
+    });
+
+    if (clash) {
+      throw questionError(`The test already has a Task ${data.task_number} question`, 409);
+    }
+  }
+
+  const removeExisting = file || input.remove_image === true || input.remove_image === "true";
+
+  await assertStillPublishable(question.tests, (questions) =>
+    questions.map(q => q.id === question.id
+      ? { ...q, ...data, image_url: file ? "uploaded" : removeExisting ? null : q.image_url }
+      : q)
+  );
+
+  if (removeExisting) {
+    data.image_url = file ? await storeImage(question.test_id, question.id, file) : null;
+  }
+
+  const updated = await saveQuestion(data.task_number, () => prisma.writing_questions.update({
+    where: { id: question.id },
+    data: { ...data, updated_at: new Date() }
+  }));
+
+  if (removeExisting && question.image_url !== updated.image_url) {
+    await removeImage(question.image_url);
+  }
+
+  return updated;
+}
+
+/**
+ * Delete a writing question and its image
+ * @param {BigInt|number|string} questionId - Question ID
+ * @throws {Error} With status 409 if the test is published
+ */
+export async function deleteWritingQuestion(questionId) {
+  const question = await findQuestionOrFail(questionId);
+
+  await assertStillPublishable(question.tests, (questions) => questions.filter(q => q.id !== question.id));
+
+  await prisma.writing_questions.delete({ where: { id: question.id } });
+  await removeImage(question.image_url);
+}
+
+/**
+ * Publish or unpublish a test; publishing requires a complete writing question set
+ * @param {BigInt|number|string} testId - Test ID
+ * @param {boolean} publish - true to publish, false to unpublish
+ * @param {BigInt|number|string} adminId - Admin user ID (audit log)
+ * @returns {Promise<Object>} Updated tests row
+ * @throws {Error} With status 422 listing what is missing, 409 if the test is archived
+ */
+export async function setTestPublished(testId, publish, adminId) {
+  const { test, readiness } = await getTestWritingQuestions(testId);
+
+  assertNotArchived(test);
+
+  if (publish && !readiness.ready) {
+    const err = questionError(`The test can't be published: ${readiness.errors.join("; ")}`, 422);
+    err.errors = readiness.errors;
+    throw err;
+  }
+
+  const status = publish ? TEST_STATUS.PUBLISHED : TEST_STATUS.DRAFT;
+  if (test.status === status) return test;
+
+  return prisma.$transaction(async (tx) => {
+    const updated = await tx.tests.update({
+      where: { id: test.id },
+      data: { status, updated_at: new Date() }
+    });
+    await recordTestAudit({
+      testId: test.id,
+      adminId,
+      action: publish ? TEST_AUDIT_ACTIONS.PUBLISH : TEST_AUDIT_ACTIONS.UNPUBLISH,
+      changes: { status: { from: test.status, to: status } }
+    }, tx);
+    return updated;
+  });
+}
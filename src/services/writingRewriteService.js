@@ -0,0 +1,328 @@
+// services/writingRewriteService.js
+import { prisma } from "../config/prismaClient.js";
+import { generateWritingRewrite, generateModelAnswer, roundBandScore } from "./openaiService.js";
+import { countWords } from "../utils/textHelper.js";
+import { logError, logInfo } from "../utils/logger.js";
+
+// Band of the cached per-question model answer
+export const MODEL_ANSWER_BAND = 9;
+
+// Rewrites can't target less than this
+export const MIN_TARGET_BAND = 5;
+
+// AI generations (rewrites + uncached model answers) allowed per user per window
+export const GENERATION_LIMIT = parseInt(process.env.WRITING_GENERATION_LIMIT, 10) || 10;
+const GENERATION_WINDOW_HOURS = 24;
+
+// Error carrying the HTTP status the controller should respond with
+const rewriteError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const parseJson = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Kinds of AI generation recorded in writing_generations
+ */
+export const GENERATION_KINDS = {
+  REWRITE: "rewrite",
+  MODEL_ANSWER: "model_answer",
+};
+
+// Reservations retried when concurrent ones for the same user deadlock
+const MAX_RESERVE_RETRIES = 3;
+
+/**
+ * Reserve one AI generation for the user, or throw a 429 if the current window is used up
+ * Counting and recording run in one serializable transaction, so concurrent requests can't both take the last slot
+ * Cached results don't count; release the reservation with releaseGeneration if the generation fails
+ * @param {BigInt|number|string} userId - User ID
+ * @param {string} kind - GENERATION_KINDS value
+ * @returns {Promise<Object>} writing_generations row
+ * @throws {Error} With status 429 when the limit is reached
+ */
+export async function reserveGeneration(userId, kind) {
+  const since = new Date(Date.now() - GENERATION_WINDOW_HOURS * 60 * 60 * 1000);
+
+  const reserve = () => prisma.$transaction(async (tx) => {
+    const used = await tx.writing_generations.findMany({
+      where: { user_id: BigInt(userId), created_at: { gte: since } },
+      orderBy: { created_at: "asc" },
+      select: { created_at: true }
+    });
+
+    if (used.length >= GENERATION_LIMIT) {
+      const retryAt = new Date(used[0].created_at.getTime() + GENERATION_WINDOW_HOURS * 60 * 60 * 1000);
+
+      const err = rewriteError(
+        `You can generate up to ${GENERATION_LIMIT} rewrites or model answers every ${GENERATION_WINDOW_HOURS} hours. Try again after ${retryAt.toISOString()}`,
+        429
+      );
+      err.retryAt = retryAt;
+      throw err;
+    }
+
+    return tx.writing_generations.create({
+      data: { user_id: BigInt(userId), kind, created_at: new Date() }
+    });
+  }, { isolationLevel: "Serializable" });
+
+  for (let retry = 1; ; retry++) {
+    try {
+      return await reserve();
+    } catch (err) {
+      if (err.code !== "P2034" || retry >= MAX_RESERVE_RETRIES) throw err;
+    }
+  }
+}
+
+/**
+ * Give back a reserved generation that failed
+ * @param {Object} generation - writing_generations row from reserveGeneration
+ */
+export async function releaseGeneration(generation) {
+  await prisma.writing_generations.deleteMany({ where: { id: generation.id } });
+}
+
+// Submission owned by the user, with its test's writing questions
+const findOwnedSubmission = async (submissionId, userId) => {
+  const submission = await prisma.writing_submissions.findUnique({
+    where: { id: BigInt(submissionId) },
+    include: {
+      tests: {
+        include: { writing_questions: true }
+      }
+    }
+  });
+
+  if (!submission) {
+    throw rewriteError("Submission not found", 404);
+  }
+
+  if (submission.user_id.toString() !== userId.toString()) {
+    throw rewriteError("Unauthorized access", 403);
+  }
+
+  return submission;
+};
+
+const parseTaskNumber = (value) => {
+  const taskNumber = Number(value);
+  if (taskNumber !== 1 && taskNumber !== 2) {
+    throw rewriteError("task_number must be 1 or 2", 400);
+  }
+  return taskNumber;
+};
+
+const findQuestion = (submission, taskNumber) => {
+  const question = submission.tests.writing_questions.find(q => q.task_number === taskNumber);
+  if (!question) {
+    throw rewriteError(`This test has no Task ${taskNumber} question`, 404);
+  }
+  return question;
+};
+
+/**
+ * Format a rewrite for API responses
+ * @param {Object} rewrite - writing_rewrites row
+ * @returns {Object} Formatted rewrite
+ */
+export function formatRewrite(rewrite) {
+  return {
+    id: rewrite.id.toString(),
+    submission_id: rewrite.submission_id.toString(),
+    task_number: rewrite.task_number,
+    source_band: rewrite.source_band,
+    target_band: rewrite.target_band,
+    rewrite_text: rewrite.rewrite_text,
+    word_count: countWords(rewrite.rewrite_text),
+    changes: parseJson(rewrite.changes) || [],
+    evaluation_model: rewrite.evaluation_model,
+    created_at: rewrite.created_at
+  };
+}
+
+/**
+ * Format a cached model answer for API responses
+ * @param {Object} modelAnswer - writing_question_model_answers row
+ * @returns {Object} Formatted model answer
+ */
+export function formatQuestionModelAnswer(modelAnswer) {
+  return {
+    id: modelAnswer.id.toString(),
+    question_id: modelAnswer.question_id.toString(),
+    band: modelAnswer.band,
+    answer_text: modelAnswer.answer_text,
+    word_count: modelAnswer.word_count,
+    notes: parseJson(modelAnswer.notes) || [],
+    evaluation_model: modelAnswer.evaluation_model,
+    created_at: modelAnswer.created_at
+  };
+}
+
+/**
+ * Rewrite the student's answer for one task to a target band
+ * Asking again for the same task, band and answer text returns the stored rewrite
+ * @param {Object} params
+ * @param {BigInt|number|string} params.userId - User ID
+ * @param {BigInt|number|string} params.submissionId - Submission ID
+ * @param {number} params.taskNumber - 1 or 2
+ * @param {number} params.targetBand - Band to rewrite to (half steps, above the current band)
+ * @returns {Promise<Object>} { rewrite, cached } - rewrite is the writing_rewrites row
+ * @throws {Error} With a `status` property for validation failures and rate limiting
+ */
+export async function createRewrite({ userId, submissionId, taskNumber, targetBand }) {
+  const task = parseTaskNumber(taskNumber);
+  const submission = await findOwnedSubmission(submissionId, userId);
+
+  const answer = submission[`task${task}_answer`];
+  if (!answer) {
+    throw rewriteError(`Task ${task} was not answered in this submission`, 400);
+  }
+
+  const currentBand = parseJson(submission.ai_evaluation)?.[`task${task}`]?.overall_band ?? null;
+  if (currentBand === null) {
+    throw rewriteError(`Task ${task} has not been evaluated yet`, 409);
+  }
+
+  const target = Number(targetBand);
+  if (!Number.isFinite(target) || roundBandScore(target) !== target || target < MIN_TARGET_BAND || target > 9) {
+    throw rewriteError(`target_band must be between ${MIN_TARGET_BAND} and 9 in steps of 0.5`, 400);
+  }
+
+  if (target <= currentBand) {
+    throw rewriteError(`target_band must be above your current band (${currentBand})`, 400);
+  }
+
+  const existing = await prisma.writing_rewrites.findFirst({
+    where: { submission_id: submission.id, task_number: task, target_band: target, answer_text: answer },
+    orderBy: { id: "desc" }
+  });
+
+  if (existing) {
+    return { rewrite: existing, cached: true };
+  }
+
+  const question = findQuestion(submission, task);
+  const generation = await reserveGeneration(userId, GENERATION_KINDS.REWRITE);
+
+  const result = await generateWritingRewrite({
+    taskNumber: task,
+    question: question.question_text,
+    answer,
+    wordLimit: question.word_limit,
+    currentBand,
+    targetBand: target
+  });
+
+  if (!result.success) {
+    await releaseGeneration(generation);
+    // Provider errors (auth, quota, ...) are logged, never shown to the student
+    logError("Writing rewrite generation failed", new Error(result.error), { userId, submissionId: submission.id.toString(), taskNumber: task });
+    throw rewriteError("Failed to generate rewrite, please try again later", 502);
+  }
+
+  const rewrite = await prisma.writing_rewrites.create({
+    data: {
+      submission_id: submission.id,
+      user_id: BigInt(userId),
+      task_number: task,
+      source_band: currentBand,
+      target_band: target,
+      answer_text: answer,
+      rewrite_text: result.data.rewrite,
+      changes: JSON.stringify(result.data.changes),
+      evaluation_model: result.data.model || null,
+      tokens_used: result.data.tokens_used || 0,
+      estimated_cost: Number(result.data.estimated_cost) || 0,
+      created_at: new Date()
+    }
+  });
+
+  logInfo('Writing rewrite generated', { userId, submissionId: submission.id.toString(), taskNumber: task, targetBand: target });
+  return { rewrite, cached: false };
+}
+
+/**
+ * Stored rewrites of a submission, newest first
+ * @param {BigInt|number|string} submissionId - Submission ID
+ * @param {BigInt|number|string} userId - Owner's user ID
+ * @returns {Promise<Object[]>} writing_rewrites rows
+ */
+export async function getSubmissionRewrites(submissionId, userId) {
+  const submission = await findOwnedSubmission(submissionId, userId);
+
+  return prisma.writing_rewrites.findMany({
+    where: { submission_id: submission.id },
+    orderBy: { id: "desc" }
+  });
+}
+
+/**
+ * Band 9 model answer for the question of one task, generated once per question and cached
+ * The cache is regenerated when the question text changes
+ * @param {Object} params
+ * @param {BigInt|number|string} params.userId - User ID
+ * @param {BigInt|number|string} params.submissionId - Submission ID (must belong to the user)
+ * @param {number} params.taskNumber - 1 or 2
+ * @returns {Promise<Object>} { modelAnswer, cached } - modelAnswer is the writing_question_model_answers row
+ * @throws {Error} With a `status` property for validation failures and rate limiting
+ */
+export async function getQuestionModelAnswer({ userId, submissionId, taskNumber }) {
+  const task = parseTaskNumber(taskNumber);
+  const submission = await findOwnedSubmission(submissionId, userId);
+  const question = findQuestion(submission, task);
+
+  const existing = await prisma.writing_question_model_answers.findUnique({
+    where: { question_id: question.id }
+  });
+
+  if (existing && existing.question_text === question.question_text) {
+    return { modelAnswer: existing, cached: true };
+  }
+
+  const generation = await reserveGeneration(userId, GENERATION_KINDS.MODEL_ANSWER);
+
+  const result = await generateModelAnswer({
+    taskNumber: task,
+    question: question.question_text,
+    wordLimit: question.word_limit
+  });
+
+  if (!result.success) {
+    await releaseGeneration(generation);
+    // Provider errors (auth, quota, ...) are logged, never shown to the student
+    logError("Writing model answer generation failed", new Error(result.error), { userId, questionId: question.id.toString() });
+    throw rewriteError("Failed to generate model answer, please try again later", 502);
+  }
+
+  const data = {
+    question_text: question.question_text,
+    band: MODEL_ANSWER_BAND,
+    answer_text: result.data.answer,
+    word_count: countWords(result.data.answer),
+    notes: JSON.stringify(result.data.notes),
+    evaluation_model: result.data.model || null,
+    generated_by: BigInt(userId),
+    created_at: new Date(),
+    updated_at: new Date()
+  };
+
+  const modelAnswer = await prisma.writing_question_model_answers.upsert({
+    where: { question_id: question.id },
+    update: data,
+    create: { question_id: question.id, ...data }
+  });
+
+  logInfo('Writing model answer generated', { userId, questionId: question.id.toString() });
+  return { modelAnswer, cached: false };
+}
@@ -0,0 +1,226 @@
+// services/writingSessionService.js
+import { prisma } from "../config/prismaClient.js";
+import { processWritingSubmission } from "./writingSubmissionService.js";
+import { countWords } from "../utils/textHelper.js";
+import { logError, logInfo } from "../utils/logger.js";
+
+const MODULE = "writing";
+
+/**
+ * Writing test duration (both tasks) in minutes
+ */
+export const WRITING_MINUTES = 60;
+
+// Allow for network latency on the final submit
+const SUBMIT_GRACE_SECONDS = 30;
+
+// Auto-submits failing with a server error are retried by the sweeper this many times before the session is marked failed
+const MAX_AUTO_SUBMIT_FAILS = 3;
+
+/**
+ * Find the user's open writing session for a test
+ * @param {BigInt|number|string} userId - User ID
+ * @param {BigInt|number|string} testId - Test ID
+ * @returns {Promise<Object|null>} test_sessions row
+ */
+export async function getOpenWritingSession(userId, testId) {
+  return prisma.test_sessions.findFirst({
+    where: {
+      user_id: BigInt(userId),
+      test_id: BigInt(testId),
+      module: MODULE,
+      status: "in_progress"
+    },
+    orderBy: { started_at: "desc" }
+  });
+}
+
+/**
+ * Check whether a session's deadline (plus grace period) has passed
+ * @param {Object} session - test_sessions row
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if expired
+ */
+export function isSessionExpired(session, now = new Date()) {
+  return now.getTime() > session.deadline_at.getTime() + SUBMIT_GRACE_SECONDS * 1000;
+}
+
+/**
+ * Seconds spent in a session, capped at the deadline
+ * @param {Object} session - test_sessions row
+ * @param {Date} [now] - Current time
+ * @returns {number} Time taken in seconds
+ */
+export function getTimeTaken(session, now = new Date()) {
+  const end = Math.min(now.getTime(), session.deadline_at.getTime());
+  return Math.max(Math.round((end - session.started_at.getTime()) / 1000), 0);
+}
+
+/**
+ * Build a draft object with server-side word counts
+ * @param {string} task1Answer - Task 1 text
+ * @param {string} task2Answer - Task 2 text
+ * @returns {Object} Draft stored in test_sessions.draft
+ */
+export function buildDraft(task1Answer, task2Answer) {
+  return {
+    task1: { answer_text: task1Answer || "", word_count: countWords(task1Answer) },
+    task2: { answer_text: task2Answer || "", word_count: countWords(task2Answer) },
+    saved_at: new Date()
+  };
+}
+
+/**
+ * Claim an open session so that only one submitter (user or sweeper) processes it
+ * @param {BigInt} sessionId - test_sessions ID
+ * @returns {Promise<boolean>} True if this caller claimed the session
+ */
+export async function claimSession(sessionId) {
+  const result = await prisma.test_sessions.updateMany({
+    where: { id: sessionId, status: "in_progress" },
+    data: { status: "submitting", updated_at: new Date() }
+  });
+  return result.count === 1;
+}
+
+/**
+ * Close a claimed session
+ * @param {BigInt} sessionId - test_sessions ID
+ * @param {string} status - "submitted", "auto_submitted", "expired" or "in_progress" (release)
+ */
+export async function closeSession(sessionId, status) {
+  await prisma.test_sessions.update({
+    where: { id: sessionId },
+    data: {
+      status,
+      submitted_at: status === "in_progress" ? null : new Date(),
+      updated_at: new Date()
+    }
+  });
+}
+
+/**
+ * Record a failed auto-submit of a claimed session
+ * The session is released for the next sweep until MAX_AUTO_SUBMIT_FAILS is reached, then marked failed
+ * The draft is kept on the session either way
+ * @param {Object} session - test_sessions row
+ * @returns {Promise<string>} New status ("in_progress" or "failed")
+ */
+async function recordAutoSubmitFailure(session) {
+  const fails = (session.submit_fails || 0) + 1;
+  const status = fails >= MAX_AUTO_SUBMIT_FAILS ? "failed" : "in_progress";
+
+  await prisma.test_sessions.update({
+    where: { id: session.id },
+    data: { status, submit_fails: fails, updated_at: new Date() }
+  });
+
+  return status;
+}
+
+/**
+ * Submit the last saved draft of an expired session
+ * Tasks under the minimum length are treated as empty
+ * @param {Object} session - test_sessions row
+ * @returns {Promise<Object|null>} Submission result, or null if nothing was submitted
+ */
+export async function autoSubmitSession(session) {
+  if (!(await claimSession(session.id))) {
+    return null;
+  }
+
+  const draft = session.draft ? JSON.parse(session.draft) : null;
+  const answers = [];
+
+  if (draft?.task1?.word_count > 0) {
+    answers.push({ task_number: 1, ...draft.task1 });
+  }
+  if (draft?.task2?.word_count > 0) {
+    answers.push({ task_number: 2, ...draft.task2 });
+  }
+
+  let result;
+
+  try {
+    result = await processWritingSubmission({
+      userId: session.user_id,
+      testId: session.test_id,
+      answers,
+      timeTaken: getTimeTaken(session),
+      dropShortTasks: true
+    });
+  } catch (err) {
+    // Validation failures (e.g. empty draft) close the session without a submission
+    let status = "expired";
+    if (err.status && err.status < 500) {
+      await closeSession(session.id, status);
+    } else {
+      status = await recordAutoSubmitFailure(session);
+    }
+
+    logError("Failed to auto-submit writing session", err, {
+      sessionId: session.id.toString(),
+      userId: session.user_id.toString(),
+      status
+    });
+
+    return null;
+  }
+
+  // The submission is saved: a failed close must not hand the session back for another submit
+  try {
+    await closeSession(session.id, "auto_submitted");
+  } catch (err) {
+    logError("Failed to close auto-submitted writing session", err, {
+      sessionId: session.id.toString(),
+      submissionId: result.submission.id.toString()
+    });
+  }
+
+  logInfo('Writing session auto-submitted', {
+    sessionId: session.id.toString(),
+    userId: session.user_id.toString(),
+    submissionId: result.submission.id.toString()
+  });
+
+  return result;
+}
+
+/**
+ * Auto-submit every writing session whose deadline has passed
+ * @returns {Promise<number>} Number of sessions processed
+ */
+export async function submitExpiredWritingSessions() {
+  const expired = await prisma.test_sessions.findMany({
+    where: {
+      module: MODULE,
+      status: "in_progress",
+      deadline_at: { lt: new Date(Date.now() - SUBMIT_GRACE_SECONDS * 1000) }
+    },
+    take: 50
+  });
+
+  for (const session of expired) {
+    await autoSubmitSession(session);
+  }
+
+  return expired.length;
+}
+
+/**
+ * Format a writing session for API responses
+ * @param {Object} session - test_sessions row
+ * @returns {Object} Formatted session
+ */
+export function formatWritingSession(session) {
+  return {
+    id: session.id.toString(),
+    test_id: session.test_id.toString(),
+    status: session.status,
+    started_at: session.started_at,
+    deadline_at: session.deadline_at,
+    submitted_at: session.submitted_at,
+    remaining_seconds: Math.max(Math.floor((session.deadline_at.getTime() - Date.now()) / 1000), 0),
+    draft: session.draft ? JSON.parse(session.draft) : null
+  };
+}
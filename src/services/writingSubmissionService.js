@@ -0,0 +1,489 @@
+// services/writingSubmissionService.js
+import { prisma } from "../config/prismaClient.js";
+import { evaluateWritingTest, calculateAverageBand } from "./openaiService.js";
+import { dispatchJob, QUEUES } from "./jobQueueService.js";
+import { getActivePrompt } from "./promptService.js";
+import { applyWritingPenalties } from "./writingPenaltyService.js";
+import { resolveAnnotations } from "./annotationService.js";
+import { getTaskChart } from "./writingChartService.js";
+import { normalizeText, countWords } from "../utils/textHelper.js";
+
+/**
+ * Writing submission statuses for the evaluation lifecycle
+ */
+export const EVALUATION_STATUS = {
+  PENDING: 'pending_evaluation',
+  EVALUATED: 'evaluated',
+  FAILED: 'evaluation_failed',
+};
+
+// Queue job name for AI evaluation of a writing submission
+export const EVALUATE_WRITING_JOB = 'evaluate_writing_submission';
+
+// Queue job name for plagiarism / duplicate checks of a writing attempt
+export const SIMILARITY_CHECK_JOB = 'check_writing_similarity';
+
+// Client word counts further than this from the server count are flagged
+export const WORD_COUNT_TOLERANCE = 2;
+
+// Saves retried when a concurrent submit took the same attempt number
+const MAX_SAVE_RETRIES = 3;
+
+/**
+ * Normalize an answer's text and replace the client word count with the server count
+ * @param {Object} answer - { task_number, answer_text, word_count }
+ * @returns {Object|undefined} Answer with word_count, client_word_count and word_count_discrepancy
+ */
+export function prepareAnswer(answer) {
+  if (!answer) return answer;
+
+  const answerText = normalizeText(answer.answer_text);
+  const wordCount = countWords(answerText);
+  const clientCount = Number.isFinite(Number(answer.word_count)) ? Number(answer.word_count) : null;
+
+  return {
+    task_number: answer.task_number,
+    answer_text: answerText,
+    word_count: wordCount,
+    client_word_count: clientCount,
+    word_count_discrepancy: clientCount !== null && Math.abs(clientCount - wordCount) > WORD_COUNT_TOLERANCE
+  };
+}
+
+// Error carrying the HTTP status the controller should respond with
+const submissionError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * Whether a task carried over from a previous submission had a word count discrepancy when it was answered
+ * Checks the latest attempt that answered the task; submissions made before attempts were recorded
+ * fall back to their submission-level flag
+ * @param {Object} previousSubmission - writing_submissions row the task is carried over from
+ * @param {number} taskNumber - 1 or 2
+ * @returns {Promise<boolean>}
+ */
+async function hasCarriedDiscrepancy(previousSubmission, taskNumber) {
+  const attempt = await prisma.writing_attempts.findFirst({
+    where: {
+      user_id: previousSubmission.user_id,
+      test_id: previousSubmission.test_id,
+      [`task${taskNumber}_answer`]: { not: null }
+    },
+    orderBy: { attempt_number: 'desc' }
+  });
+
+  if (!attempt) return !!previousSubmission.word_count_discrepancy;
+
+  const clientCounts = attempt.client_word_counts ? JSON.parse(attempt.client_word_counts) : {};
+  const clientCount = clientCounts[`task${taskNumber}`];
+  const serverCount = attempt[`task${taskNumber}_word_count`];
+
+  return clientCount !== null && clientCount !== undefined && serverCount !== null &&
+    Math.abs(clientCount - serverCount) > WORD_COUNT_TOLERANCE;
+}
+
+/**
+ * Validate and save a writing submission, then queue it for AI evaluation
+ * Every submit is saved as a new submission; a task left empty on a re-submission is
+ * carried over from the previous submission for the test together with its evaluation
+ * @param {Object} params
+ * @param {BigInt|number|string} params.userId - User ID
+ * @param {BigInt|number|string} params.testId - Test ID
+ * @param {Object[]} params.answers - [{ task_number, answer_text, word_count }] - word_count is only compared, never trusted
+ * @param {number} params.timeTaken - Seconds spent, computed by the server
+ * @param {boolean} [params.dropShortTasks] - Treat tasks under 50% of the word limit as empty instead of rejecting
+ * @returns {Promise<Object>} { submission, attempt, isResubmission } - both have status pending_evaluation
+ * @throws {Error} With a `status` property for validation failures
+ */
+export async function processWritingSubmission({ userId, testId, answers, timeTaken, dropShortTasks = false }) {
+  // Latest earlier submission for this test, which empty tasks are carried over from
+  const previousSubmission = await prisma.writing_submissions.findFirst({
+    where: {
+      user_id: BigInt(userId),
+      test_id: BigInt(testId)
+    },
+    orderBy: { id: 'desc' }
+  });
+
+  // Fetch test with questions
+  const test = await prisma.tests.findUnique({
+    where: { id: BigInt(testId) },
+    include: {
+      writing_questions: {
+        orderBy: { task_number: 'asc' }
+      }
+    }
+  });
+
+  if (!test) {
+    throw submissionError("Test not found", 404);
+  }
+
+  // Carried-over tasks need their evaluation, so wait for the worker to finish the previous submission
+  if (previousSubmission?.status === EVALUATION_STATUS.PENDING) {
+    throw submissionError("Your previous submission for this test is still being evaluated", 409);
+  }
+
+  // Organize answers by task number; text is normalized and words are counted server-side
+  let task1Answer = prepareAnswer(answers.find(a => a.task_number === 1));
+  let task2Answer = prepareAnswer(answers.find(a => a.task_number === 2));
+
+  // Validate word count for tasks that have content (not completely empty)
+  // If task has content but doesn't meet minimum (50%), reject it (or drop it for auto-submissions)
+  const checkMinimumWords = (answer, taskNumber) => {
+    if (!answer || !(answer.word_count > 0)) return answer;
+
+    const question = test.writing_questions.find(q => q.task_number === taskNumber);
+    if (!question) return answer;
+
+    const minWords = Math.ceil(question.word_limit * 0.5);
+    if (answer.word_count >= minWords) return answer;
+
+    if (dropShortTasks) return null;
+
+    throw submissionError(`Task ${taskNumber} has ${answer.word_count} words, but needs at least ${minWords} words (50% of ${question.word_limit}). Either complete the task or leave it completely empty.`, 400);
+  };
+
+  task1Answer = checkMinimumWords(task1Answer, 1);
+  task2Answer = checkMinimumWords(task2Answer, 2);
+
+  // Check if at least one task has NEW content
+  const hasTask1Content = task1Answer && task1Answer.word_count > 0;
+  const hasTask2Content = task2Answer && task2Answer.word_count > 0;
+
+  // Tasks left empty are carried over from the previous submission
+  let existingTask1 = null;
+  let existingTask2 = null;
+  let existingAiEval = null;
+
+  if (previousSubmission) {
+    // Parse previous AI evaluation
+    existingAiEval = previousSubmission.ai_evaluation ? JSON.parse(previousSubmission.ai_evaluation) : null;
+
+    if (previousSubmission.task1_answer && !hasTask1Content) {
+      existingTask1 = {
+        answer_text: previousSubmission.task1_answer,
+        word_count: previousSubmission.task1_word_count
+      };
+    }
+
+    if (previousSubmission.task2_answer && !hasTask2Content) {
+      existingTask2 = {
+        answer_text: previousSubmission.task2_answer,
+        word_count: previousSubmission.task2_word_count
+      };
+    }
+  }
+
+  // Each submission needs at least one new answer; carried-over tasks alone would only repeat the previous one
+  if (!hasTask1Content && !hasTask2Content) {
+    throw submissionError("At least one task must be completed. Both tasks cannot be empty.", 400);
+  }
+
+  // The attempt is flagged for its own answers; the submission also for the tasks it carries over
+  const attemptDiscrepancy = !!((hasTask1Content && task1Answer.word_count_discrepancy) ||
+    (hasTask2Content && task2Answer.word_count_discrepancy));
+  const submissionDiscrepancy = attemptDiscrepancy ||
+    (!!existingTask1 && await hasCarriedDiscrepancy(previousSubmission, 1)) ||
+    (!!existingTask2 && await hasCarriedDiscrepancy(previousSubmission, 2));
+
+  // New tasks are evaluated by the queue worker; unchanged tasks keep their evaluation
+  const finalEvaluation = {
+    task1: hasTask1Content ? null : (existingAiEval?.task1 || null),
+    task2: hasTask2Content ? null : (existingAiEval?.task2 || null)
+  };
+
+  // Prepare final answers (use new or existing)
+  const finalTask1Answer = hasTask1Content ? task1Answer.answer_text : (existingTask1?.answer_text || null);
+  const finalTask1WordCount = hasTask1Content ? task1Answer.word_count : (existingTask1?.word_count || null);
+  const finalTask2Answer = hasTask2Content ? task2Answer.answer_text : (existingTask2?.answer_text || null);
+  const finalTask2WordCount = hasTask2Content ? task2Answer.word_count : (existingTask2?.word_count || null);
+
+  // The submission, its attempt and their jobs are saved together, so a saved submission always has a queued evaluation
+  const save = () => prisma.$transaction(async (tx) => {
+    const submission = await tx.writing_submissions.create({
+      data: {
+        user_id: BigInt(userId),
+        test_id: BigInt(testId),
+        task1_answer: finalTask1Answer,
+        task1_word_count: finalTask1WordCount,
+        task2_answer: finalTask2Answer,
+        task2_word_count: finalTask2WordCount,
+        time_taken: timeTaken || 0,
+        word_count_discrepancy: submissionDiscrepancy,
+        ai_evaluation: JSON.stringify(finalEvaluation),
+        overall_band_score: null,
+        status: EVALUATION_STATUS.PENDING,
+        created_at: new Date(),
+        updated_at: new Date()
+      }
+    });
+
+    // Attempts are numbered per user and test; a concurrent submit taking the same number fails with P2002
+    const attemptCount = await tx.writing_attempts.count({
+      where: { user_id: BigInt(userId), test_id: BigInt(testId) }
+    });
+
+    const attempt = await tx.writing_attempts.create({
+      data: {
+        submission_id: submission.id,
+        user_id: BigInt(userId),
+        test_id: BigInt(testId),
+        attempt_number: attemptCount + 1,
+        task1_answer: hasTask1Content ? task1Answer.answer_text : null,
+        task1_word_count: hasTask1Content ? task1Answer.word_count : null,
+        task2_answer: hasTask2Content ? task2Answer.answer_text : null,
+        task2_word_count: hasTask2Content ? task2Answer.word_count : null,
+        time_taken: timeTaken || 0,
+        word_count_discrepancy: attemptDiscrepancy,
+        client_word_counts: JSON.stringify({
+          task1: task1Answer?.client_word_count ?? null,
+          task2: task2Answer?.client_word_count ?? null
+        }),
+        status: EVALUATION_STATUS.PENDING,
+        created_at: new Date(),
+        updated_at: new Date()
+      }
+    });
+
+    await dispatchJob(QUEUES.EVALUATION, EVALUATE_WRITING_JOB, { submission_id: submission.id.toString() }, { client: tx });
+    await dispatchJob(QUEUES.ANALYSIS, SIMILARITY_CHECK_JOB, { attempt_id: attempt.id.toString() }, { client: tx });
+
+    return { submission, attempt };
+  });
+
+  let saved;
+  for (let retry = 0; !saved; retry++) {
+    try {
+      saved = await save();
+    } catch (err) {
+      if (err.code !== 'P2002' || retry >= MAX_SAVE_RETRIES) throw err;
+    }
+  }
+
+  const { submission, attempt } = saved;
+
+  return {
+    submission,
+    attempt,
+    isResubmission: !!previousSubmission
+  };
+}
+
+/**
+ * Evaluate the tasks of a submission that have an answer but no evaluation yet
+ * Runs inside the queue worker; throws so the job is retried with backoff
+ * @param {Object} data - Job data
+ * @param {string} data.submission_id - Submission ID
+ */
+export async function evaluateWritingSubmission({ submission_id }) {
+  const submission = await prisma.writing_submissions.findUnique({
+    where: { id: BigInt(submission_id) },
+    include: {
+      tests: {
+        include: {
+          writing_questions: {
+            orderBy: { task_number: 'asc' }
+          }
+        }
+      }
+    }
+  });
+
+  // Deleted in the meantime - nothing to do
+  if (!submission) return;
+
+  const currentEval = submission.ai_evaluation ? JSON.parse(submission.ai_evaluation) : {};
+  const submissionData = {};
+  const penaltyInput = {};
+
+  for (const taskNumber of [1, 2]) {
+    const answer = submission[`task${taskNumber}_answer`];
+    if (!answer || currentEval[`task${taskNumber}`]) continue;
+
+    const question = submission.tests.writing_questions.find(q => q.task_number === taskNumber);
+    submissionData[`task${taskNumber}`] = {
+      question: question?.question_text || '',
+      answer,
+      wordCount: submission[`task${taskNumber}_word_count`],
+      chart: await getTaskChart(question)
+    };
+    penaltyInput[`task${taskNumber}`] = {
+      ...submissionData[`task${taskNumber}`],
+      wordLimit: question?.word_limit || 0
+    };
+  }
+
+  let newEvaluation = { task1: null, task2: null };
+  let validation = null;
+  let stamp = {};
+  if (Object.keys(submissionData).length > 0) {
+    // Evaluate with the admin-activated prompt version (or the built-in one)
+    const prompt = await getActivePrompt("writing");
+    const aiEvaluation = await evaluateWritingTest(submissionData, { systemPrompt: prompt.system_prompt });
+    validation = aiEvaluation.validation || null;
+
+    if (!aiEvaluation.success) {
+      // Keep the validation outcome of the failed attempt for review
+      if (validation) {
+        await prisma.writing_submissions.update({
+          where: { id: submission.id },
+          data: { evaluation_validation: JSON.stringify(validation) }
+        });
+      }
+      throw new Error(aiEvaluation.error || "Failed to evaluate test");
+    }
+
+    // Deterministic IELTS caps (under-length, off-topic, copied prompt) before banding
+    newEvaluation = applyWritingPenalties(aiEvaluation.data, penaltyInput);
+
+    // Anchor inline annotations to the stored answer text; spans not found in the answer are dropped
+    // and counted in the validation record
+    const droppedAnnotations = {};
+    for (const taskKey of Object.keys(submissionData)) {
+      if (!newEvaluation[taskKey]) continue;
+      const { annotations, dropped } = resolveAnnotations(taskKey, newEvaluation[taskKey].annotations, submissionData[taskKey].answer);
+      newEvaluation[taskKey] = { ...newEvaluation[taskKey], annotations };
+      droppedAnnotations[taskKey] = dropped;
+    }
+    if (validation) {
+      validation = { ...validation, dropped_annotations: droppedAnnotations };
+    }
+    stamp = { prompt_version: prompt.version, evaluation_model: aiEvaluation.data.model || null };
+  }
+
+  // Merge evaluations: use new evaluation for evaluated tasks, keep existing for the rest
+  const finalEvaluation = {
+    task1: submissionData.task1 ? newEvaluation.task1 : (currentEval.task1 || null),
+    task2: submissionData.task2 ? newEvaluation.task2 : (currentEval.task2 || null)
+  };
+
+  // Calculate overall band score from merged evaluation
+  const task1Band = finalEvaluation.task1?.overall_band || null;
+  const task2Band = finalEvaluation.task2?.overall_band || null;
+  const overallBand = calculateAverageBand(task1Band, task2Band);
+
+  // The attempt keeps only the evaluations produced for its own tasks, and is banded on them alone
+  const attemptEvaluation = {
+    task1: submissionData.task1 ? newEvaluation.task1 : null,
+    task2: submissionData.task2 ? newEvaluation.task2 : null
+  };
+  const attemptBand = calculateAverageBand(
+    attemptEvaluation.task1?.overall_band || null,
+    attemptEvaluation.task2?.overall_band || null
+  );
+
+  await prisma.$transaction([
+    prisma.writing_submissions.update({
+      where: { id: submission.id },
+      data: {
+        ai_evaluation: JSON.stringify(finalEvaluation),
+        overall_band_score: overallBand,
+        status: EVALUATION_STATUS.EVALUATED,
+        ...(validation && { evaluation_validation: JSON.stringify(validation) }),
+        ...stamp,
+        updated_at: new Date()
+      }
+    }),
+    prisma.writing_attempts.updateMany({
+      where: { submission_id: submission.id, status: EVALUATION_STATUS.PENDING },
+      data: {
+        ai_evaluation: JSON.stringify(attemptEvaluation),
+        overall_band_score: attemptBand,
+        status: EVALUATION_STATUS.EVALUATED,
+        ...stamp,
+        updated_at: new Date()
+      }
+    })
+  ]);
+}
+
+// Called once the job has exhausted its retries
+evaluateWritingSubmission.onFailed = async ({ submission_id }) => {
+  await prisma.$transaction([
+    prisma.writing_submissions.updateMany({
+      where: { id: BigInt(submission_id), status: EVALUATION_STATUS.PENDING },
+      data: { status: EVALUATION_STATUS.FAILED, updated_at: new Date() }
+    }),
+    prisma.writing_attempts.updateMany({
+      where: { submission_id: BigInt(submission_id), status: EVALUATION_STATUS.PENDING },
+      data: { status: EVALUATION_STATUS.FAILED, updated_at: new Date() }
+    })
+  ]);
+};
+
+/**
+ * Queue a new evaluation for a submission whose evaluation failed
+ * @param {Object} submission - writing_submissions row
+ * @returns {Promise<Object>} Updated submission
+ * @throws {Error} With a `status` property if the submission can't be retried
+ */
+export async function retryWritingEvaluation(submission) {
+  if (submission.status !== EVALUATION_STATUS.FAILED) {
+    throw submissionError("Only submissions whose evaluation failed can be retried", 409);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const updated = await tx.writing_submissions.update({
+      where: { id: submission.id },
+      data: { status: EVALUATION_STATUS.PENDING, updated_at: new Date() }
+    });
+
+    await tx.writing_attempts.updateMany({
+      where: { submission_id: submission.id, status: EVALUATION_STATUS.FAILED },
+      data: { status: EVALUATION_STATUS.PENDING, updated_at: new Date() }
+    });
+
+    await dispatchJob(QUEUES.EVALUATION, EVALUATE_WRITING_JOB, { submission_id: submission.id.toString() }, { client: tx });
+
+    return updated;
+  });
+}
+
+/**
+ * Format a writing attempt for API responses
+ * @param {Object} attempt - writing_attempts row
+ * @returns {Object} Formatted attempt
+ */
+export function formatWritingAttempt(attempt) {
+  return {
+    id: attempt.id.toString(),
+    submission_id: attempt.submission_id.toString(),
+    test_id: attempt.test_id.toString(),
+    attempt_number: attempt.attempt_number,
+    task1_answer: attempt.task1_answer,
+    task1_word_count: attempt.task1_word_count,
+    task2_answer: attempt.task2_answer,
+    task2_word_count: attempt.task2_word_count,
+    time_taken: attempt.time_taken,
+    word_count_discrepancy: attempt.word_count_discrepancy,
+    client_word_counts: attempt.client_word_counts ? JSON.parse(attempt.client_word_counts) : null,
+    ai_evaluation: attempt.ai_evaluation ? JSON.parse(attempt.ai_evaluation) : null,
+    overall_band_score: attempt.overall_band_score,
+    status: attempt.status,
+    prompt_version: attempt.prompt_version,
+    evaluation_model: attempt.evaluation_model,
+    created_at: attempt.created_at,
+    updated_at: attempt.updated_at
+  };
+}
+
+/**
+ * Best and latest evaluated band across a submission's attempts
+ * @param {Object[]} attempts - writing_attempts rows (any order)
+ * @returns {Object} { attempts_count, best_band_score, latest_band_score }
+ */
+export function summarizeWritingAttempts(attempts) {
+  const evaluated = attempts
+    .filter(a => a.status === EVALUATION_STATUS.EVALUATED && a.overall_band_score !== null)
+    .sort((a, b) => b.attempt_number - a.attempt_number);
+
+  return {
+    attempts_count: attempts.length,
+    best_band_score: evaluated.length > 0 ? Math.max(...evaluated.map(a => a.overall_band_score)) : null,
+    latest_band_score: evaluated.length > 0 ? evaluated[0].overall_band_score : null
+  };
+}
@@ -0,0 +1,21 @@
+// utils/idHelper.js
+
+// Largest value of an unsigned BIGINT column
+const MAX_UNSIGNED_BIGINT = 18446744073709551615n;
+
+/**
+ * Check that a request value is a usable row ID before passing it to BigInt()
+ * BigInt() throws on anything but an integer string, which would surface as a 500
+ * @param {*} value - Route param or body value
+ * @returns {boolean} True for a positive integer (number or digit string) within BIGINT UNSIGNED
+ */
+export const isValidId = (value) => {
+  if (typeof value === "number") {
+    return Number.isSafeInteger(value) && value > 0;
+  }
+
+  if (typeof value !== "string" || !/^\d{1,20}$/.test(value)) return false;
+
+  const id = BigInt(value);
+  return id > 0n && id <= MAX_UNSIGNED_BIGINT;
+};
@@ -7,6 +7,7 @@ import { prisma } from "../config/prismaClient.js";
 export const ROLES = {
   ADMIN: "Admin",
   USER: "User",
+  EXPERT: "Expert",
 };
 
 /**
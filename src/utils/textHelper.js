@@ -0,0 +1,51 @@
+// utils/textHelper.js
+
+// Zero-width characters and soft hyphens often carried over from pasted text
+const INVISIBLE_CHARS = /[\u200B-\u200D\u2060\uFEFF\u00AD]/g;
+
+// Word separators besides whitespace: slashes and en/em dashes ("and/or", "2010–2020", "word—word")
+const WORD_SEPARATORS = /[\s/\u2013\u2014]+/;
+
+// A token counts as a word if it contains at least one letter or digit (symbols alone don't count)
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+/**
+ * Normalize pasted answer text
+ * Replaces smart quotes, removes zero-width characters, collapses repeated spaces
+ * and blank lines while keeping paragraph breaks
+ * @param {string} text - Raw answer text
+ * @returns {string} Normalized text
+ */
+export const normalizeText = (text) => {
+  if (!text || typeof text !== "string") return "";
+
+  return text
+    .normalize("NFC")
+    .replace(INVISIBLE_CHARS, "")
+    .replace(/[\u2018\u2019\u201A\u201B\u2032]/g, "'")
+    .replace(/[\u201C\u201D\u201E\u201F\u2033]/g, '"')
+    .replace(/\u2026/g, "...")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[^\S\n]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+};
+
+/**
+ * Count words using IELTS conventions
+ * - Hyphenated words ("well-known") and contractions ("don't") count as one word
+ * - Numbers count as one word, including attached symbols ("1990", "25%", "$3.5")
+ * - Standalone symbols ("&", "-", "—") are not counted
+ * @param {string} text - Answer text
+ * @returns {number} Word count
+ */
+export const countWords = (text) => {
+  const normalized = normalizeText(text);
+  if (!normalized) return 0;
+
+  return normalized
+    .split(WORD_SEPARATORS)
+    .filter(token => WORD_CHAR.test(token))
+    .length;
+};